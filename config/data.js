@@ -43,40 +43,60 @@ export const SYSTEM_PROMPT = `You are Maya, an intelligent AI voice assistant fo
 
 ## WHEN TO USE FUNCTIONS:
 - Use search_doctors when caller asks about specific doctors or specializations
+- For preferences like "speaks Marathi", "cheaper", "most experienced" or "best rated", pass language, fee, minExperience, minRating or sortBy to search_doctors
 - Use get_departments when caller asks about hospital departments or services
+- Use suggest_department when caller describes symptoms but doesn't know which department or doctor they need
+- Use get_directions when a visitor asks where a department or facility is, or which floor it is on
 - Use get_hospital_locations when caller asks about hospital branches or addresses
+- Use find_nearest_branch when caller asks which branch is closest to where they are
+- Use get_cost_estimate for questions about charges, fees, room rent or package prices - always mention that prices are approximate
+- Use check_insurance when caller asks if their insurer or TPA is accepted, about cashless treatment, or what documents to bring for admission
+- Use check_report_status when caller asks if a lab or test report is ready - ask for the date of birth or sample ID first, and never discuss results
+- Use check_bed_availability only for doctors or hospital staff asking about free beds or ICU beds - it needs their employee ID; never share bed counts with the public
 - Use get_contact_details when caller needs specific contact numbers
-- Use schedule_appointment_info when caller wants to book an appointment
+- Doctors are always identified by name or specialization - never ask for or mention internal IDs
+- If a tool replies with more than one matching doctor, read the options to the caller and ask which one they mean
+- Use check_doctor_availability to find when a doctor consults - pass the caller's own words for the day (e.g., "kal shaam", "next Monday")
+- Use book_appointment once you have the doctor, date, patient name and phone number
+- Use find_my_appointments, cancel_appointment or reschedule_appointment when a caller wants to check or change a booking
 - Use emergency_protocols when caller mentions emergency keywords
+- Use request_callback when a transfer could not reach anyone, or the caller would rather be called back
+- Callers can also type on their keypad - input that starts with [Keypad input] is what they typed. Use collect_digits for OTPs, dates of birth or numbers that are hard to hear; a typed date of birth (DDMMYYYY) is passed on as DD/MM/YYYY
+- Use request_ambulance when caller needs an ambulance - quickly ask for the pickup address, a landmark, what happened to the patient and a callback number, then call it; repeat the address back to the caller
 
 ## HANDLING COMMON SCENARIOS:
 
 ### 1. EMERGENCY CALLS:
-If caller mentions: chest pain, severe bleeding, accident, unconscious, breathing difficulty, stroke symptoms
+If caller mentions: chest pain, severe bleeding, accident, unconscious, breathing difficulty, stroke symptoms (including sudden numbness or dizziness), bleeding or labour pains in pregnancy
 - Immediately respond: "This sounds urgent. I'm connecting you to our emergency department right away. Please stay on the line."
 - Use emergency_protocols function
 - DO NOT ask unnecessary questions
+- If the caller asks for an ambulance, use request_ambulance instead - the pickup address comes first
 
 ### 2. DOCTOR INQUIRIES:
 - Ask for specialization or doctor name
 - Search using available functions
-- Provide doctor availability and consultation timings
+- Provide doctor availability and consultation timings as concrete dates (e.g., "Monday, 26 October"), never as weekday numbers
 - Guide on booking appointments
 
 ### 3. DEPARTMENT ROUTING:
-- Identify the department based on caller's need
+- Identify the department based on caller's need - use suggest_department when they describe symptoms
+- Never diagnose, name a condition or suggest medicines or treatment; only route the caller
 - Provide brief information about the department
 - Offer to transfer the call or provide direct contact number
 
 ### 4. APPOINTMENT BOOKING:
 - Get patient name, preferred department/doctor, and preferred date/time
-- Guide through the booking process
-- Provide appointment confirmation details
+- The caller's number is used for the booking unless they give a different one
+- Book using book_appointment and read back the booking reference clearly
+- If the day is full or the doctor does not consult that day, offer the alternatives returned
+- To cancel or reschedule, ask for the booking reference; the caller is verified by the number they are calling from
+- Always confirm with the caller before cancelling an appointment
 
 ### 5. GENERAL INQUIRIES:
 - Hospital timings, visiting hours, facilities
 - OPD schedules, diagnostic services
-- Insurance and billing queries
+- Insurance and billing queries - use get_cost_estimate for prices and check_insurance for insurers/TPAs; only transfer to billing if they have no answer
 - Patient room inquiries
 
 ## TONE ADJUSTMENTS:
@@ -115,6 +135,12 @@ Remember: Your goal is to make every caller feel heard, helped, and cared for. Y
 
 export const VOICE_CONFIG = {
     voice: process.env.DEFAULT_VOICE || "alloy",
+    // Voice used when the call is in a given language (falls back to the default voice)
+    languageVoices: {
+        en: process.env.VOICE_EN,
+        hi: process.env.VOICE_HI,
+        mr: process.env.VOICE_MR
+    },
     inputAudioFormat: "g711_ulaw", // Best for telephony (Twilio compatibility)
     outputAudioFormat: "g711_ulaw",
     turnDetection: {
@@ -127,23 +153,68 @@ export const VOICE_CONFIG = {
     maxResponseOutputTokens: 1000
 };
 
+// ============================================
+// IVR MENU (played by /exotel/passthru before the call reaches Maya)
+// ============================================
+
+// A language option starts Maya in that language; the emergency option dials
+// the emergency line straight away without involving the AI
+export const IVR_MENU = {
+    enabled: process.env.IVR_ENABLED !== 'false',
+    timeoutSeconds: parseInt(process.env.IVR_TIMEOUT_SECONDS) || 6,
+    prompt: "Welcome to Lilavati Hospital. For English, press 1. Hindi ke liye, 2 dabaiye. Marathi saathi, 3 daaba. For a medical emergency, press 9.",
+    options: {
+        "1": { language: "en" },
+        "2": { language: "hi" },
+        "3": { language: "mr" },
+        "9": { emergencyContact: "main" } // Key of EMERGENCY_CONTACTS
+    }
+};
+
 // ============================================
 // DEPARTMENT MAPPING (For quick reference)
 // ============================================
 
 export const DEPARTMENT_KEYWORDS = {
-    "cardiology": ["heart", "cardiac", "chest pain", "heart attack", "bp", "blood pressure"],
-    "orthopedics": ["bone", "fracture", "joint", "knee", "hip", "spine", "back pain"],
-    "neurology": ["brain", "nerve", "headache", "migraine", "stroke", "paralysis", "seizure"],
-    "gastroenterology": ["stomach", "digestion", "liver", "intestine", "acidity", "ulcer"],
-    "oncology": ["cancer", "tumor", "chemotherapy", "radiation"],
-    "pediatrics": ["child", "baby", "kid", "infant", "pediatric"],
-    "gynecology": ["pregnancy", "women", "obstetric", "delivery", "gynec"],
+    "cardiology": ["heart", "cardiac", "chest pain", "heart attack", "bp", "blood pressure", "palpitation", "dil", "dhadkan"],
+    "orthopedics": ["bone", "fracture", "joint", "knee", "hip", "spine", "back pain", "haddi", "ghutna", "kamar dard"],
+    "neurology": ["brain", "nerve", "headache", "migraine", "stroke", "paralysis", "seizure", "numbness", "sir dard", "chakkar"],
+    "gastroenterology": ["stomach", "digestion", "liver", "intestine", "acidity", "ulcer", "jaundice", "pet dard", "potdukhi"],
+    "oncology": ["cancer", "tumor", "chemotherapy", "radiation", "lump", "gaath"],
+    "pediatrics": ["child", "baby", "kid", "infant", "pediatric", "bachcha", "bacha", "mulga", "mulgi"],
+    "gynecology": ["pregnancy", "women", "obstetric", "delivery", "gynec", "period", "menstrual", "pregnant"],
     "emergency": ["emergency", "urgent", "accident", "severe", "unconscious", "bleeding"],
     "radiology": ["xray", "x-ray", "scan", "mri", "ct scan", "ultrasound", "sonography"],
     "pathology": ["blood test", "lab test", "biopsy", "report", "test report"]
 };
 
+// ============================================
+// WAYFINDING
+// ============================================
+
+// Starting points for in-hospital directions; every floor is reached by the main lifts.
+// toLifts and toGroundFloor are message keys in config/messages.js
+export const WAYFINDING_LANDMARKS = {
+    main_entrance: {
+        name: "main entrance",
+        aliases: ["main entrance", "main gate", "front entrance", "reception", "lobby", "registration"],
+        toLifts: "directionsMainEntranceToLifts",
+        toGroundFloor: "directionsMainEntranceToGroundFloor"
+    },
+    emergency_entrance: {
+        name: "emergency entrance",
+        aliases: ["emergency entrance", "emergency gate", "casualty", "emergency"],
+        toLifts: "directionsEmergencyEntranceToLifts",
+        toGroundFloor: "directionsEmergencyEntranceToGroundFloor"
+    },
+    parking: {
+        name: "parking",
+        aliases: ["parking", "car park", "parking lot", "basement"],
+        toLifts: "directionsParkingToLifts",
+        toGroundFloor: "directionsParkingToGroundFloor"
+    }
+};
+
 // ============================================
 // FUNCTION CALLING TOOLS
 // ============================================
@@ -152,7 +223,7 @@ export const FUNCTION_TOOLS = [
     {
         type: "function",
         name: "search_doctors",
-        description: "Search for doctors by specialization, name, or department. Use when caller asks about doctors or specialists.",
+        description: "Search for doctors by specialization, name, or department, optionally filtered by language spoken, consultation fee, rating or experience. Use when caller asks about doctors or specialists.",
         parameters: {
             type: "object",
             properties: {
@@ -167,6 +238,31 @@ export const FUNCTION_TOOLS = [
                 locationBranch: {
                     type: "string",
                     description: "Hospital branch/location"
+                },
+                language: {
+                    type: "string",
+                    description: "Language the doctor should speak (e.g., 'Marathi', 'Hindi', 'Gujarati')"
+                },
+                minFee: {
+                    type: "number",
+                    description: "Minimum consultation fee in rupees"
+                },
+                maxFee: {
+                    type: "number",
+                    description: "Maximum consultation fee in rupees (e.g., 1200 for 'under 1200 rupees')"
+                },
+                minRating: {
+                    type: "number",
+                    description: "Minimum patient rating out of 5 (e.g., 4.5)"
+                },
+                minExperience: {
+                    type: "number",
+                    description: "Minimum years of experience"
+                },
+                sortBy: {
+                    type: "string",
+                    enum: ["fee_low", "fee_high", "rating", "experience"],
+                    description: "Order of results: fee_low for cheaper doctors first, fee_high, rating for best rated, experience for most experienced"
                 }
             }
         }
@@ -185,6 +281,53 @@ export const FUNCTION_TOOLS = [
             }
         }
     },
+    {
+        type: "function",
+        name: "suggest_department",
+        description: "Suggest the right hospital department for symptoms the caller describes, and flag emergencies. Use before searching doctors or transferring when the caller describes a health problem instead of naming a department.",
+        parameters: {
+            type: "object",
+            properties: {
+                symptoms: {
+                    type: "string",
+                    description: "The caller's description of the problem in their own words (e.g., 'knee pain after a fall', 'pet dard aur ulti')"
+                },
+                patientAge: {
+                    type: "number",
+                    description: "Patient's age in years, if mentioned"
+                },
+                locationBranch: {
+                    type: "string",
+                    description: "Hospital branch/location, if the caller has one in mind"
+                }
+            },
+            required: ["symptoms"]
+        }
+    },
+    {
+        type: "function",
+        name: "get_directions",
+        description: "Give step-by-step walking directions inside the hospital to a department or facility (e.g., MRI, cardiology, pharmacy). Use when a visitor asks where something is or which floor it is on.",
+        parameters: {
+            type: "object",
+            properties: {
+                destination: {
+                    type: "string",
+                    description: "Department or facility the caller wants to reach (e.g., 'MRI', 'Cardiology', 'Blood Collection')"
+                },
+                from: {
+                    type: "string",
+                    enum: ["main_entrance", "emergency_entrance", "parking"],
+                    description: "Where the caller is starting from (default: main_entrance)"
+                },
+                locationBranch: {
+                    type: "string",
+                    description: "Hospital branch the caller is at"
+                }
+            },
+            required: ["destination"]
+        }
+    },
     {
         type: "function",
         name: "get_hospital_locations",
@@ -199,6 +342,29 @@ export const FUNCTION_TOOLS = [
             }
         }
     },
+    {
+        type: "function",
+        name: "find_nearest_branch",
+        description: "Find the hospital branch nearest to the caller's area, landmark or pincode, optionally one that has a specific department or 24/7 emergency. Use when a caller asks which branch is closest to them.",
+        parameters: {
+            type: "object",
+            properties: {
+                area: {
+                    type: "string",
+                    description: "Caller's area, station, landmark or 6-digit pincode (e.g., 'Thane West', 'near Andheri station', '400601')"
+                },
+                department: {
+                    type: "string",
+                    description: "Department the caller needs, if any (e.g., 'Cardiology')"
+                },
+                needsEmergency: {
+                    type: "boolean",
+                    description: "True if the caller needs a branch with a 24/7 emergency department"
+                }
+            },
+            required: ["area"]
+        }
+    },
     {
         type: "function",
         name: "get_contact_details",
@@ -216,20 +382,239 @@ export const FUNCTION_TOOLS = [
     {
         type: "function",
         name: "check_doctor_availability",
-        description: "Check doctor's availability schedule for specific days. Use when caller asks about doctor's timings or availability.",
+        description: "Check doctor's availability on concrete dates. Use when caller asks about doctor's timings or availability. Returns dated sessions (YYYY-MM-DD) that can be passed to book_appointment.",
         parameters: {
             type: "object",
             properties: {
-                doctorId: {
+                doctorName: {
                     type: "string",
-                    description: "Doctor's unique ID"
+                    description: "Doctor's name as the caller said it (e.g., 'Dr. Priya Sharma', 'Sharma')"
                 },
-                dayOfWeek: {
-                    type: "integer",
-                    description: "Day of week (0=Sunday, 6=Saturday). Optional, returns all days if not specified."
+                specialization: {
+                    type: "string",
+                    description: "Medical specialization, if the caller did not name a doctor or to narrow down a name (e.g., 'cardiology')"
+                },
+                when: {
+                    type: "string",
+                    description: "When the caller wants to come, in their own words (e.g., 'tomorrow evening', 'next Monday', 'kal', 'parso', 'agle hafte', '25 December'). Optional, defaults to the coming week."
+                }
+            }
+        }
+    },
+    {
+        type: "function",
+        name: "book_appointment",
+        description: "Book an appointment with a doctor on a specific date. Checks the doctor's schedule and slot capacity, and returns a booking reference for the caller.",
+        parameters: {
+            type: "object",
+            properties: {
+                doctorName: {
+                    type: "string",
+                    description: "Doctor's name as the caller said it (e.g., 'Dr. Priya Sharma', 'Sharma')"
+                },
+                specialization: {
+                    type: "string",
+                    description: "Medical specialization, if the caller did not name a doctor or to narrow down a name (e.g., 'cardiology')"
+                },
+                appointmentDate: {
+                    type: "string",
+                    description: "Appointment date in YYYY-MM-DD format, or the caller's words for a single day (e.g., 'tomorrow', 'next Monday', 'kal')"
+                },
+                preferredTime: {
+                    type: "string",
+                    description: "Preferred time in 24-hour HH:MM format (optional)"
+                },
+                patientName: {
+                    type: "string",
+                    description: "Patient's full name"
+                },
+                patientPhone: {
+                    type: "string",
+                    description: "Patient's phone number (optional, defaults to the caller's number)"
+                },
+                reason: {
+                    type: "string",
+                    description: "Brief reason for the visit (optional)"
+                }
+            },
+            required: ["appointmentDate", "patientName"]
+        }
+    },
+    {
+        type: "function",
+        name: "find_my_appointments",
+        description: "List the caller's upcoming appointments, identified by the phone number they are calling from.",
+        parameters: {
+            type: "object",
+            properties: {}
+        }
+    },
+    {
+        type: "function",
+        name: "cancel_appointment",
+        description: "Cancel one of the caller's appointments. Confirm with the caller before calling this.",
+        parameters: {
+            type: "object",
+            properties: {
+                bookingReference: {
+                    type: "string",
+                    description: "Booking reference quoted by the caller (e.g., 'LH-7KQ2PX')"
+                },
+                reason: {
+                    type: "string",
+                    description: "Reason for cancelling (optional)"
+                }
+            },
+            required: ["bookingReference"]
+        }
+    },
+    {
+        type: "function",
+        name: "reschedule_appointment",
+        description: "Move one of the caller's appointments to a new date with the same doctor. The booking reference stays the same.",
+        parameters: {
+            type: "object",
+            properties: {
+                bookingReference: {
+                    type: "string",
+                    description: "Booking reference quoted by the caller (e.g., 'LH-7KQ2PX')"
+                },
+                newDate: {
+                    type: "string",
+                    description: "New appointment date in YYYY-MM-DD format, or the caller's words for a single day (e.g., 'tomorrow', 'next Monday', 'parso')"
+                },
+                preferredTime: {
+                    type: "string",
+                    description: "Preferred time in 24-hour HH:MM format (optional)"
+                }
+            },
+            required: ["bookingReference", "newDate"]
+        }
+    },
+    {
+        type: "function",
+        name: "get_cost_estimate",
+        description: "Get approximate charges for a doctor consultation, test, procedure, room category or treatment package, including whether it can be cashless with insurance. Use for billing and price questions before offering a transfer.",
+        parameters: {
+            type: "object",
+            properties: {
+                item: {
+                    type: "string",
+                    description: "What the caller wants the price of (e.g., 'MRI', 'private room', 'normal delivery', 'knee replacement')"
+                },
+                category: {
+                    type: "string",
+                    enum: ["consultation", "procedure", "room", "package"],
+                    description: "Kind of charge, if clear from the question"
+                },
+                doctorName: {
+                    type: "string",
+                    description: "Doctor's name, for a consultation fee"
+                },
+                specialization: {
+                    type: "string",
+                    description: "Specialization, for the consultation fee range (e.g., 'Cardiology')"
+                },
+                locationBranch: {
+                    type: "string",
+                    description: "Hospital branch/location"
+                }
+            }
+        }
+    },
+    {
+        type: "function",
+        name: "check_insurance",
+        description: "Check whether an insurance company, TPA or government health scheme is accepted, whether treatment is cashless or reimbursement, and which documents to bring for admission.",
+        parameters: {
+            type: "object",
+            properties: {
+                insurerName: {
+                    type: "string",
+                    description: "Insurer, TPA or scheme name as the caller said it (e.g., 'Star Health', 'ICICI Lombard', 'Medi Assist', 'CGHS')"
+                },
+                locationBranch: {
+                    type: "string",
+                    description: "Hospital branch/location"
+                }
+            },
+            required: ["insurerName"]
+        }
+    },
+    {
+        type: "function",
+        name: "check_report_status",
+        description: "Check whether a lab report is pending, ready or dispatched. The caller is verified by their registered phone number plus the patient's date of birth or the sample ID. Never gives results.",
+        parameters: {
+            type: "object",
+            properties: {
+                sampleId: {
+                    type: "string",
+                    description: "Sample ID from the collection receipt, exactly as the caller reads it"
+                },
+                dateOfBirth: {
+                    type: "string",
+                    description: "Patient's date of birth as the caller says it, including the year (e.g., '15 August 1962')"
+                },
+                registeredPhone: {
+                    type: "string",
+                    description: "Registered mobile number, only if the caller is calling from a different number"
+                }
+            }
+        }
+    },
+    {
+        type: "function",
+        name: "check_bed_availability",
+        description: "Check free beds by ward category and branch for planned admissions or emergency referrals. Only for verified hospital staff - the caller must give their employee ID and call from their registered number.",
+        parameters: {
+            type: "object",
+            properties: {
+                employeeId: {
+                    type: "string",
+                    description: "Caller's hospital employee ID"
+                },
+                category: {
+                    type: "string",
+                    enum: ["general", "semi_private", "private", "icu", "nicu"],
+                    description: "Ward category (omit for all categories)"
+                },
+                locationBranch: {
+                    type: "string",
+                    description: "Hospital branch/location (omit for all branches)"
+                }
+            }
+        }
+    },
+    {
+        type: "function",
+        name: "request_ambulance",
+        description: "Send an ambulance to the caller. Collect the pickup address, a nearby landmark, the patient's condition and a callback number, then call this - it records the request, alerts the ambulance desk and transfers the call there.",
+        parameters: {
+            type: "object",
+            properties: {
+                pickupAddress: {
+                    type: "string",
+                    description: "Full pickup address as the caller says it (building, street, area)"
+                },
+                landmark: {
+                    type: "string",
+                    description: "Nearby landmark that helps the driver find the address"
+                },
+                patientCondition: {
+                    type: "string",
+                    description: "Patient's condition in the caller's words (e.g., 'fell and can't stand', 'unconscious')"
+                },
+                callbackNumber: {
+                    type: "string",
+                    description: "Number the ambulance desk can call back on, only if different from the number the caller is calling from"
+                },
+                patientName: {
+                    type: "string",
+                    description: "Patient's name, if given"
                 }
             },
-            required: ["doctorId"]
+            required: ["pickupAddress", "patientCondition"]
         }
     },
     {
@@ -241,7 +626,7 @@ export const FUNCTION_TOOLS = [
             properties: {
                 emergencyType: {
                     type: "string",
-                    enum: ["cardiac", "trauma", "stroke", "breathing", "bleeding", "general"],
+                    enum: ["cardiac", "trauma", "stroke", "breathing", "obstetric", "bleeding", "general"],
                     description: "Type of emergency"
                 },
                 callerPhone: {
@@ -271,6 +656,56 @@ export const FUNCTION_TOOLS = [
             required: ["reason"]
         }
     },
+    {
+        type: "function",
+        name: "request_callback",
+        description: "Ask a department to call the caller back. Use when a transfer could not reach anyone, or the caller prefers a callback to waiting.",
+        parameters: {
+            type: "object",
+            properties: {
+                department: {
+                    type: "string",
+                    description: "Department that should call back (e.g., 'Cardiology', 'Billing')"
+                },
+                callbackNumber: {
+                    type: "string",
+                    description: "Number to call back on, only if different from the number the caller is calling from"
+                },
+                callerName: {
+                    type: "string",
+                    description: "Caller's name"
+                },
+                preferredTime: {
+                    type: "string",
+                    description: "When the caller would like the call, in their words (e.g., 'after 4 pm', 'tomorrow morning')"
+                },
+                reason: {
+                    type: "string",
+                    description: "What the caller needs, in a few words"
+                }
+            },
+            required: ["department"]
+        }
+    },
+    {
+        type: "function",
+        name: "collect_digits",
+        description: "Ask the caller to type a number on their phone keypad instead of saying it - for OTPs, dates of birth, phone numbers or numeric IDs, or when speech is hard to hear. The entry arrives as a message starting with [Keypad input].",
+        parameters: {
+            type: "object",
+            properties: {
+                purpose: {
+                    type: "string",
+                    description: "What the caller should type, as said to them (e.g., 'OTP', 'date of birth as day, month and year', 'mobile number')"
+                },
+                maxDigits: {
+                    type: "integer",
+                    description: "Exact number of digits expected (e.g., 6 for an OTP, 8 for a date of birth as DDMMYYYY, 10 for a mobile number); omit to wait for the hash key"
+                }
+            },
+            required: ["purpose"]
+        }
+    },
     {
         type: "function",
         name: "search_hospital_info",
@@ -299,22 +734,117 @@ export const EMERGENCY_CONTACTS = {
     cardiac: "+91-22-2640-3333"
 };
 
+// Extra lines tried, in order, when a department's own number is busy or unanswered.
+// Keys are matched against the requested department; the main desk (EMERGENCY_CONTACTS.main)
+// is always tried last, and if that fails too Maya offers the caller a callback.
+export const TRANSFER_FALLBACK_CHAINS = {
+    cardiology: ["+91-22-2640-2102", "+91-22-2640-2100"],
+    neurology: ["+91-22-2640-3102", "+91-22-2640-3100"],
+    orthopedics: ["+91-22-2640-4102", "+91-22-2640-4100"],
+    appointments: ["+91-22-2640-2001"],
+    billing: ["+91-22-2640-3001"],
+    records: ["+91-22-2640-4001"]
+};
+
+// Phrases that mean the caller needs emergency care now, grouped by emergency_protocol type.
+// Checked in this order, so the first type matched is the one used. Hindi/Marathi are matched
+// romanized; an array entry only counts when every phrase in it is mentioned.
+export const EMERGENCY_RED_FLAGS = {
+    cardiac: ["chest pain", "heart attack", "cardiac arrest", "no pulse", "seene mein dard", "chhati mein dard", "chhatit dukhta"],
+    stroke: [
+        "stroke", "face drooping", "slurred speech", "sudden weakness", "one side paralysed", "one side paralyzed", "lakwa",
+        "arm numb", "arm is numb", "arm went numb", "numb arm", "face numb", "sudden numbness", "can't move my arm", "can't lift my arm", "sudden vision loss",
+        ["dizzy", "numb"], ["dizziness", "numb"],
+        "haath sunn", "munh tedha", "munh tedhaa", ["chakkar", "sunn"],
+        "haat badhir", "haat badheer", "tond vakda", "tond vaakadan", ["chakkar", "badhir"], ["chakkar", "badheer"]
+    ],
+    breathing: ["can't breathe", "cannot breathe", "not breathing", "breathing difficulty", "choking", "saans nahi", "shwas ghenyas tras"],
+    obstetric: [
+        "water broke", "waters broke", "water has broken", "waters have broken", "labour pain", "labor pain", "in labour", "in labor",
+        "contractions", "bleeding in pregnancy", "pregnancy bleeding", "baby not moving", "baby stopped moving",
+        ["pregnant", "bleeding"], ["pregnant", "blood"], ["pregnant", "fits"], ["pregnant", "unconscious"],
+        "prasav peeda", "prasav peedaa", "thaili phat", "thailee phat",
+        ["garbhvati", "khoon"], ["garbhavatee", "khoon"], ["garbhavatee", "bleeding"], ["pregnant", "khoon"], ["preganent", "khoon"], ["preganent", "bleeding"],
+        "kala yet", "kalaa yet", "paani gela", "paanee gelan", "paanee gele",
+        ["garodar", "rakt"], ["garodar", "raktastraav"], ["garodar", "raktasrav"], ["garodar", "bleeding"]
+    ],
+    bleeding: ["heavy bleeding", "severe bleeding", "bleeding a lot", "vomiting blood", "coughing blood", "bahut khoon"],
+    trauma: ["accident", "fell from", "head injury", "severe burn", "burns", "electric shock", "snake bite", "dog bite"],
+    general: ["unconscious", "fainted", "not responding", "fits", "seizure", "poison", "overdose", "suicide", "behosh", "beshuddh"]
+};
+
+// ============================================
+// BED CATEGORIES
+// ============================================
+
+// bed_inventory.category values and how they are said to callers
+export const BED_CATEGORIES = {
+    general: "General ward",
+    semi_private: "Semi-private",
+    private: "Private",
+    icu: "ICU",
+    nicu: "NICU"
+};
+
 // ============================================
 // CONVERSATION TEMPLATES
 // ============================================
 
+// Keyed by language like config/messages.js; English is the fallback
 export const CONVERSATION_TEMPLATES = {
-    greeting: "Hello! You've reached Lilavati Hospital. I'm Maya, your AI assistant. How may I help you today?",
+    en: {
+        greeting: "Hello! You've reached Lilavati Hospital. I'm Maya, your AI assistant. How may I help you today?",
+
+        emergencyAlert: "This sounds urgent. I'm immediately connecting you to our emergency department. Please stay on the line.",
+
+        transferring: "I'm transferring your call to {department}. Please hold for a moment.",
+
+        noInformation: "I apologize, but I don't have that specific information right now. Let me connect you to our {department} department who can better assist you.",
+
+        notUnderstood: "I'm sorry, I didn't quite catch that. Could you say it again?",
 
-    emergencyAlert: "This sounds urgent. I'm immediately connecting you to our emergency department. Please stay on the line.",
+        technicalIssue: "I'm sorry, something isn't working on my side right now. Let me connect you to our operator.",
 
-    transferring: "I'm transferring your call to {department}. Please hold for a moment.",
+        appointmentConfirmation: "Your appointment with {doctor} in {department} is booked for {date}, between {time}. Your booking reference is {reference}. Please quote it if you need to change the appointment.",
 
-    noInformation: "I apologize, but I don't have that specific information right now. Let me connect you to our {department} department who can better assist you.",
+        goodbye: "Thank you for calling Lilavati Hospital. Take care and have a great day!"
+    },
+
+    hi: {
+        greeting: "नमस्ते! लीलावती हॉस्पिटल में आपका स्वागत है। मैं माया हूँ, आपकी AI सहायक। मैं आपकी क्या मदद कर सकती हूँ?",
+
+        emergencyAlert: "यह गंभीर लग रहा है। मैं आपको तुरंत हमारे इमरजेंसी विभाग से जोड़ रही हूँ। कृपया लाइन पर बने रहें।",
+
+        transferring: "मैं आपकी कॉल {department} को ट्रांसफ़र कर रही हूँ। कृपया एक पल होल्ड करें।",
+
+        noInformation: "माफ़ कीजिए, यह जानकारी अभी मेरे पास नहीं है। मैं आपको हमारे {department} विभाग से जोड़ देती हूँ, वे आपकी बेहतर मदद कर पाएँगे।",
 
-    appointmentConfirmation: "I've noted your appointment request for {doctor} in {department}. You'll receive a confirmation call shortly at {phone}.",
+        notUnderstood: "माफ़ कीजिए, मैं ठीक से समझ नहीं पाई। क्या आप दोबारा बता सकते हैं?",
+
+        technicalIssue: "माफ़ कीजिए, अभी थोड़ी तकनीकी दिक्कत है। मैं आपको हमारे ऑपरेटर से जोड़ देती हूँ।",
+
+        appointmentConfirmation: "{department} में {doctor} के साथ आपका अपॉइंटमेंट {date} को {time} के बीच बुक हो गया है। आपका बुकिंग रेफ़रेंस {reference} है। अपॉइंटमेंट बदलना हो तो यही रेफ़रेंस बताइए।",
+
+        goodbye: "लीलावती हॉस्पिटल को कॉल करने के लिए धन्यवाद। अपना ध्यान रखिए!"
+    },
 
-    goodbye: "Thank you for calling Lilavati Hospital. Take care and have a great day!"
+    mr: {
+        greeting: "नमस्कार! लीलावती हॉस्पिटलमध्ये आपले स्वागत आहे. मी माया, आपली AI सहाय्यक. मी आपली काय मदत करू शकते?",
+
+        emergencyAlert: "हे तातडीचे वाटत आहे. मी आपल्याला लगेच आमच्या इमर्जन्सी विभागाशी जोडत आहे. कृपया लाइनवर रहा.",
+
+        transferring: "मी आपला कॉल {department} कडे ट्रान्सफर करत आहे. कृपया थोडा वेळ होल्ड करा.",
+
+        noInformation: "माफ करा, ही माहिती सध्या माझ्याकडे नाही. मी आपल्याला आमच्या {department} विभागाशी जोडते, ते आपली अधिक चांगली मदत करू शकतील.",
+
+        notUnderstood: "माफ करा, मला नीट समजले नाही. कृपया पुन्हा सांगाल का?",
+
+        technicalIssue: "माफ करा, सध्या थोडी तांत्रिक अडचण आहे. मी आपल्याला आमच्या ऑपरेटरशी जोडते.",
+
+        appointmentConfirmation: "{department} मध्ये {doctor} यांच्यासोबत आपली अपॉइंटमेंट {date} रोजी {time} या वेळेत बुक झाली आहे. आपला बुकिंग रेफरन्स {reference} आहे. अपॉइंटमेंट बदलायची असल्यास हाच रेफरन्स सांगा.",
+
+        goodbye: "लीलावती हॉस्पिटलला कॉल केल्याबद्दल धन्यवाद. काळजी घ्या!"
+    }
 };
 
 // ============================================
@@ -327,19 +857,81 @@ export const SUPPORTED_LANGUAGES = {
     mr: "Marathi"
 };
 
+// Words that mark a caller's transcript as Hindi or Marathi. Words shared by both
+// languages (or with English, like "doctor") are left out so they don't tip the count.
 export const LANGUAGE_DETECTION_KEYWORDS = {
-    hi: ["namaste", "kaise", "chahiye", "doctor", "hospital"],
-    mr: ["namaskaar", "kasa", "pahije", "doctor", "hospital"]
+    hi: [
+        "namaste", "kaise", "chahiye", "mujhe", "mera", "meri", "aap", "hai", "hain", "kya", "kab", "kahan", "kripya", "bataiye", "theek",
+        "नमस्ते", "कैसे", "चाहिए", "मुझे", "मेरा", "मेरी", "आप", "है", "हैं", "क्या", "कब", "कहाँ", "बताइए", "ठीक"
+    ],
+    mr: [
+        "namaskar", "namaskaar", "kasa", "kashi", "pahije", "mala", "maza", "mazi", "tumhi", "aahe", "ahe", "kay", "kevha", "kuthe", "krupaya", "sanga",
+        "नमस्कार", "कसा", "कशी", "पाहिजे", "मला", "माझा", "माझी", "तुम्ही", "आहे", "काय", "केव्हा", "कुठे", "सांगा"
+    ]
+};
+
+// Added to the system prompt once a call's language is pinned to Hindi or Marathi. The
+// greeting and fallback phrases quoted alongside come from CONVERSATION_TEMPLATES.
+export const LANGUAGE_PROMPTS = {
+    hi: {
+        guidelines: [
+            "Speak simple, everyday Hindi. Common English words callers use (doctor, appointment, report, OPD) are fine",
+            "Keep doctor names, department names, booking references and phone numbers exactly as they are",
+            "Function results are already in Hindi; names, addresses and directions may still be in English - say those naturally"
+        ]
+    },
+    mr: {
+        guidelines: [
+            "Speak simple, everyday Marathi. Common English words callers use (doctor, appointment, report, OPD) are fine",
+            "Keep doctor names, department names, booking references and phone numbers exactly as they are",
+            "Function results are already in Marathi; names, addresses and directions may still be in English - say those naturally"
+        ]
+    }
+};
+
+// ============================================
+// SPEECH FORMATTING
+// ============================================
+
+// Address abbreviations expanded before a function result is read out. Hindi and
+// Marathi keep the English word in Devanagari, the way Mumbai callers say it.
+// Bracketed compass points ("Bandra (W)") are matched as written. afterName entries
+// are only expanded at the end of a name ("Hill St,"), so "St. Andrew's Road" stays Saint.
+export const ADDRESS_ABBREVIATIONS = {
+    "Rd": { en: "Road", hi: "रोड", mr: "रोड" },
+    "St": { en: "Street", hi: "स्ट्रीट", mr: "स्ट्रीट", afterName: true },
+    "Nr": { en: "Near", hi: "नियर", mr: "नियर" },
+    "Opp": { en: "Opposite", hi: "ऑपोज़िट", mr: "ऑपोझिट" },
+    "Bldg": { en: "Building", hi: "बिल्डिंग", mr: "बिल्डिंग" },
+    "Stn": { en: "Station", hi: "स्टेशन", mr: "स्टेशन" },
+    "Hosp": { en: "Hospital", hi: "हॉस्पिटल", mr: "हॉस्पिटल" },
+    "Mkt": { en: "Market", hi: "मार्केट", mr: "मार्केट" },
+    "Apt": { en: "Apartment", hi: "अपार्टमेंट", mr: "अपार्टमेंट" },
+    "Soc": { en: "Society", hi: "सोसायटी", mr: "सोसायटी" },
+    "Flr": { en: "Floor", hi: "फ़्लोर", mr: "फ्लोअर" },
+    "Sec": { en: "Sector", hi: "सेक्टर", mr: "सेक्टर" },
+    "Jn": { en: "Junction", hi: "जंक्शन", mr: "जंक्शन" },
+    "(W)": { en: "West", hi: "वेस्ट", mr: "वेस्ट" },
+    "(E)": { en: "East", hi: "ईस्ट", mr: "ईस्ट" },
+    "(N)": { en: "North", hi: "नॉर्थ", mr: "नॉर्थ" },
+    "(S)": { en: "South", hi: "साउथ", mr: "साउथ" }
 };
 
 export default {
     HOSPITAL_INFO,
     SYSTEM_PROMPT,
     VOICE_CONFIG,
+    IVR_MENU,
     DEPARTMENT_KEYWORDS,
+    WAYFINDING_LANDMARKS,
     FUNCTION_TOOLS,
     EMERGENCY_CONTACTS,
+    TRANSFER_FALLBACK_CHAINS,
+    EMERGENCY_RED_FLAGS,
+    BED_CATEGORIES,
     CONVERSATION_TEMPLATES,
     SUPPORTED_LANGUAGES,
-    LANGUAGE_DETECTION_KEYWORDS
+    LANGUAGE_DETECTION_KEYWORDS,
+    LANGUAGE_PROMPTS,
+    ADDRESS_ABBREVIATIONS
 };
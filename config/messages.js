@@ -0,0 +1,797 @@
+// ============================================
+// Message Catalogue
+// Everything Maya's function handlers and the Exotel call flow say to callers,
+// in English, Hindi and Marathi. {placeholders} are filled in by utils/i18n.js;
+// a key missing from Hindi or Marathi falls back to English.
+// Guidance for the model (the "guidance" field) stays in English.
+// ============================================
+
+export const MESSAGES = {
+    en: {
+        // Shared wording
+        or: "or",
+        and: "and",
+        atBranch: " at {branch}",
+        dateRange: "{start} to {end}",
+        timestampAt: "{date} at {time}",
+
+        // Doctor and date lookups
+        doctorAskWhich: "Which doctor or specialization would you like?",
+        doctorNameNotFound: "I couldn't find a doctor named {name}. Could you repeat the doctor's name?",
+        doctorNameNotFoundInSpecialization: "I couldn't find a doctor named {name} in {specialization}. Could you repeat the doctor's name?",
+        doctorSpecializationNone: "I couldn't find any {specialization} doctors available. Would you like me to check another specialization?",
+        doctorDidYouMean: "Did you mean {choices}?",
+        doctorNameAmbiguous: "I found more than one doctor matching {name}: {choices}. Which one did you mean?",
+        doctorChooseFromSpecialization: "We have {count} {specialization} doctors: {choices}. Which doctor would you like?",
+        dateAskAppointmentDay: "Which day would you like the appointment on?",
+        dateAppointmentPassed: "That date has already passed. Which upcoming date would suit you?",
+        slotDoctorOff: "{doctor} is not available on {date}. Would you like to try another date?",
+        slotNoConsultDay: "{doctor} does not consult on {day}s. Available days are {days}. Which day would you prefer?",
+        slotNoSchedule: "I couldn't find any consultation schedule for {doctor}. Let me connect you to our appointments desk.",
+        slotFullyBooked: "{doctor} is fully booked on {date}. Would you like to try another date?",
+
+        // Existing appointments
+        appointmentAskReference: "Could you tell me your booking reference? It starts with L H.",
+        appointmentCallerNumberNeeded: "I can only look up appointments for the number you are calling from, and I can't see it on this call. Please call us from the phone number the appointment was booked with.",
+        appointmentReferenceNotFound: "I couldn't find an appointment with that booking reference for this phone number. Could you read the reference out again?",
+        appointmentAlreadyStatus: "That appointment is already {status}.",
+        appointmentStatusCancelled: "cancelled",
+        appointmentStatusCompleted: "completed",
+        appointmentStatusNoShow: "marked as missed",
+        appointmentDatePassed: "That appointment date has already passed.",
+        appointmentLine: "{reference} with {doctor} on {date}, {time}",
+        appointmentLineNoDoctor: "{reference} on {date}, {time}",
+
+        // search_doctors
+        doctorsNoneWithPreferences: "No doctors match all of those preferences. Would you like me to search again with fewer conditions?",
+        doctorsNone: "No doctors found matching your criteria. Would you like me to check our general physician availability?",
+        doctorLine: "{doctor}, {specialization}{department}{branch}. Consultation fee: {fee}.{details}",
+        doctorLineDepartment: " in {department}",
+        doctorFeeNotSpecified: "Not specified",
+        doctorSpeaks: "Speaks {languages}",
+        doctorExperience: "{years} years of experience",
+        doctorRated: "Rated {rating} out of 5",
+        doctorSortFeeLow: "lowest consultation fee first",
+        doctorSortFeeHigh: "highest consultation fee first",
+        doctorSortRating: "highest rated first",
+        doctorSortExperience: "most experienced first",
+        doctorsClosestMatch: "I couldn't find an exact match for {name}. The closest doctor(s):\n{list}\nPlease confirm with the caller which one they meant.",
+        doctorsFound: "I found {count} doctor(s){sort}:\n{list}",
+        doctorsError: "I'm having trouble accessing doctor information right now. Let me connect you to our appointments desk.",
+
+        // find_nearest_branch and get_hospital_locations
+        branchAreaUnknown: "I couldn't place that area. Could you tell me the nearest railway station or your pincode?",
+        branchMainFallback: "Our main hospital is at Bandra West, Mumbai. For exact address, let me transfer you to our front desk.",
+        branchNeedDepartment: "the {department} department",
+        branchNeedEmergency: "a 24/7 emergency",
+        branchAmbulance: " For an ambulance, call {number}.",
+        branchNoneSuitable: "None of our branches has {needs}. The nearest branch to {area} is {branch}, {distance} away. Would you like me to connect you to our front desk for help?{ambulance}",
+        branchCloserWithout: " Our {branch} branch is closer, but it does not have {needs}.",
+        branchNearest: "The nearest branch to {area} is {name}, {branch}, {distance} away.{closer}\nAddress: {address}\nPhone: {phone}{ambulance}",
+        branchNearestWith: "The nearest branch to {area} with {needs} is {name}, {branch}, {distance} away.{closer}\nAddress: {address}\nPhone: {phone}{ambulance}",
+        distanceAbout: "about {km} km",
+        locationNotFound: "I couldn't find that location. Our main hospital is in Bandra West, Mumbai.",
+        locationLine: "{name} - {branch}\nAddress: {address}\nPhone: {phone}{timings}",
+        locationTimings: "\nOPD: {opd}, Emergency: {emergency}",
+
+        // get_departments
+        departmentsUnavailable: "I couldn't retrieve department information at the moment.",
+        departmentLine: "{name}{floor}.{services}",
+        departmentFloor: " (Floor {floor})",
+        departmentServices: " Services: {services}",
+        departmentsList: "We have {count} departments:\n{list}",
+        departmentsError: "I'm having trouble accessing department information. Let me transfer you to our main desk.",
+
+        // get_contact_details
+        contactsUnavailable: "Let me transfer you to our main reception who can provide the contact details you need.",
+        contactLine: "{department}{category}\nPhone: {phone}{extension}{hours}",
+        contactExtension: " (Ext: {extension})",
+        contactHours: "\nAvailable: {hours}",
+        contactsError: "For all inquiries, you can reach our main desk at {number}.",
+
+        // check_doctor_availability
+        availabilityAskDay: "Which day would you like me to check? For example, tomorrow or next Monday.",
+        availabilityDatePassed: "That date has already passed. Which upcoming day would you like me to check?",
+        availabilityOn: "on {dates}",
+        availabilityThisWeek: "this week",
+        availabilityNextSession: "{doctor} is not available {when}. The next available session is {date} ({isoDate}), {time}.",
+        availabilityUnknown: "I couldn't find availability information for {doctor}. Let me connect you to appointments for assistance.",
+        availabilitySession: "{date} ({isoDate}): {time}{branch}",
+        availabilitySchedule: "{doctor}'s availability:\n{schedule}\n\nWould you like me to help you book an appointment?",
+        availabilityError: "I'm having trouble checking availability. Let me transfer you to our appointments desk.",
+
+        // Booking, cancelling and rescheduling
+        bookingNeedsDetails: "To book the appointment I need the patient's full name and a contact phone number. Could you please share those?",
+        bookingError: "I'm having trouble booking the appointment right now. Let me transfer you to our appointments desk.",
+        appointmentsNoneForPhone: "I couldn't find any upcoming appointments booked with this phone number. Do you have a booking reference?",
+        appointmentsFound: "I found {count} upcoming appointment(s):\n{list}",
+        appointmentsLookupError: "I'm having trouble looking up your appointments. Let me transfer you to our appointments desk.",
+        appointmentCancelled: "Your appointment {appointment} has been cancelled. Would you like to book a new one?",
+        cancelError: "I'm having trouble cancelling the appointment. Let me transfer you to our appointments desk.",
+        appointmentRescheduled: "Your appointment with {doctor} has been moved to {date}, between {time}. Your booking reference stays {reference}.",
+        rescheduleError: "I'm having trouble rescheduling the appointment. Let me transfer you to our appointments desk.",
+
+        // Emergencies and ambulances
+        emergencyConnecting: "This is an emergency situation. I'm immediately connecting you to our emergency department. Please stay on the line.",
+        emergencyFallback: "Emergency situation detected. Connecting you to emergency services immediately.",
+        ambulanceMissing: "To send the ambulance I need {missing}.",
+        ambulanceNeedAddress: "the pickup address",
+        ambulanceNeedCondition: "the patient's condition",
+        ambulanceNeedCallback: "a callback number",
+        ambulanceLandmark: ", near {landmark}",
+        ambulanceConfirmed: "I've noted the pickup address as {address}{landmark}, and the ambulance desk will call back on {callbackNumber} if the line drops. I'm connecting you to the ambulance desk now. Please stay on the line.",
+        ambulanceFallback: "I'm connecting you to our ambulance desk right away. Please give them the pickup address and stay on the line.",
+
+        // Transfers and callbacks
+        transferToDepartment: "I understand. Let me transfer you to {department} who can better assist you. Please hold.",
+        ourOperator: "our operator",
+        transferFallback: "Let me transfer you to our operator. Please hold.",
+        callbackAskNumber: "Which number should they call you back on?",
+        callbackFailed: "I'm sorry, I couldn't log the callback request right now. Please call our main desk on {number} a little later.",
+        callbackOurTeam: "our team",
+        callbackConfirmed: "I've asked {department} to call you back on {callbackNumber} {time}.",
+        callbackConfirmedAsap: "I've asked {department} to call you back on {callbackNumber} as soon as someone is free.",
+
+        // collect_digits
+        digitsDefaultPurpose: "number",
+        digitsPrompt: "Please type the {purpose} on your phone's keypad.",
+        digitsPromptWithHash: "Please type the {purpose} on your phone's keypad, then press the hash key.",
+        digitsError: "Could you please say the number slowly instead?",
+
+        // get_cost_estimate
+        consultationFeeAsk: "Which doctor or specialization would you like the consultation fee for?",
+        consultationFeeUnknown: "I don't have the consultation fee for that right now. Our billing desk can tell you - shall I connect you?",
+        consultationWithDoctor: "with {doctor}",
+        consultationWithSpecialization: "with our {specialization} doctors",
+        consultationFee: "A consultation {subject} costs {price} per visit. {payment} Fees can change, so please confirm at registration.",
+        priceRange: "{min} to {max}",
+        cashlessEligible: "This can be cashless with insurers and TPAs we are empanelled with, after pre-authorisation from your insurer.",
+        cashlessNotEligible: "This is usually paid at the hospital; you can claim reimbursement if your policy covers it.",
+        costAskItem: "Which test, procedure, room or package would you like the cost for?",
+        costNoPrice: "I don't have a price for {item}. Our billing desk can give you an estimate - shall I connect you?",
+        costLine: "{name}: about {price} {unit}.{inclusions}{notes} {payment}",
+        costInclusions: " This includes {inclusions}.",
+        costDisclaimer: "These are approximate charges; the final bill depends on the doctor's advice, length of stay, medicines and materials used. Our billing desk can give an exact estimate.",
+        costError: "I'm having trouble looking up charges right now. Let me connect you to our billing desk.",
+
+        // check_insurance
+        insuranceAskInsurer: "Which insurance company or TPA is your policy with?",
+        insuranceNotFound: "I couldn't find {insurer} in our list of empanelled insurers and TPAs. Our billing and insurance desk can confirm - shall I connect you?",
+        insuranceDidYouMean: "Did you mean {options}?",
+        insuranceModeCashless: "cashless treatment is available",
+        insuranceModeCashlessThrough: "cashless treatment is available through {tpa}",
+        insuranceModeReimbursement: "cashless is not available, but you can pay at the hospital and claim reimbursement",
+        insuranceModeNotEmpanelled: "we are not empanelled",
+        insuranceOtherBranches: "At our other branches, {mode}.",
+        insuranceAllBranches: "At all our branches, {mode}.",
+        insuranceAtBranch: "At {branch}, {mode}.",
+        insuranceThisBranch: "this branch",
+        insuranceAccepted: "Yes, we accept {insurer}.",
+        insuranceNotOnPanel: "{insurer} is not on our panel.",
+        insuranceNotes: " Note: {notes}.",
+        insuranceExtraDocuments: "For {insurer}, also bring: {documents}.",
+        insuranceError: "I'm having trouble checking insurance details right now. Let me connect you to our billing and insurance desk.",
+
+        // check_report_status
+        reportTestsDefault: "Your tests",
+        reportCollected: " collected on {date}",
+        reportReady: "{tests}{collected}: the report is ready{since}. It can be collected from the report counter with the receipt.",
+        reportReadySince: " since {time}",
+        reportDispatched: "{tests}{collected}: the report has been sent{method}{when}.",
+        reportDispatchedBy: " by {method}",
+        reportDispatchedOn: " on {time}",
+        reportProcessing: "{tests}{collected}: the report is still being processed{expected}.",
+        reportExpected: " and is expected by {time}",
+        dispatchEmail: "email",
+        dispatchWhatsapp: "WhatsApp",
+        dispatchSmsLink: "an SMS link",
+        dispatchCourier: "courier",
+        reportTooManyAttempts: "For your privacy, I can't check reports any further on this call. Please visit the pathology report counter with your receipt, or I can connect you to the lab.",
+        reportLockedOut: "For your privacy, report checks for this number are paused for now. Please visit the pathology report counter with your receipt, or I can connect you to the lab.",
+        reportAskPhone: "Please tell me the mobile number that was registered when the sample was given.",
+        reportAskVerification: "To protect your privacy, please tell me the patient's date of birth or the sample ID printed on your receipt.",
+        reportAskFullDob: "Could you tell me the patient's full date of birth, including the year?",
+        reportNotFoundSample: "I couldn't find a lab order matching those details for that phone number. Please check the sample ID on your receipt and try again, or visit the pathology report counter.",
+        reportNotFoundDob: "I couldn't find a lab order matching those details for that phone number. Please check the date of birth and try again, or visit the pathology report counter.",
+        reportError: "I'm having trouble checking report status right now. Let me connect you to our pathology lab.",
+
+        // check_bed_availability
+        freshJustNow: "just now",
+        freshMinute: "1 minute ago",
+        freshMinutes: "{count} minutes ago",
+        freshHour: "1 hour ago",
+        freshHours: "{count} hours ago",
+        freshOn: "on {time}",
+        staffLocked: "I'm unable to verify you on this call. Please contact the admissions desk on extension 5000.",
+        staffAskId: "Bed availability is only shared with hospital staff. Could you tell me your employee ID?",
+        staffNotVerified: "I couldn't verify that employee ID for the number you're calling from. Please call from your registered number, or contact the admissions desk on extension 5000.",
+        bedsNone: "I don't have current bed counts for that. Let me connect you to the admissions desk.",
+        bedsMainBranch: "Main branch",
+        bedsBranchNotFound: "I couldn't find a branch called {branch}. Bed counts are kept for {branches} - which one do you need?",
+        bedCount: "{category}: {available} of {total} free, updated {freshness}{stale}",
+        bedStale: " (may be out of date)",
+        bedBranchLine: "{branch} - {counts}.",
+        bedsSummary: "{lines}\nCounts change quickly - the admissions desk on extension 5000 can hold a bed.",
+        bedsError: "I'm having trouble checking bed availability right now. Let me connect you to the admissions desk.",
+
+        // suggest_department
+        triageAskSymptoms: "Could you tell me briefly what the problem is, so I can find the right department?",
+        triageNoMatch: "I couldn't tell which department is best from that description. A general physician can see you first, or I can connect you to our help desk.",
+        triageGroundFloor: " on the ground floor",
+        triageFloor: " on floor {floor}",
+        triageExtension: ", extension {extension}",
+        triageOthers: " Other departments that may help: {departments}.",
+        triageSuggestion: "For what you've described, the right department is {department}.{others} Would you like me to find a doctor in {name} or connect you to the department?",
+        triageError: "I'm having trouble finding the right department. Let me connect you to our help desk.",
+
+        // get_directions
+        directionsAskDestination: "Which department or facility are you looking for?",
+        directionsNotFound: "I couldn't find {destination} on our floor plan. The registration desk on the ground floor can guide you, or I can connect you to our front desk.",
+        directionsAskBranch: "Which of our branches are you at - {branches}?",
+        directionsGroundFloor: "the ground floor",
+        directionsFloor: "floor {floor}",
+        directionsOption: "{name} on {floor}{description}",
+        directionsMultiple: "There is more than one match: {options}. Which one are you looking for?",
+        directionsSteps: "{steps} If you need help on the way, any staff member or the registration desk can guide you.",
+        directionsMainEntranceToLifts: "From the main entrance, walk straight past the registration desk to the main lifts.",
+        directionsMainEntranceToGroundFloor: "From the main entrance, step into the main lobby by the registration desk.",
+        directionsEmergencyEntranceToLifts: "From the emergency entrance, follow the corridor signposted 'Main Lobby' to the main lifts.",
+        directionsEmergencyEntranceToGroundFloor: "From the emergency entrance, follow the corridor signposted 'Main Lobby'.",
+        directionsParkingToLifts: "From the parking area, walk to the main entrance and go straight past the registration desk to the main lifts.",
+        directionsParkingToGroundFloor: "From the parking area, walk in through the main entrance to the main lobby.",
+        directionsGroundFloorStep: "{place} is on the ground floor - follow the signs for {where}.{askThere}",
+        directionsTakeLift: "Take the lift to {floor}.",
+        directionsFollowSigns: "As you step out, follow the signs for {where}.{askThere}",
+        directionsFloorNamed: "the {name}",
+        directionsDepartment: "the {department} department",
+        directionsAskThere: " Ask there for {place}.",
+        directionsError: "I'm having trouble finding directions right now. The registration desk on the ground floor can guide you.",
+
+        // search_hospital_info
+        infoNotFound: "I couldn't find specific information about that. Would you like me to connect you to our information desk?",
+        infoRelatedDepartments: "Related departments: {departments}",
+        infoGeneric: "I found some related information. How can I help you further?",
+        infoError: "I'm having trouble searching that information. Let me connect you to our information desk.",
+
+        // Function router
+        unknownFunction: "I'm not sure how to handle that request. Let me connect you to our operator.",
+        functionError: "I encountered an error processing your request. Let me transfer you to our operator.",
+
+        // Spoken forms used by utils/speechFormatter.js
+        speechRupees: "{amount} rupees",
+        speechRupeesPaise: "{amount} rupees {paise} paise",
+        speechPlus: "plus",
+        speechExtension: "extension {digits}",
+        timeEarlyMorning: "{time} AM",
+        timeMorning: "{time} AM",
+        timeAfternoon: "{time} PM",
+        timeEvening: "{time} PM",
+        timeNight: "{time} PM",
+        timeRange: "{start} to {end}",
+
+        // Exotel call flow (<Say> prompts)
+        callWelcome: "Welcome to Lilavati Hospital AI Assistant. Please wait while we connect you.",
+        callProcessing: "Processing your request.",
+        callTechnicalDifficulty: "We are experiencing technical difficulties. Please try again later.",
+        callFallback: "We apologize for the inconvenience. Please call back later or contact our main office directly.",
+        callReconnecting: "Sorry, the line dropped for a moment. Please stay on the line while I reconnect.",
+        callTransferHold: "Please hold while I transfer your call to {department}.",
+        callTransferBusy: "That line is busy.",
+        callTransferNoAnswer: "Nobody answered on that line.",
+        callTransferNext: "{reason} Trying another number, please stay on the line.",
+        callReturnToMaya: "I'm sorry, nobody from {department} is available right now. Let me take you back to Maya.",
+        callEmergencyTransfer: "This is an emergency. Connecting you immediately to emergency services. Please stay on the line."
+    },
+
+    hi: {
+        or: "या",
+        and: "और",
+        atBranch: ", {branch} शाखा में",
+        dateRange: "{start} से {end} तक",
+        timestampAt: "{date}, {time}",
+
+        doctorAskWhich: "आप किस डॉक्टर या किस स्पेशलाइज़ेशन के डॉक्टर से मिलना चाहेंगे?",
+        doctorNameNotFound: "मुझे {name} नाम के कोई डॉक्टर नहीं मिले। क्या आप डॉक्टर का नाम दोबारा बता सकते हैं?",
+        doctorNameNotFoundInSpecialization: "मुझे {specialization} में {name} नाम के कोई डॉक्टर नहीं मिले। क्या आप डॉक्टर का नाम दोबारा बता सकते हैं?",
+        doctorSpecializationNone: "अभी {specialization} के कोई डॉक्टर उपलब्ध नहीं हैं। क्या मैं किसी और स्पेशलाइज़ेशन में देखूँ?",
+        doctorDidYouMean: "क्या आपका मतलब {choices} से है?",
+        doctorNameAmbiguous: "{name} नाम से एक से ज़्यादा डॉक्टर मिले: {choices}। आप किनकी बात कर रहे हैं?",
+        doctorChooseFromSpecialization: "हमारे यहाँ {specialization} के {count} डॉक्टर हैं: {choices}। आप किनसे मिलना चाहेंगे?",
+        dateAskAppointmentDay: "आप किस दिन अपॉइंटमेंट चाहेंगे?",
+        dateAppointmentPassed: "वह तारीख निकल चुकी है। आने वाली कौन सी तारीख आपके लिए ठीक रहेगी?",
+        slotDoctorOff: "{doctor} {date} को उपलब्ध नहीं हैं। क्या आप कोई और तारीख देखना चाहेंगे?",
+        slotNoConsultDay: "{doctor} {day} को नहीं बैठते। वे {days} को उपलब्ध हैं। आपको कौन सा दिन ठीक रहेगा?",
+        slotNoSchedule: "मुझे {doctor} का कोई कंसल्टेशन शेड्यूल नहीं मिला। मैं आपको हमारे अपॉइंटमेंट डेस्क से जोड़ देती हूँ।",
+        slotFullyBooked: "{date} को {doctor} के सभी अपॉइंटमेंट भर चुके हैं। क्या आप कोई और तारीख देखना चाहेंगे?",
+
+        appointmentAskReference: "क्या आप अपना बुकिंग रेफ़रेंस बता सकते हैं? यह L H से शुरू होता है।",
+        appointmentCallerNumberNeeded: "मैं सिर्फ़ उसी नंबर के अपॉइंटमेंट देख सकती हूँ जिससे आप कॉल कर रहे हैं, और इस कॉल पर वह नंबर मुझे नहीं दिख रहा। कृपया उस फ़ोन नंबर से कॉल कीजिए जिससे अपॉइंटमेंट बुक हुआ था।",
+        appointmentReferenceNotFound: "इस फ़ोन नंबर के लिए उस बुकिंग रेफ़रेंस से कोई अपॉइंटमेंट नहीं मिला। क्या आप रेफ़रेंस दोबारा पढ़ सकते हैं?",
+        appointmentAlreadyStatus: "वह अपॉइंटमेंट पहले ही {status}।",
+        appointmentStatusCancelled: "रद्द हो चुका है",
+        appointmentStatusCompleted: "पूरा हो चुका है",
+        appointmentStatusNoShow: "छूटा हुआ दर्ज है",
+        appointmentDatePassed: "उस अपॉइंटमेंट की तारीख निकल चुकी है।",
+        appointmentLine: "{reference}, {doctor} के साथ, {date}, {time}",
+        appointmentLineNoDoctor: "{reference}, {date}, {time}",
+
+        doctorsNoneWithPreferences: "इन सभी शर्तों से मेल खाते कोई डॉक्टर नहीं मिले। क्या मैं कम शर्तों के साथ दोबारा खोजूँ?",
+        doctorsNone: "आपकी बताई जानकारी से मेल खाते कोई डॉक्टर नहीं मिले। क्या मैं हमारे जनरल फ़िज़िशियन की उपलब्धता देखूँ?",
+        doctorLine: "{doctor}, {specialization}{department}{branch}। कंसल्टेशन फ़ीस: {fee}।{details}",
+        doctorLineDepartment: ", {department} विभाग",
+        doctorFeeNotSpecified: "उपलब्ध नहीं",
+        doctorSpeaks: "{languages} बोलते हैं",
+        doctorExperience: "{years} साल का अनुभव",
+        doctorRated: "5 में से {rating} रेटिंग",
+        doctorSortFeeLow: "सबसे कम फ़ीस वाले पहले",
+        doctorSortFeeHigh: "सबसे ज़्यादा फ़ीस वाले पहले",
+        doctorSortRating: "सबसे अच्छी रेटिंग वाले पहले",
+        doctorSortExperience: "सबसे अनुभवी पहले",
+        doctorsClosestMatch: "{name} से पूरी तरह मेल खाता नाम नहीं मिला। सबसे मिलते-जुलते डॉक्टर:\n{list}\nकॉलर से पक्का कर लें कि वे किनकी बात कर रहे हैं।",
+        doctorsFound: "मुझे {count} डॉक्टर मिले{sort}:\n{list}",
+        doctorsError: "अभी डॉक्टरों की जानकारी देखने में दिक्कत आ रही है। मैं आपको हमारे अपॉइंटमेंट डेस्क से जोड़ देती हूँ।",
+
+        branchAreaUnknown: "मैं वह इलाका पहचान नहीं पाई। क्या आप सबसे नज़दीकी रेलवे स्टेशन या अपना पिनकोड बता सकते हैं?",
+        branchMainFallback: "हमारा मुख्य अस्पताल बांद्रा वेस्ट, मुंबई में है। पूरे पते के लिए मैं आपको हमारे फ़्रंट डेस्क से जोड़ देती हूँ।",
+        branchNeedDepartment: "{department} विभाग",
+        branchNeedEmergency: "24 घंटे इमरजेंसी",
+        branchAmbulance: " एम्बुलेंस के लिए {number} पर कॉल करें।",
+        branchNoneSuitable: "हमारी किसी भी शाखा में {needs} नहीं है। {area} से सबसे नज़दीकी शाखा {branch} है, जो {distance} दूर है। क्या मैं आपको मदद के लिए हमारे फ़्रंट डेस्क से जोड़ूँ?{ambulance}",
+        branchCloserWithout: " हमारी {branch} शाखा ज़्यादा पास है, लेकिन वहाँ {needs} नहीं है।",
+        branchNearest: "{area} से सबसे नज़दीकी शाखा {name}, {branch} है, जो {distance} दूर है।{closer}\nपता: {address}\nफ़ोन: {phone}{ambulance}",
+        branchNearestWith: "{area} से {needs} वाली सबसे नज़दीकी शाखा {name}, {branch} है, जो {distance} दूर है।{closer}\nपता: {address}\nफ़ोन: {phone}{ambulance}",
+        distanceAbout: "लगभग {km} किलोमीटर",
+        locationNotFound: "मुझे वह जगह नहीं मिली। हमारा मुख्य अस्पताल बांद्रा वेस्ट, मुंबई में है।",
+        locationLine: "{name} - {branch}\nपता: {address}\nफ़ोन: {phone}{timings}",
+        locationTimings: "\nOPD: {opd}, इमरजेंसी: {emergency}",
+
+        departmentsUnavailable: "अभी विभागों की जानकारी नहीं मिल पा रही है।",
+        departmentLine: "{name}{floor}।{services}",
+        departmentFloor: " (मंज़िल {floor})",
+        departmentServices: " सेवाएँ: {services}",
+        departmentsList: "हमारे यहाँ {count} विभाग हैं:\n{list}",
+        departmentsError: "अभी विभागों की जानकारी देखने में दिक्कत आ रही है। मैं आपको हमारे मुख्य डेस्क से जोड़ देती हूँ।",
+
+        contactsUnavailable: "मैं आपको हमारे मुख्य रिसेप्शन से जोड़ देती हूँ, वे आपको ज़रूरी संपर्क जानकारी दे देंगे।",
+        contactLine: "{department}{category}\nफ़ोन: {phone}{extension}{hours}",
+        contactExtension: " (एक्सटेंशन: {extension})",
+        contactHours: "\nउपलब्ध: {hours}",
+        contactsError: "किसी भी जानकारी के लिए आप हमारे मुख्य डेस्क पर {number} पर संपर्क कर सकते हैं।",
+
+        availabilityAskDay: "मैं किस दिन के लिए देखूँ? जैसे, कल या अगले सोमवार।",
+        availabilityDatePassed: "वह तारीख निकल चुकी है। आने वाले किस दिन के लिए देखूँ?",
+        availabilityOn: "{dates} को",
+        availabilityThisWeek: "इस हफ़्ते",
+        availabilityNextSession: "{doctor} {when} उपलब्ध नहीं हैं। अगला उपलब्ध समय {date} ({isoDate}), {time} है।",
+        availabilityUnknown: "मुझे {doctor} की उपलब्धता की जानकारी नहीं मिली। मैं आपको मदद के लिए अपॉइंटमेंट डेस्क से जोड़ देती हूँ।",
+        availabilitySession: "{date} ({isoDate}): {time}{branch}",
+        availabilitySchedule: "{doctor} की उपलब्धता:\n{schedule}\n\nक्या मैं आपका अपॉइंटमेंट बुक करने में मदद करूँ?",
+        availabilityError: "अभी उपलब्धता देखने में दिक्कत आ रही है। मैं आपको हमारे अपॉइंटमेंट डेस्क से जोड़ देती हूँ।",
+
+        bookingNeedsDetails: "अपॉइंटमेंट बुक करने के लिए मुझे मरीज़ का पूरा नाम और एक संपर्क फ़ोन नंबर चाहिए। क्या आप ये बता सकते हैं?",
+        bookingError: "अभी अपॉइंटमेंट बुक करने में दिक्कत आ रही है। मैं आपको हमारे अपॉइंटमेंट डेस्क से जोड़ देती हूँ।",
+        appointmentsNoneForPhone: "इस फ़ोन नंबर से कोई आने वाला अपॉइंटमेंट बुक नहीं मिला। क्या आपके पास बुकिंग रेफ़रेंस है?",
+        appointmentsFound: "मुझे {count} आने वाले अपॉइंटमेंट मिले:\n{list}",
+        appointmentsLookupError: "अभी आपके अपॉइंटमेंट देखने में दिक्कत आ रही है। मैं आपको हमारे अपॉइंटमेंट डेस्क से जोड़ देती हूँ।",
+        appointmentCancelled: "आपका अपॉइंटमेंट {appointment} रद्द कर दिया गया है। क्या आप नया अपॉइंटमेंट बुक करना चाहेंगे?",
+        cancelError: "अभी अपॉइंटमेंट रद्द करने में दिक्कत आ रही है। मैं आपको हमारे अपॉइंटमेंट डेस्क से जोड़ देती हूँ।",
+        appointmentRescheduled: "{doctor} के साथ आपका अपॉइंटमेंट {date} को {time} के बीच कर दिया गया है। आपका बुकिंग रेफ़रेंस {reference} ही रहेगा।",
+        rescheduleError: "अभी अपॉइंटमेंट बदलने में दिक्कत आ रही है। मैं आपको हमारे अपॉइंटमेंट डेस्क से जोड़ देती हूँ।",
+
+        emergencyConnecting: "यह इमरजेंसी है। मैं आपको तुरंत हमारे इमरजेंसी विभाग से जोड़ रही हूँ। कृपया लाइन पर बने रहें।",
+        emergencyFallback: "इमरजेंसी की स्थिति है। आपको तुरंत इमरजेंसी सेवाओं से जोड़ा जा रहा है।",
+        ambulanceMissing: "एम्बुलेंस भेजने के लिए मुझे {missing} चाहिए।",
+        ambulanceNeedAddress: "पिकअप का पता",
+        ambulanceNeedCondition: "मरीज़ की हालत",
+        ambulanceNeedCallback: "एक कॉलबैक नंबर",
+        ambulanceLandmark: ", {landmark} के पास",
+        ambulanceConfirmed: "मैंने पिकअप का पता {address}{landmark} लिख लिया है, और अगर लाइन कट जाए तो एम्बुलेंस डेस्क {callbackNumber} पर वापस कॉल करेगा। मैं अब आपको एम्बुलेंस डेस्क से जोड़ रही हूँ। कृपया लाइन पर बने रहें।",
+        ambulanceFallback: "मैं आपको तुरंत हमारे एम्बुलेंस डेस्क से जोड़ रही हूँ। कृपया उन्हें पिकअप का पता बताइए और लाइन पर बने रहिए।",
+
+        transferToDepartment: "मैं समझ गई। मैं आपको {department} से जोड़ रही हूँ, वे आपकी बेहतर मदद कर पाएँगे। कृपया होल्ड करें।",
+        ourOperator: "हमारे ऑपरेटर",
+        transferFallback: "मैं आपको हमारे ऑपरेटर से जोड़ रही हूँ। कृपया होल्ड करें।",
+        callbackAskNumber: "वे आपको किस नंबर पर वापस कॉल करें?",
+        callbackFailed: "माफ़ कीजिए, अभी कॉलबैक रिक्वेस्ट दर्ज नहीं हो पाई। कृपया थोड़ी देर बाद हमारे मुख्य डेस्क पर {number} पर कॉल करें।",
+        callbackOurTeam: "हमारी टीम",
+        callbackConfirmed: "मैंने {department} से कहा है कि वे आपको {callbackNumber} पर {time} वापस कॉल करें।",
+        callbackConfirmedAsap: "मैंने {department} से कहा है कि कोई खाली होते ही वे आपको {callbackNumber} पर वापस कॉल करें।",
+
+        digitsDefaultPurpose: "नंबर",
+        digitsPrompt: "कृपया अपने फ़ोन के कीपैड पर {purpose} टाइप करें।",
+        digitsPromptWithHash: "कृपया अपने फ़ोन के कीपैड पर {purpose} टाइप करें, फिर हैश की दबाएँ।",
+        digitsError: "क्या आप नंबर धीरे-धीरे बोलकर बता सकते हैं?",
+
+        consultationFeeAsk: "आप किस डॉक्टर या स्पेशलाइज़ेशन की कंसल्टेशन फ़ीस जानना चाहेंगे?",
+        consultationFeeUnknown: "अभी मेरे पास उसकी कंसल्टेशन फ़ीस नहीं है। हमारा बिलिंग डेस्क बता सकता है - क्या मैं आपको जोड़ दूँ?",
+        consultationWithDoctor: "{doctor} के साथ",
+        consultationWithSpecialization: "हमारे {specialization} डॉक्टरों के साथ",
+        consultationFee: "{subject} एक कंसल्टेशन की फ़ीस हर विज़िट के लिए {price} है। {payment} फ़ीस बदल सकती है, इसलिए रजिस्ट्रेशन के समय पक्का कर लें।",
+        priceRange: "{min} से {max}",
+        cashlessEligible: "जिन बीमा कंपनियों और TPA के साथ हम जुड़े हैं, उनसे प्री-ऑथराइज़ेशन के बाद यह कैशलेस हो सकता है।",
+        cashlessNotEligible: "इसका भुगतान आमतौर पर अस्पताल में होता है; अगर आपकी पॉलिसी में शामिल है तो आप रीइम्बर्समेंट क्लेम कर सकते हैं।",
+        costAskItem: "आप किस टेस्ट, प्रोसीजर, रूम या पैकेज का खर्च जानना चाहेंगे?",
+        costNoPrice: "मेरे पास {item} की कीमत नहीं है। हमारा बिलिंग डेस्क आपको अनुमान दे सकता है - क्या मैं आपको जोड़ दूँ?",
+        costLine: "{name}: लगभग {price} {unit}।{inclusions}{notes} {payment}",
+        costInclusions: " इसमें शामिल है: {inclusions}।",
+        costDisclaimer: "ये अनुमानित खर्च हैं; असली बिल डॉक्टर की सलाह, भर्ती के दिनों, दवाइयों और इस्तेमाल हुए सामान पर निर्भर करता है। हमारा बिलिंग डेस्क सही अनुमान दे सकता है।",
+        costError: "अभी खर्च की जानकारी देखने में दिक्कत आ रही है। मैं आपको हमारे बिलिंग डेस्क से जोड़ देती हूँ।",
+
+        insuranceAskInsurer: "आपकी पॉलिसी किस बीमा कंपनी या TPA की है?",
+        insuranceNotFound: "हमारी बीमा कंपनियों और TPA की सूची में मुझे {insurer} नहीं मिला। हमारा बिलिंग और इंश्योरेंस डेस्क पक्का बता सकता है - क्या मैं आपको जोड़ दूँ?",
+        insuranceDidYouMean: "क्या आपका मतलब {options} से है?",
+        insuranceModeCashless: "कैशलेस इलाज उपलब्ध है",
+        insuranceModeCashlessThrough: "{tpa} के ज़रिए कैशलेस इलाज उपलब्ध है",
+        insuranceModeReimbursement: "कैशलेस उपलब्ध नहीं है, लेकिन आप अस्पताल में भुगतान करके रीइम्बर्समेंट क्लेम कर सकते हैं",
+        insuranceModeNotEmpanelled: "हम इनके पैनल में नहीं हैं",
+        insuranceOtherBranches: "हमारी बाकी शाखाओं में {mode}।",
+        insuranceAllBranches: "हमारी सभी शाखाओं में {mode}।",
+        insuranceAtBranch: "{branch} में {mode}।",
+        insuranceThisBranch: "इस शाखा",
+        insuranceAccepted: "हाँ, हम {insurer} स्वीकार करते हैं।",
+        insuranceNotOnPanel: "{insurer} हमारे पैनल में नहीं है।",
+        insuranceNotes: " ध्यान दें: {notes}।",
+        insuranceExtraDocuments: "{insurer} के लिए ये भी साथ लाएँ: {documents}।",
+        insuranceError: "अभी बीमा की जानकारी देखने में दिक्कत आ रही है। मैं आपको हमारे बिलिंग और इंश्योरेंस डेस्क से जोड़ देती हूँ।",
+
+        reportTestsDefault: "आपके टेस्ट",
+        reportCollected: " ({date} को लिया गया सैंपल)",
+        reportReady: "{tests}{collected}: रिपोर्ट तैयार है{since}। इसे रसीद के साथ रिपोर्ट काउंटर से लिया जा सकता है।",
+        reportReadySince: " ({time} से)",
+        reportDispatched: "{tests}{collected}: रिपोर्ट भेज दी गई है{method}{when}।",
+        reportDispatchedBy: ", {method} से",
+        reportDispatchedOn: ", {time} को",
+        reportProcessing: "{tests}{collected}: रिपोर्ट अभी तैयार हो रही है{expected}।",
+        reportExpected: " और {time} तक मिलने की उम्मीद है",
+        dispatchEmail: "ईमेल",
+        dispatchWhatsapp: "WhatsApp",
+        dispatchSmsLink: "SMS लिंक",
+        dispatchCourier: "कूरियर",
+        reportTooManyAttempts: "आपकी प्राइवेसी के लिए मैं इस कॉल पर और रिपोर्ट नहीं देख सकती। कृपया अपनी रसीद के साथ पैथोलॉजी रिपोर्ट काउंटर पर जाएँ, या मैं आपको लैब से जोड़ सकती हूँ।",
+        reportLockedOut: "आपकी प्राइवेसी के लिए इस नंबर पर रिपोर्ट की जानकारी अभी कुछ समय के लिए रोक दी गई है। कृपया अपनी रसीद के साथ पैथोलॉजी रिपोर्ट काउंटर पर जाएँ, या मैं आपको लैब से जोड़ सकती हूँ।",
+        reportAskPhone: "कृपया वह मोबाइल नंबर बताइए जो सैंपल देते समय रजिस्टर कराया गया था।",
+        reportAskVerification: "आपकी प्राइवेसी के लिए, कृपया मरीज़ की जन्मतिथि या रसीद पर छपा सैंपल ID बताइए।",
+        reportAskFullDob: "क्या आप मरीज़ की पूरी जन्मतिथि, साल के साथ, बता सकते हैं?",
+        reportNotFoundSample: "उस फ़ोन नंबर के लिए इन जानकारियों से मेल खाता कोई लैब ऑर्डर नहीं मिला। कृपया रसीद पर सैंपल ID जाँचकर दोबारा बताइए, या पैथोलॉजी रिपोर्ट काउंटर पर जाइए।",
+        reportNotFoundDob: "उस फ़ोन नंबर के लिए इन जानकारियों से मेल खाता कोई लैब ऑर्डर नहीं मिला। कृपया जन्मतिथि जाँचकर दोबारा बताइए, या पैथोलॉजी रिपोर्ट काउंटर पर जाइए।",
+        reportError: "अभी रिपोर्ट की स्थिति देखने में दिक्कत आ रही है। मैं आपको हमारी पैथोलॉजी लैब से जोड़ देती हूँ।",
+
+        freshJustNow: "अभी-अभी",
+        freshMinute: "1 मिनट पहले",
+        freshMinutes: "{count} मिनट पहले",
+        freshHour: "1 घंटे पहले",
+        freshHours: "{count} घंटे पहले",
+        freshOn: "{time} को",
+        staffLocked: "मैं इस कॉल पर आपकी पहचान पक्की नहीं कर पा रही हूँ। कृपया एक्सटेंशन 5000 पर एडमिशन डेस्क से संपर्क करें।",
+        staffAskId: "बेड की उपलब्धता सिर्फ़ अस्पताल स्टाफ़ को बताई जाती है। क्या आप अपना एम्प्लॉयी ID बता सकते हैं?",
+        staffNotVerified: "जिस नंबर से आप कॉल कर रहे हैं, उसके लिए मैं वह एम्प्लॉयी ID पक्का नहीं कर पाई। कृपया अपने रजिस्टर्ड नंबर से कॉल करें, या एक्सटेंशन 5000 पर एडमिशन डेस्क से संपर्क करें।",
+        bedsNone: "मेरे पास उसके लिए अभी बेड की संख्या नहीं है। मैं आपको एडमिशन डेस्क से जोड़ देती हूँ।",
+        bedsMainBranch: "मुख्य शाखा",
+        bedsBranchNotFound: "मुझे {branch} नाम की कोई शाखा नहीं मिली। बेड की संख्या {branches} के लिए रखी जाती है - आपको कौन सी चाहिए?",
+        bedCount: "{category}: {total} में से {available} खाली, {freshness} अपडेट{stale}",
+        bedStale: " (पुरानी हो सकती है)",
+        bedBranchLine: "{branch} - {counts}।",
+        bedsSummary: "{lines}\nसंख्या जल्दी बदलती है - एक्सटेंशन 5000 पर एडमिशन डेस्क बेड रोक सकता है।",
+        bedsError: "अभी बेड की उपलब्धता देखने में दिक्कत आ रही है। मैं आपको एडमिशन डेस्क से जोड़ देती हूँ।",
+
+        triageAskSymptoms: "क्या आप थोड़ा बता सकते हैं कि तकलीफ़ क्या है, ताकि मैं सही विभाग ढूँढ सकूँ?",
+        triageNoMatch: "इस जानकारी से मैं तय नहीं कर पाई कि कौन सा विभाग सही रहेगा। पहले जनरल फ़िज़िशियन आपको देख सकते हैं, या मैं आपको हमारे हेल्प डेस्क से जोड़ सकती हूँ।",
+        triageGroundFloor: ", ग्राउंड फ़्लोर पर",
+        triageFloor: ", मंज़िल {floor} पर",
+        triageExtension: ", एक्सटेंशन {extension}",
+        triageOthers: " ये विभाग भी मदद कर सकते हैं: {departments}।",
+        triageSuggestion: "आपने जो बताया, उसके लिए सही विभाग है {department}।{others} क्या मैं {name} में डॉक्टर ढूँढूँ या आपको विभाग से जोड़ूँ?",
+        triageError: "अभी सही विभाग ढूँढने में दिक्कत आ रही है। मैं आपको हमारे हेल्प डेस्क से जोड़ देती हूँ।",
+
+        directionsAskDestination: "आप कौन सा विभाग या सुविधा ढूँढ रहे हैं?",
+        directionsNotFound: "हमारे फ़्लोर प्लान में मुझे {destination} नहीं मिला। ग्राउंड फ़्लोर पर रजिस्ट्रेशन डेस्क आपको रास्ता बता सकता है, या मैं आपको हमारे फ़्रंट डेस्क से जोड़ सकती हूँ।",
+        directionsAskBranch: "आप हमारी किस शाखा में हैं - {branches}?",
+        directionsGroundFloor: "ग्राउंड फ़्लोर",
+        directionsFloor: "मंज़िल {floor}",
+        directionsOption: "{floor} पर {name}{description}",
+        directionsMultiple: "एक से ज़्यादा जगहें मिलीं: {options}। आप कौन सी ढूँढ रहे हैं?",
+        directionsSteps: "{steps} रास्ते में मदद चाहिए तो कोई भी स्टाफ़ सदस्य या रजिस्ट्रेशन डेस्क आपको रास्ता बता देगा।",
+        directionsMainEntranceToLifts: "मेन एंट्रेंस से रजिस्ट्रेशन डेस्क के आगे सीधे मेन लिफ़्ट तक जाइए।",
+        directionsMainEntranceToGroundFloor: "मेन एंट्रेंस से रजिस्ट्रेशन डेस्क के पास वाली मेन लॉबी में आइए।",
+        directionsEmergencyEntranceToLifts: "इमरजेंसी एंट्रेंस से 'Main Lobby' लिखे गलियारे से होते हुए मेन लिफ़्ट तक जाइए।",
+        directionsEmergencyEntranceToGroundFloor: "इमरजेंसी एंट्रेंस से 'Main Lobby' लिखे गलियारे में चलिए।",
+        directionsParkingToLifts: "पार्किंग से मेन एंट्रेंस तक आइए और रजिस्ट्रेशन डेस्क के आगे सीधे मेन लिफ़्ट तक जाइए।",
+        directionsParkingToGroundFloor: "पार्किंग से मेन एंट्रेंस होते हुए मेन लॉबी में आइए।",
+        directionsGroundFloorStep: "{place} ग्राउंड फ़्लोर पर है - {where} के साइन देखते हुए जाइए।{askThere}",
+        directionsTakeLift: "लिफ़्ट से {floor} पर जाइए।",
+        directionsFollowSigns: "लिफ़्ट से बाहर निकलकर {where} के साइन देखते हुए जाइए।{askThere}",
+        directionsFloorNamed: "मंज़िल {floor}",
+        directionsDepartment: "{department} विभाग",
+        directionsAskThere: " वहाँ {place} के बारे में पूछिए।",
+        directionsError: "अभी रास्ता ढूँढने में दिक्कत आ रही है। ग्राउंड फ़्लोर पर रजिस्ट्रेशन डेस्क आपको रास्ता बता सकता है।",
+
+        infoNotFound: "उसके बारे में मुझे खास जानकारी नहीं मिली। क्या मैं आपको हमारे इन्फ़ॉर्मेशन डेस्क से जोड़ दूँ?",
+        infoRelatedDepartments: "संबंधित विभाग: {departments}",
+        infoGeneric: "मुझे कुछ संबंधित जानकारी मिली है। मैं आपकी और क्या मदद कर सकती हूँ?",
+        infoError: "अभी वह जानकारी खोजने में दिक्कत आ रही है। मैं आपको हमारे इन्फ़ॉर्मेशन डेस्क से जोड़ देती हूँ।",
+
+        unknownFunction: "मुझे पक्का नहीं है कि इस अनुरोध में कैसे मदद करूँ। मैं आपको हमारे ऑपरेटर से जोड़ देती हूँ।",
+        functionError: "आपका अनुरोध पूरा करते समय कुछ गड़बड़ी हुई। मैं आपको हमारे ऑपरेटर से जोड़ देती हूँ।",
+
+        speechRupees: "{amount} रुपये",
+        speechRupeesPaise: "{amount} रुपये {paise} पैसे",
+        speechPlus: "प्लस",
+        speechExtension: "एक्सटेंशन {digits}",
+        timeEarlyMorning: "रात {time} बजे",
+        timeMorning: "सुबह {time} बजे",
+        timeAfternoon: "दोपहर {time} बजे",
+        timeEvening: "शाम {time} बजे",
+        timeNight: "रात {time} बजे",
+        timeRange: "{start} से {end} तक",
+
+        callWelcome: "लीलावती हॉस्पिटल AI असिस्टेंट में आपका स्वागत है। कृपया प्रतीक्षा करें, हम आपको जोड़ रहे हैं।",
+        callProcessing: "कृपया एक पल रुकिए।",
+        callTechnicalDifficulty: "अभी तकनीकी दिक्कत आ रही है। कृपया थोड़ी देर बाद कॉल करें।",
+        callFallback: "असुविधा के लिए हमें खेद है। कृपया बाद में कॉल करें या सीधे हमारे मुख्य कार्यालय से संपर्क करें।",
+        callReconnecting: "माफ़ कीजिए, लाइन एक पल के लिए कट गई। कृपया लाइन पर बने रहिए, मैं फिर से जुड़ रही हूँ।",
+        callTransferHold: "कृपया होल्ड करें, मैं आपकी कॉल {department} को ट्रांसफ़र कर रही हूँ।",
+        callTransferBusy: "वह लाइन व्यस्त है।",
+        callTransferNoAnswer: "उस लाइन पर किसी ने जवाब नहीं दिया।",
+        callTransferNext: "{reason} दूसरा नंबर मिला रहे हैं, कृपया लाइन पर बने रहें।",
+        callReturnToMaya: "माफ़ कीजिए, अभी {department} से कोई उपलब्ध नहीं है। मैं आपको वापस माया से जोड़ रही हूँ।",
+        callEmergencyTransfer: "यह इमरजेंसी है। आपको तुरंत इमरजेंसी सेवाओं से जोड़ा जा रहा है। कृपया लाइन पर बने रहें।"
+    },
+
+    mr: {
+        or: "किंवा",
+        and: "आणि",
+        atBranch: ", {branch} शाखेत",
+        dateRange: "{start} ते {end}",
+        timestampAt: "{date}, {time}",
+
+        doctorAskWhich: "आपल्याला कोणत्या डॉक्टरांना किंवा कोणत्या स्पेशलायझेशनच्या डॉक्टरांना भेटायचे आहे?",
+        doctorNameNotFound: "मला {name} नावाचे कोणतेही डॉक्टर सापडले नाहीत. कृपया डॉक्टरांचे नाव पुन्हा सांगाल का?",
+        doctorNameNotFoundInSpecialization: "मला {specialization} मध्ये {name} नावाचे कोणतेही डॉक्टर सापडले नाहीत. कृपया डॉक्टरांचे नाव पुन्हा सांगाल का?",
+        doctorSpecializationNone: "सध्या {specialization} चे कोणतेही डॉक्टर उपलब्ध नाहीत. मी दुसरे स्पेशलायझेशन पाहू का?",
+        doctorDidYouMean: "आपल्याला {choices} म्हणायचे आहे का?",
+        doctorNameAmbiguous: "{name} नावाचे एकापेक्षा जास्त डॉक्टर सापडले: {choices}. आपल्याला कोणते डॉक्टर म्हणायचे आहेत?",
+        doctorChooseFromSpecialization: "आमच्याकडे {specialization} चे {count} डॉक्टर आहेत: {choices}. आपल्याला कोणाला भेटायचे आहे?",
+        dateAskAppointmentDay: "आपल्याला कोणत्या दिवशी अपॉइंटमेंट हवी आहे?",
+        dateAppointmentPassed: "ती तारीख उलटून गेली आहे. पुढची कोणती तारीख आपल्यासाठी सोयीची आहे?",
+        slotDoctorOff: "{doctor} {date} रोजी उपलब्ध नाहीत. आपण दुसरी तारीख पाहू इच्छिता का?",
+        slotNoConsultDay: "{doctor} {day} रोजी बसत नाहीत. ते {days} रोजी उपलब्ध असतात. आपल्याला कोणता दिवस सोयीचा आहे?",
+        slotNoSchedule: "मला {doctor} यांचे कोणतेही कन्सल्टेशन वेळापत्रक सापडले नाही. मी आपल्याला आमच्या अपॉइंटमेंट डेस्कशी जोडते.",
+        slotFullyBooked: "{date} रोजी {doctor} यांच्या सर्व अपॉइंटमेंट भरल्या आहेत. आपण दुसरी तारीख पाहू इच्छिता का?",
+
+        appointmentAskReference: "कृपया आपला बुकिंग रेफरन्स सांगाल का? तो L H ने सुरू होतो.",
+        appointmentCallerNumberNeeded: "तुम्ही ज्या नंबरवरून कॉल करत आहात त्याच नंबरच्या अपॉइंटमेंट्स मी पाहू शकते, आणि या कॉलवर तो नंबर मला दिसत नाही. कृपया ज्या फोन नंबरवरून अपॉइंटमेंट बुक केली होती त्यावरून कॉल करा.",
+        appointmentReferenceNotFound: "या फोन नंबरसाठी त्या बुकिंग रेफरन्सची कोणतीही अपॉइंटमेंट सापडली नाही. कृपया रेफरन्स पुन्हा वाचून सांगाल का?",
+        appointmentAlreadyStatus: "ती अपॉइंटमेंट आधीच {status}.",
+        appointmentStatusCancelled: "रद्द झाली आहे",
+        appointmentStatusCompleted: "पूर्ण झाली आहे",
+        appointmentStatusNoShow: "चुकलेली म्हणून नोंदवली आहे",
+        appointmentDatePassed: "त्या अपॉइंटमेंटची तारीख उलटून गेली आहे.",
+        appointmentLine: "{reference}, {doctor} यांच्यासोबत, {date}, {time}",
+        appointmentLineNoDoctor: "{reference}, {date}, {time}",
+
+        doctorsNoneWithPreferences: "या सगळ्या अटींशी जुळणारे कोणतेही डॉक्टर सापडले नाहीत. मी कमी अटींसह पुन्हा शोधू का?",
+        doctorsNone: "आपण सांगितलेल्या माहितीशी जुळणारे कोणतेही डॉक्टर सापडले नाहीत. मी आमच्या जनरल फिजिशियनची उपलब्धता पाहू का?",
+        doctorLine: "{doctor}, {specialization}{department}{branch}. कन्सल्टेशन फी: {fee}.{details}",
+        doctorLineDepartment: ", {department} विभाग",
+        doctorFeeNotSpecified: "उपलब्ध नाही",
+        doctorSpeaks: "{languages} बोलतात",
+        doctorExperience: "{years} वर्षांचा अनुभव",
+        doctorRated: "5 पैकी {rating} रेटिंग",
+        doctorSortFeeLow: "सर्वात कमी फी असलेले आधी",
+        doctorSortFeeHigh: "सर्वात जास्त फी असलेले आधी",
+        doctorSortRating: "सर्वात चांगले रेटिंग असलेले आधी",
+        doctorSortExperience: "सर्वात अनुभवी आधी",
+        doctorsClosestMatch: "{name} शी पूर्ण जुळणारे नाव सापडले नाही. सर्वात जवळचे डॉक्टर:\n{list}\nकॉलरला नक्की कोणते डॉक्टर म्हणायचे आहेत ते विचारून घ्या.",
+        doctorsFound: "मला {count} डॉक्टर सापडले{sort}:\n{list}",
+        doctorsError: "सध्या डॉक्टरांची माहिती पाहण्यात अडचण येत आहे. मी आपल्याला आमच्या अपॉइंटमेंट डेस्कशी जोडते.",
+
+        branchAreaUnknown: "मला तो भाग ओळखता आला नाही. कृपया जवळचे रेल्वे स्टेशन किंवा आपला पिनकोड सांगाल का?",
+        branchMainFallback: "आमचे मुख्य हॉस्पिटल वांद्रे पश्चिम, मुंबई येथे आहे. पूर्ण पत्त्यासाठी मी आपल्याला आमच्या फ्रंट डेस्कशी जोडते.",
+        branchNeedDepartment: "{department} विभाग",
+        branchNeedEmergency: "24 तास इमर्जन्सी",
+        branchAmbulance: " ॲम्ब्युलन्ससाठी {number} वर कॉल करा.",
+        branchNoneSuitable: "आमच्या कोणत्याही शाखेत {needs} नाही. {area} पासून सर्वात जवळची शाखा {branch} आहे, जी {distance} अंतरावर आहे. मदतीसाठी मी आपल्याला आमच्या फ्रंट डेस्कशी जोडू का?{ambulance}",
+        branchCloserWithout: " आमची {branch} शाखा जास्त जवळ आहे, पण तिथे {needs} नाही.",
+        branchNearest: "{area} पासून सर्वात जवळची शाखा {name}, {branch} आहे, जी {distance} अंतरावर आहे.{closer}\nपत्ता: {address}\nफोन: {phone}{ambulance}",
+        branchNearestWith: "{area} पासून {needs} असलेली सर्वात जवळची शाखा {name}, {branch} आहे, जी {distance} अंतरावर आहे.{closer}\nपत्ता: {address}\nफोन: {phone}{ambulance}",
+        distanceAbout: "सुमारे {km} किलोमीटर",
+        locationNotFound: "मला ते ठिकाण सापडले नाही. आमचे मुख्य हॉस्पिटल वांद्रे पश्चिम, मुंबई येथे आहे.",
+        locationLine: "{name} - {branch}\nपत्ता: {address}\nफोन: {phone}{timings}",
+        locationTimings: "\nOPD: {opd}, इमर्जन्सी: {emergency}",
+
+        departmentsUnavailable: "सध्या विभागांची माहिती मिळू शकत नाही.",
+        departmentLine: "{name}{floor}.{services}",
+        departmentFloor: " (मजला {floor})",
+        departmentServices: " सेवा: {services}",
+        departmentsList: "आमच्याकडे {count} विभाग आहेत:\n{list}",
+        departmentsError: "सध्या विभागांची माहिती पाहण्यात अडचण येत आहे. मी आपल्याला आमच्या मुख्य डेस्कशी जोडते.",
+
+        contactsUnavailable: "मी आपल्याला आमच्या मुख्य रिसेप्शनशी जोडते, ते आपल्याला हवी ती संपर्क माहिती देतील.",
+        contactLine: "{department}{category}\nफोन: {phone}{extension}{hours}",
+        contactExtension: " (एक्सटेन्शन: {extension})",
+        contactHours: "\nउपलब्ध: {hours}",
+        contactsError: "कोणत्याही माहितीसाठी आपण आमच्या मुख्य डेस्कवर {number} वर संपर्क करू शकता.",
+
+        availabilityAskDay: "मी कोणत्या दिवसासाठी पाहू? उदाहरणार्थ, उद्या किंवा पुढच्या सोमवारी.",
+        availabilityDatePassed: "ती तारीख उलटून गेली आहे. पुढच्या कोणत्या दिवसासाठी पाहू?",
+        availabilityOn: "{dates} रोजी",
+        availabilityThisWeek: "या आठवड्यात",
+        availabilityNextSession: "{doctor} {when} उपलब्ध नाहीत. पुढची उपलब्ध वेळ {date} ({isoDate}), {time} आहे.",
+        availabilityUnknown: "मला {doctor} यांच्या उपलब्धतेची माहिती सापडली नाही. मदतीसाठी मी आपल्याला अपॉइंटमेंट डेस्कशी जोडते.",
+        availabilitySession: "{date} ({isoDate}): {time}{branch}",
+        availabilitySchedule: "{doctor} यांची उपलब्धता:\n{schedule}\n\nमी आपली अपॉइंटमेंट बुक करायला मदत करू का?",
+        availabilityError: "सध्या उपलब्धता पाहण्यात अडचण येत आहे. मी आपल्याला आमच्या अपॉइंटमेंट डेस्कशी जोडते.",
+
+        bookingNeedsDetails: "अपॉइंटमेंट बुक करण्यासाठी मला रुग्णाचे पूर्ण नाव आणि एक संपर्क फोन नंबर हवा आहे. कृपया सांगाल का?",
+        bookingError: "सध्या अपॉइंटमेंट बुक करण्यात अडचण येत आहे. मी आपल्याला आमच्या अपॉइंटमेंट डेस्कशी जोडते.",
+        appointmentsNoneForPhone: "या फोन नंबरवर कोणतीही पुढची अपॉइंटमेंट बुक केलेली सापडली नाही. आपल्याकडे बुकिंग रेफरन्स आहे का?",
+        appointmentsFound: "मला {count} पुढच्या अपॉइंटमेंट सापडल्या:\n{list}",
+        appointmentsLookupError: "सध्या आपल्या अपॉइंटमेंट पाहण्यात अडचण येत आहे. मी आपल्याला आमच्या अपॉइंटमेंट डेस्कशी जोडते.",
+        appointmentCancelled: "आपली अपॉइंटमेंट {appointment} रद्द केली आहे. आपल्याला नवीन अपॉइंटमेंट बुक करायची आहे का?",
+        cancelError: "सध्या अपॉइंटमेंट रद्द करण्यात अडचण येत आहे. मी आपल्याला आमच्या अपॉइंटमेंट डेस्कशी जोडते.",
+        appointmentRescheduled: "{doctor} यांच्यासोबतची आपली अपॉइंटमेंट {date} रोजी {time} या वेळेत हलवली आहे. आपला बुकिंग रेफरन्स {reference} हाच राहील.",
+        rescheduleError: "सध्या अपॉइंटमेंट बदलण्यात अडचण येत आहे. मी आपल्याला आमच्या अपॉइंटमेंट डेस्कशी जोडते.",
+
+        emergencyConnecting: "ही इमर्जन्सी आहे. मी आपल्याला लगेच आमच्या इमर्जन्सी विभागाशी जोडत आहे. कृपया लाइनवर रहा.",
+        emergencyFallback: "इमर्जन्सीची परिस्थिती आहे. आपल्याला लगेच इमर्जन्सी सेवांशी जोडत आहोत.",
+        ambulanceMissing: "ॲम्ब्युलन्स पाठवण्यासाठी मला ही माहिती हवी आहे: {missing}.",
+        ambulanceNeedAddress: "पिकअपचा पत्ता",
+        ambulanceNeedCondition: "रुग्णाची स्थिती",
+        ambulanceNeedCallback: "एक कॉलबॅक नंबर",
+        ambulanceLandmark: ", {landmark} जवळ",
+        ambulanceConfirmed: "मी पिकअपचा पत्ता {address}{landmark} असा नोंदवला आहे, आणि लाइन कट झाल्यास ॲम्ब्युलन्स डेस्क {callbackNumber} वर परत कॉल करेल. मी आता आपल्याला ॲम्ब्युलन्स डेस्कशी जोडत आहे. कृपया लाइनवर रहा.",
+        ambulanceFallback: "मी आपल्याला लगेच आमच्या ॲम्ब्युलन्स डेस्कशी जोडत आहे. कृपया त्यांना पिकअपचा पत्ता सांगा आणि लाइनवर रहा.",
+
+        transferToDepartment: "मला समजले. मी आपला कॉल {department} कडे ट्रान्सफर करत आहे, ते आपली अधिक चांगली मदत करू शकतील. कृपया होल्ड करा.",
+        ourOperator: "आमच्या ऑपरेटर",
+        transferFallback: "मी आपल्याला आमच्या ऑपरेटरशी जोडत आहे. कृपया होल्ड करा.",
+        callbackAskNumber: "त्यांनी आपल्याला कोणत्या नंबरवर परत कॉल करावा?",
+        callbackFailed: "माफ करा, सध्या कॉलबॅक विनंती नोंदवता आली नाही. कृपया थोड्या वेळाने आमच्या मुख्य डेस्कवर {number} वर कॉल करा.",
+        callbackOurTeam: "आमची टीम",
+        callbackConfirmed: "मी {department} ला आपल्याला {callbackNumber} वर {time} परत कॉल करायला सांगितले आहे.",
+        callbackConfirmedAsap: "मी {department} ला सांगितले आहे की कोणी मोकळे होताच आपल्याला {callbackNumber} वर परत कॉल करावा.",
+
+        digitsDefaultPurpose: "नंबर",
+        digitsPrompt: "कृपया आपल्या फोनच्या कीपॅडवर {purpose} टाइप करा.",
+        digitsPromptWithHash: "कृपया आपल्या फोनच्या कीपॅडवर {purpose} टाइप करा, आणि नंतर हॅश की दाबा.",
+        digitsError: "कृपया नंबर हळूहळू बोलून सांगाल का?",
+
+        consultationFeeAsk: "आपल्याला कोणत्या डॉक्टरांची किंवा स्पेशलायझेशनची कन्सल्टेशन फी जाणून घ्यायची आहे?",
+        consultationFeeUnknown: "सध्या माझ्याकडे त्याची कन्सल्टेशन फी नाही. आमचा बिलिंग डेस्क सांगू शकेल - मी आपल्याला जोडू का?",
+        consultationWithDoctor: "{doctor} यांच्याकडे",
+        consultationWithSpecialization: "आमच्या {specialization} डॉक्टरांकडे",
+        consultationFee: "{subject} एका कन्सल्टेशनची फी दर भेटीसाठी {price} आहे. {payment} फी बदलू शकते, म्हणून नोंदणीच्या वेळी खात्री करून घ्या.",
+        priceRange: "{min} ते {max}",
+        cashlessEligible: "आम्ही ज्या विमा कंपन्या आणि TPA सोबत जोडलेले आहोत, त्यांच्याकडून प्री-ऑथरायझेशननंतर हे कॅशलेस होऊ शकते.",
+        cashlessNotEligible: "याचे पैसे साधारणपणे हॉस्पिटलमध्ये भरले जातात; आपल्या पॉलिसीमध्ये समाविष्ट असल्यास आपण रिइम्बर्समेंट क्लेम करू शकता.",
+        costAskItem: "आपल्याला कोणत्या टेस्ट, प्रोसिजर, रूम किंवा पॅकेजचा खर्च जाणून घ्यायचा आहे?",
+        costNoPrice: "माझ्याकडे {item} ची किंमत नाही. आमचा बिलिंग डेस्क आपल्याला अंदाज देऊ शकेल - मी आपल्याला जोडू का?",
+        costLine: "{name}: सुमारे {price} {unit}.{inclusions}{notes} {payment}",
+        costInclusions: " यात समाविष्ट आहे: {inclusions}.",
+        costDisclaimer: "हे अंदाजे खर्च आहेत; अंतिम बिल डॉक्टरांचा सल्ला, दाखल असण्याचे दिवस, औषधे आणि वापरलेले साहित्य यावर अवलंबून असते. आमचा बिलिंग डेस्क अचूक अंदाज देऊ शकेल.",
+        costError: "सध्या खर्चाची माहिती पाहण्यात अडचण येत आहे. मी आपल्याला आमच्या बिलिंग डेस्कशी जोडते.",
+
+        insuranceAskInsurer: "आपली पॉलिसी कोणत्या विमा कंपनीची किंवा TPA ची आहे?",
+        insuranceNotFound: "आमच्या विमा कंपन्या आणि TPA च्या यादीत मला {insurer} सापडले नाही. आमचा बिलिंग आणि इन्शुरन्स डेस्क खात्री करून सांगू शकेल - मी आपल्याला जोडू का?",
+        insuranceDidYouMean: "आपल्याला {options} म्हणायचे आहे का?",
+        insuranceModeCashless: "कॅशलेस उपचार उपलब्ध आहेत",
+        insuranceModeCashlessThrough: "{tpa} मार्फत कॅशलेस उपचार उपलब्ध आहेत",
+        insuranceModeReimbursement: "कॅशलेस उपलब्ध नाही, पण आपण हॉस्पिटलमध्ये पैसे भरून रिइम्बर्समेंट क्लेम करू शकता",
+        insuranceModeNotEmpanelled: "आम्ही त्यांच्या पॅनेलवर नाही",
+        insuranceOtherBranches: "आमच्या इतर शाखांमध्ये {mode}.",
+        insuranceAllBranches: "आमच्या सर्व शाखांमध्ये {mode}.",
+        insuranceAtBranch: "{branch} येथे {mode}.",
+        insuranceThisBranch: "या शाखेत",
+        insuranceAccepted: "हो, आम्ही {insurer} स्वीकारतो.",
+        insuranceNotOnPanel: "{insurer} आमच्या पॅनेलवर नाही.",
+        insuranceNotes: " लक्षात घ्या: {notes}.",
+        insuranceExtraDocuments: "{insurer} साठी हे देखील सोबत आणा: {documents}.",
+        insuranceError: "सध्या विम्याची माहिती पाहण्यात अडचण येत आहे. मी आपल्याला आमच्या बिलिंग आणि इन्शुरन्स डेस्कशी जोडते.",
+
+        reportTestsDefault: "आपल्या टेस्ट",
+        reportCollected: " ({date} रोजी घेतलेला सॅम्पल)",
+        reportReady: "{tests}{collected}: रिपोर्ट तयार आहे{since}. पावती दाखवून तो रिपोर्ट काउंटरवरून घेता येईल.",
+        reportReadySince: " ({time} पासून)",
+        reportDispatched: "{tests}{collected}: रिपोर्ट पाठवला आहे{method}{when}.",
+        reportDispatchedBy: ", {method} द्वारे",
+        reportDispatchedOn: ", {time} रोजी",
+        reportProcessing: "{tests}{collected}: रिपोर्ट अजून तयार होत आहे{expected}.",
+        reportExpected: " आणि {time} पर्यंत मिळण्याची अपेक्षा आहे",
+        dispatchEmail: "ईमेल",
+        dispatchWhatsapp: "WhatsApp",
+        dispatchSmsLink: "SMS लिंक",
+        dispatchCourier: "कुरिअर",
+        reportTooManyAttempts: "आपल्या गोपनीयतेसाठी मी या कॉलवर आणखी रिपोर्ट पाहू शकत नाही. कृपया पावती घेऊन पॅथॉलॉजी रिपोर्ट काउंटरवर या, किंवा मी आपल्याला लॅबशी जोडू शकते.",
+        reportLockedOut: "आपल्या गोपनीयतेसाठी या नंबरवर रिपोर्टची माहिती सध्या काही वेळासाठी थांबवली आहे. कृपया पावती घेऊन पॅथॉलॉजी रिपोर्ट काउंटरवर या, किंवा मी आपल्याला लॅबशी जोडू शकते.",
+        reportAskPhone: "कृपया सॅम्पल देताना नोंदवलेला मोबाईल नंबर सांगा.",
+        reportAskVerification: "आपल्या गोपनीयतेसाठी, कृपया रुग्णाची जन्मतारीख किंवा पावतीवर छापलेला सॅम्पल ID सांगा.",
+        reportAskFullDob: "कृपया रुग्णाची पूर्ण जन्मतारीख, वर्षासह, सांगाल का?",
+        reportNotFoundSample: "त्या फोन नंबरसाठी या माहितीशी जुळणारी कोणतीही लॅब ऑर्डर सापडली नाही. कृपया पावतीवरचा सॅम्पल ID तपासून पुन्हा सांगा, किंवा पॅथॉलॉजी रिपोर्ट काउंटरवर या.",
+        reportNotFoundDob: "त्या फोन नंबरसाठी या माहितीशी जुळणारी कोणतीही लॅब ऑर्डर सापडली नाही. कृपया जन्मतारीख तपासून पुन्हा सांगा, किंवा पॅथॉलॉजी रिपोर्ट काउंटरवर या.",
+        reportError: "सध्या रिपोर्टची स्थिती पाहण्यात अडचण येत आहे. मी आपल्याला आमच्या पॅथॉलॉजी लॅबशी जोडते.",
+
+        freshJustNow: "आत्ताच",
+        freshMinute: "1 मिनिटापूर्वी",
+        freshMinutes: "{count} मिनिटांपूर्वी",
+        freshHour: "1 तासापूर्वी",
+        freshHours: "{count} तासांपूर्वी",
+        freshOn: "{time} रोजी",
+        staffLocked: "मी या कॉलवर आपली ओळख पटवू शकत नाही. कृपया एक्सटेन्शन 5000 वर ॲडमिशन डेस्कशी संपर्क करा.",
+        staffAskId: "बेडची उपलब्धता फक्त हॉस्पिटल स्टाफला सांगितली जाते. कृपया आपला एम्प्लॉयी ID सांगाल का?",
+        staffNotVerified: "आपण ज्या नंबरवरून कॉल करत आहात, त्यासाठी मला तो एम्प्लॉयी ID पडताळता आला नाही. कृपया आपल्या नोंदवलेल्या नंबरवरून कॉल करा, किंवा एक्सटेन्शन 5000 वर ॲडमिशन डेस्कशी संपर्क करा.",
+        bedsNone: "माझ्याकडे त्यासाठी सध्याची बेड संख्या नाही. मी आपल्याला ॲडमिशन डेस्कशी जोडते.",
+        bedsMainBranch: "मुख्य शाखा",
+        bedsBranchNotFound: "मला {branch} नावाची शाखा सापडली नाही. बेडची संख्या {branches} साठी ठेवली जाते - आपल्याला कोणती हवी आहे?",
+        bedCount: "{category}: {total} पैकी {available} रिकामे, {freshness} अपडेट केले{stale}",
+        bedStale: " (जुने असू शकते)",
+        bedBranchLine: "{branch} - {counts}.",
+        bedsSummary: "{lines}\nसंख्या पटकन बदलते - एक्सटेन्शन 5000 वरील ॲडमिशन डेस्क बेड राखून ठेवू शकतो.",
+        bedsError: "सध्या बेडची उपलब्धता पाहण्यात अडचण येत आहे. मी आपल्याला ॲडमिशन डेस्कशी जोडते.",
+
+        triageAskSymptoms: "योग्य विभाग शोधण्यासाठी, कृपया थोडक्यात सांगाल का की काय त्रास होत आहे?",
+        triageNoMatch: "या माहितीवरून कोणता विभाग योग्य आहे ते मला ठरवता आले नाही. आधी जनरल फिजिशियन आपल्याला तपासू शकतात, किंवा मी आपल्याला आमच्या हेल्प डेस्कशी जोडू शकते.",
+        triageGroundFloor: ", तळमजल्यावर",
+        triageFloor: ", मजला {floor} वर",
+        triageExtension: ", एक्सटेन्शन {extension}",
+        triageOthers: " हे विभाग देखील मदत करू शकतात: {departments}.",
+        triageSuggestion: "आपण जे सांगितले त्यासाठी योग्य विभाग {department} आहे.{others} मी {name} मध्ये डॉक्टर शोधू की आपल्याला विभागाशी जोडू?",
+        triageError: "सध्या योग्य विभाग शोधण्यात अडचण येत आहे. मी आपल्याला आमच्या हेल्प डेस्कशी जोडते.",
+
+        directionsAskDestination: "आपण कोणता विभाग किंवा सुविधा शोधत आहात?",
+        directionsNotFound: "आमच्या फ्लोअर प्लॅनमध्ये मला {destination} सापडले नाही. तळमजल्यावरचा रजिस्ट्रेशन डेस्क आपल्याला मार्ग सांगू शकेल, किंवा मी आपल्याला आमच्या फ्रंट डेस्कशी जोडू शकते.",
+        directionsAskBranch: "आपण आमच्या कोणत्या शाखेत आहात - {branches}?",
+        directionsGroundFloor: "तळमजला",
+        directionsFloor: "मजला {floor}",
+        directionsOption: "{floor} वर {name}{description}",
+        directionsMultiple: "एकापेक्षा जास्त ठिकाणे सापडली: {options}. आपण कोणते शोधत आहात?",
+        directionsSteps: "{steps} वाटेत मदत लागल्यास कोणताही स्टाफ सदस्य किंवा रजिस्ट्रेशन डेस्क आपल्याला मार्ग सांगेल.",
+        directionsMainEntranceToLifts: "मुख्य प्रवेशद्वारातून रजिस्ट्रेशन डेस्कच्या पुढे सरळ मुख्य लिफ्टपर्यंत चला.",
+        directionsMainEntranceToGroundFloor: "मुख्य प्रवेशद्वारातून रजिस्ट्रेशन डेस्कजवळच्या मुख्य लॉबीत या.",
+        directionsEmergencyEntranceToLifts: "इमर्जन्सी प्रवेशद्वारातून 'Main Lobby' लिहिलेल्या कॉरिडॉरने मुख्य लिफ्टपर्यंत चला.",
+        directionsEmergencyEntranceToGroundFloor: "इमर्जन्सी प्रवेशद्वारातून 'Main Lobby' लिहिलेल्या कॉरिडॉरने चला.",
+        directionsParkingToLifts: "पार्किंगमधून मुख्य प्रवेशद्वाराकडे या आणि रजिस्ट्रेशन डेस्कच्या पुढे सरळ मुख्य लिफ्टपर्यंत चला.",
+        directionsParkingToGroundFloor: "पार्किंगमधून मुख्य प्रवेशद्वारातून आत येऊन मुख्य लॉबीत या.",
+        directionsGroundFloorStep: "{place} तळमजल्यावर आहे - {where} च्या पाट्या पाहत चला.{askThere}",
+        directionsTakeLift: "लिफ्टने {floor} वर जा.",
+        directionsFollowSigns: "लिफ्टमधून बाहेर पडल्यावर {where} च्या पाट्या पाहत चला.{askThere}",
+        directionsFloorNamed: "मजला {floor}",
+        directionsDepartment: "{department} विभाग",
+        directionsAskThere: " तिथे {place} बद्दल विचारा.",
+        directionsError: "सध्या मार्ग शोधण्यात अडचण येत आहे. तळमजल्यावरचा रजिस्ट्रेशन डेस्क आपल्याला मार्ग सांगू शकेल.",
+
+        infoNotFound: "त्याबद्दल मला नेमकी माहिती सापडली नाही. मी आपल्याला आमच्या इन्फॉर्मेशन डेस्कशी जोडू का?",
+        infoRelatedDepartments: "संबंधित विभाग: {departments}",
+        infoGeneric: "मला काही संबंधित माहिती सापडली आहे. मी आपली आणखी काय मदत करू शकते?",
+        infoError: "सध्या ती माहिती शोधण्यात अडचण येत आहे. मी आपल्याला आमच्या इन्फॉर्मेशन डेस्कशी जोडते.",
+
+        unknownFunction: "या विनंतीमध्ये कशी मदत करायची याची मला खात्री नाही. मी आपल्याला आमच्या ऑपरेटरशी जोडते.",
+        functionError: "आपली विनंती पूर्ण करताना काहीतरी चूक झाली. मी आपल्याला आमच्या ऑपरेटरशी जोडते.",
+
+        speechRupees: "{amount} रुपये",
+        speechRupeesPaise: "{amount} रुपये {paise} पैसे",
+        speechPlus: "प्लस",
+        speechExtension: "एक्सटेन्शन {digits}",
+        timeEarlyMorning: "रात्री {time} वाजता",
+        timeMorning: "सकाळी {time} वाजता",
+        timeAfternoon: "दुपारी {time} वाजता",
+        timeEvening: "संध्याकाळी {time} वाजता",
+        timeNight: "रात्री {time} वाजता",
+        timeRange: "{start} ते {end}",
+
+        callWelcome: "लीलावती हॉस्पिटल AI असिस्टंटमध्ये आपले स्वागत आहे. कृपया थांबा, आम्ही आपल्याला जोडत आहोत.",
+        callProcessing: "कृपया एक क्षण थांबा.",
+        callTechnicalDifficulty: "सध्या तांत्रिक अडचण येत आहे. कृपया थोड्या वेळाने कॉल करा.",
+        callFallback: "गैरसोयीबद्दल आम्ही दिलगीर आहोत. कृपया नंतर कॉल करा किंवा थेट आमच्या मुख्य कार्यालयाशी संपर्क करा.",
+        callReconnecting: "माफ करा, लाइन क्षणभर तुटली. कृपया लाइनवर थांबा, मी पुन्हा जोडत आहे.",
+        callTransferHold: "कृपया होल्ड करा, मी आपला कॉल {department} कडे ट्रान्सफर करत आहे.",
+        callTransferBusy: "ती लाइन व्यस्त आहे.",
+        callTransferNoAnswer: "त्या लाइनवर कोणीही उत्तर दिले नाही.",
+        callTransferNext: "{reason} दुसरा नंबर लावत आहोत, कृपया लाइनवर रहा.",
+        callReturnToMaya: "माफ करा, सध्या {department} मधून कोणीही उपलब्ध नाही. मी आपल्याला परत मायाशी जोडत आहे.",
+        callEmergencyTransfer: "ही इमर्जन्सी आहे. आपल्याला लगेच इमर्जन्सी सेवांशी जोडत आहोत. कृपया लाइनवर रहा."
+    }
+};
+
+export default {
+    MESSAGES
+};
@@ -0,0 +1,93 @@
+// ============================================
+// Offline Mumbai Locality Gazetteer
+// Approximate centroids for areas, suburbs and well-known landmarks in the
+// Mumbai Metropolitan Region, used to find the nearest hospital branch
+// without calling an external geocoding service
+// ============================================
+
+// Each entry: name, aliases (as callers say them), pincodes, latitude, longitude
+export const MUMBAI_LOCALITIES = [
+    // South Mumbai
+    { name: "Colaba", aliases: ["colaba", "cuffe parade"], pincodes: ["400005"], latitude: 18.9067, longitude: 72.8147 },
+    { name: "Nariman Point", aliases: ["nariman point"], pincodes: ["400021"], latitude: 18.9256, longitude: 72.8242 },
+    { name: "Fort", aliases: ["fort", "cst", "vt", "chhatrapati shivaji terminus", "victoria terminus"], pincodes: ["400001"], latitude: 18.9345, longitude: 72.8356 },
+    { name: "Churchgate", aliases: ["churchgate"], pincodes: ["400020"], latitude: 18.9322, longitude: 72.8264 },
+    { name: "Gateway of India", aliases: ["gateway of india", "gateway"], pincodes: [], latitude: 18.9220, longitude: 72.8347 },
+    { name: "Marine Lines", aliases: ["marine lines", "marine drive"], pincodes: ["400002"], latitude: 18.9447, longitude: 72.8235 },
+    { name: "Malabar Hill", aliases: ["malabar hill", "walkeshwar"], pincodes: ["400006"], latitude: 18.9548, longitude: 72.7985 },
+    { name: "Grant Road", aliases: ["grant road", "girgaon"], pincodes: ["400007", "400004"], latitude: 18.9633, longitude: 72.8150 },
+    { name: "Tardeo", aliases: ["tardeo", "haji ali"], pincodes: ["400034"], latitude: 18.9750, longitude: 72.8120 },
+    { name: "Mumbai Central", aliases: ["mumbai central", "bombay central"], pincodes: ["400008"], latitude: 18.9690, longitude: 72.8195 },
+    { name: "Byculla", aliases: ["byculla"], pincodes: ["400027"], latitude: 18.9793, longitude: 72.8330 },
+
+    // Central Mumbai
+    { name: "Lower Parel", aliases: ["lower parel", "phoenix mall"], pincodes: ["400013"], latitude: 18.9953, longitude: 72.8300 },
+    { name: "Parel", aliases: ["parel", "lalbaug"], pincodes: ["400012"], latitude: 19.0000, longitude: 72.8420 },
+    { name: "Sewri", aliases: ["sewri"], pincodes: ["400015"], latitude: 18.9980, longitude: 72.8550 },
+    { name: "Worli", aliases: ["worli", "worli sea face"], pincodes: ["400018", "400030"], latitude: 19.0176, longitude: 72.8162 },
+    { name: "Prabhadevi", aliases: ["prabhadevi", "siddhivinayak"], pincodes: ["400025"], latitude: 19.0166, longitude: 72.8295 },
+    { name: "Dadar", aliases: ["dadar", "shivaji park"], pincodes: ["400014", "400028"], latitude: 19.0178, longitude: 72.8478 },
+    { name: "Wadala", aliases: ["wadala", "antop hill"], pincodes: ["400031", "400037"], latitude: 19.0160, longitude: 72.8650 },
+    { name: "Matunga", aliases: ["matunga", "king's circle", "kings circle"], pincodes: ["400019"], latitude: 19.0270, longitude: 72.8553 },
+    { name: "Mahim", aliases: ["mahim"], pincodes: ["400016"], latitude: 19.0390, longitude: 72.8400 },
+    { name: "Dharavi", aliases: ["dharavi"], pincodes: ["400017"], latitude: 19.0380, longitude: 72.8538 },
+    { name: "Sion", aliases: ["sion"], pincodes: ["400022"], latitude: 19.0390, longitude: 72.8619 },
+
+    // Western suburbs
+    { name: "Bandra West", aliases: ["bandra west", "bandra", "bandstand", "bandra reclamation"], pincodes: ["400050"], latitude: 19.0596, longitude: 72.8295 },
+    { name: "Bandra East", aliases: ["bandra east", "kalanagar"], pincodes: ["400051"], latitude: 19.0583, longitude: 72.8410 },
+    { name: "Bandra Kurla Complex", aliases: ["bandra kurla complex", "bkc"], pincodes: [], latitude: 19.0660, longitude: 72.8680 },
+    { name: "Khar", aliases: ["khar", "khar west", "khar east"], pincodes: ["400052"], latitude: 19.0710, longitude: 72.8360 },
+    { name: "Santacruz", aliases: ["santacruz", "santacruz west", "santacruz east", "kalina"], pincodes: ["400054", "400055", "400098"], latitude: 19.0810, longitude: 72.8410 },
+    { name: "Mumbai Airport", aliases: ["airport", "mumbai airport", "domestic airport", "international airport", "sahar"], pincodes: ["400099"], latitude: 19.0896, longitude: 72.8656 },
+    { name: "Vile Parle", aliases: ["vile parle", "parle", "vile parle east", "vile parle west"], pincodes: ["400056", "400057"], latitude: 19.0990, longitude: 72.8440 },
+    { name: "Juhu", aliases: ["juhu", "juhu beach"], pincodes: ["400049"], latitude: 19.1075, longitude: 72.8263 },
+    { name: "Andheri West", aliases: ["andheri west", "andheri", "lokhandwala", "versova", "four bungalows"], pincodes: ["400053", "400058", "400061"], latitude: 19.1360, longitude: 72.8270 },
+    { name: "Andheri East", aliases: ["andheri east", "marol", "chakala", "saki naka", "chandivali", "midc andheri"], pincodes: ["400069", "400093", "400059", "400072"], latitude: 19.1155, longitude: 72.8722 },
+    { name: "Jogeshwari", aliases: ["jogeshwari", "jogeshwari east", "jogeshwari west"], pincodes: ["400060", "400102"], latitude: 19.1380, longitude: 72.8490 },
+    { name: "Goregaon", aliases: ["goregaon", "goregaon east", "goregaon west", "film city"], pincodes: ["400062", "400063", "400104"], latitude: 19.1663, longitude: 72.8526 },
+    { name: "Malad", aliases: ["malad", "malad east", "malad west"], pincodes: ["400064", "400095", "400097"], latitude: 19.1860, longitude: 72.8485 },
+    { name: "Kandivali", aliases: ["kandivali", "kandivli", "kandivali east", "kandivali west"], pincodes: ["400067", "400101"], latitude: 19.2050, longitude: 72.8520 },
+    { name: "Borivali", aliases: ["borivali", "borivli", "borivali east", "borivali west", "national park"], pincodes: ["400066", "400091", "400092"], latitude: 19.2307, longitude: 72.8567 },
+    { name: "Dahisar", aliases: ["dahisar"], pincodes: ["400068"], latitude: 19.2502, longitude: 72.8597 },
+    { name: "Mira Road", aliases: ["mira road", "mira bhayandar"], pincodes: ["401107"], latitude: 19.2840, longitude: 72.8710 },
+    { name: "Bhayandar", aliases: ["bhayandar", "bhayander"], pincodes: ["401101", "401105"], latitude: 19.3010, longitude: 72.8510 },
+    { name: "Vasai", aliases: ["vasai", "vasai road"], pincodes: ["401201", "401202"], latitude: 19.3919, longitude: 72.8397 },
+    { name: "Virar", aliases: ["virar"], pincodes: ["401303", "401305"], latitude: 19.4559, longitude: 72.8111 },
+
+    // Eastern suburbs
+    { name: "Kurla", aliases: ["kurla", "kurla east", "kurla west"], pincodes: ["400070", "400024"], latitude: 19.0726, longitude: 72.8845 },
+    { name: "Chembur", aliases: ["chembur", "diamond garden"], pincodes: ["400071", "400074", "400089"], latitude: 19.0522, longitude: 72.9005 },
+    { name: "Govandi", aliases: ["govandi", "deonar"], pincodes: ["400043", "400088"], latitude: 19.0550, longitude: 72.9150 },
+    { name: "Mankhurd", aliases: ["mankhurd", "trombay"], pincodes: [], latitude: 19.0480, longitude: 72.9320 },
+    { name: "Ghatkopar", aliases: ["ghatkopar", "ghatkopar east", "ghatkopar west", "r city mall", "pant nagar"], pincodes: ["400075", "400077", "400084", "400086"], latitude: 19.0860, longitude: 72.9081 },
+    { name: "Vikhroli", aliases: ["vikhroli", "vikhroli east", "vikhroli west"], pincodes: ["400079", "400083"], latitude: 19.1110, longitude: 72.9280 },
+    { name: "Powai", aliases: ["powai", "hiranandani", "iit bombay", "iit powai"], pincodes: ["400076"], latitude: 19.1176, longitude: 72.9060 },
+    { name: "Kanjurmarg", aliases: ["kanjurmarg", "kanjur marg"], pincodes: ["400042"], latitude: 19.1290, longitude: 72.9340 },
+    { name: "Bhandup", aliases: ["bhandup", "bhandup east", "bhandup west"], pincodes: ["400078"], latitude: 19.1439, longitude: 72.9389 },
+    { name: "Mulund", aliases: ["mulund", "mulund east", "mulund west", "mulund check naka"], pincodes: ["400080", "400081", "400082"], latitude: 19.1726, longitude: 72.9425 },
+
+    // Thane and beyond
+    { name: "Thane", aliases: ["thane", "thane west", "thane station", "viviana mall", "ghodbunder road", "majiwada"], pincodes: ["400601", "400602", "400606", "400607", "400610", "400615"], latitude: 19.2183, longitude: 72.9781 },
+    { name: "Thane East", aliases: ["thane east", "kopri"], pincodes: ["400603"], latitude: 19.1930, longitude: 72.9800 },
+    { name: "Kalwa", aliases: ["kalwa"], pincodes: ["400605"], latitude: 19.2000, longitude: 72.9950 },
+    { name: "Mumbra", aliases: ["mumbra"], pincodes: ["400612"], latitude: 19.1760, longitude: 73.0220 },
+    { name: "Dombivli", aliases: ["dombivli", "dombivali"], pincodes: ["421201", "421202", "421203", "421204"], latitude: 19.2183, longitude: 73.0868 },
+    { name: "Kalyan", aliases: ["kalyan"], pincodes: ["421301", "421306"], latitude: 19.2437, longitude: 73.1355 },
+    { name: "Ulhasnagar", aliases: ["ulhasnagar"], pincodes: ["421001", "421002", "421003", "421004", "421005"], latitude: 19.2215, longitude: 73.1645 },
+    { name: "Bhiwandi", aliases: ["bhiwandi"], pincodes: ["421302", "421305", "421308"], latitude: 19.2813, longitude: 73.0483 },
+    { name: "Badlapur", aliases: ["badlapur"], pincodes: ["421503"], latitude: 19.1550, longitude: 73.2650 },
+
+    // Navi Mumbai
+    { name: "Airoli", aliases: ["airoli"], pincodes: ["400708"], latitude: 19.1590, longitude: 72.9986 },
+    { name: "Ghansoli", aliases: ["ghansoli", "koparkhairane", "kopar khairane"], pincodes: ["400701", "400709"], latitude: 19.1180, longitude: 73.0070 },
+    { name: "Vashi", aliases: ["vashi", "navi mumbai", "turbhe"], pincodes: ["400703", "400705"], latitude: 19.0771, longitude: 72.9986 },
+    { name: "Nerul", aliases: ["nerul", "seawoods", "juinagar"], pincodes: ["400706"], latitude: 19.0330, longitude: 73.0169 },
+    { name: "CBD Belapur", aliases: ["belapur", "cbd belapur"], pincodes: ["400614"], latitude: 19.0235, longitude: 73.0400 },
+    { name: "Kharghar", aliases: ["kharghar"], pincodes: ["410210"], latitude: 19.0473, longitude: 73.0699 },
+    { name: "Panvel", aliases: ["panvel", "new panvel", "kamothe", "kalamboli"], pincodes: ["410206", "410218"], latitude: 18.9894, longitude: 73.1175 }
+];
+
+export default {
+    MUMBAI_LOCALITIES
+};
@@ -0,0 +1,31 @@
+-- ============================================
+-- Appointments - bookings made by the voice assistant
+-- Run after the main schema
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS appointments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    booking_reference TEXT NOT NULL UNIQUE,
+    doctor_id UUID NOT NULL REFERENCES doctors(id),
+    availability_id UUID NOT NULL REFERENCES doctor_availability(id),
+    location_id UUID REFERENCES hospital_locations(id),
+    conversation_id UUID REFERENCES conversations(id),
+    appointment_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    patient_name TEXT NOT NULL,
+    patient_phone TEXT NOT NULL,
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'booked'
+        CHECK (status IN ('booked', 'cancelled', 'completed', 'no_show')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Slot capacity checks count booked appointments per availability slot and date
+CREATE INDEX IF NOT EXISTS idx_appointments_slot
+    ON appointments (availability_id, appointment_date)
+    WHERE status = 'booked';
+
+CREATE INDEX IF NOT EXISTS idx_appointments_patient_phone
+    ON appointments (patient_phone);
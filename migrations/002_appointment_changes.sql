@@ -0,0 +1,9 @@
+-- ============================================
+-- Appointment cancellation and reschedule tracking
+-- ============================================
+
+ALTER TABLE appointments
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+    ADD COLUMN IF NOT EXISTS rescheduled_from DATE,
+    ADD COLUMN IF NOT EXISTS reschedule_count INTEGER NOT NULL DEFAULT 0;
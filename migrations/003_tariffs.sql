@@ -0,0 +1,28 @@
+-- ============================================
+-- Tariffs - indicative prices for procedures, rooms and packages
+-- Consultation fees stay on doctors.consultation_fee
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS tariffs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    location_id UUID REFERENCES hospital_locations(id), -- NULL applies to every branch
+    category TEXT NOT NULL
+        CHECK (category IN ('consultation', 'procedure', 'room', 'package')),
+    name TEXT NOT NULL,
+    aliases TEXT[] NOT NULL DEFAULT '{}',               -- other names callers use ("MRI scan", "sonography")
+    department TEXT,
+    min_price NUMERIC(10, 2) NOT NULL,
+    max_price NUMERIC(10, 2) NOT NULL,
+    unit TEXT NOT NULL DEFAULT 'per test',              -- "per test", "per day", "per package"
+    inclusions TEXT,
+    cashless_eligible BOOLEAN NOT NULL DEFAULT false,  -- can be billed directly to an insurer/TPA
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (max_price >= min_price)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tariffs_category
+    ON tariffs (category)
+    WHERE is_active = true;
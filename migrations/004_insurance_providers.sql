@@ -0,0 +1,25 @@
+-- ============================================
+-- Insurance providers - insurers, TPAs and government schemes
+-- accepted by each branch, for cashless/reimbursement questions
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS insurance_providers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    location_id UUID REFERENCES hospital_locations(id), -- NULL applies to every branch
+    name TEXT NOT NULL,
+    provider_type TEXT NOT NULL DEFAULT 'insurer'
+        CHECK (provider_type IN ('insurer', 'tpa', 'government')),
+    aliases TEXT[] NOT NULL DEFAULT '{}',               -- other names callers use ("Max Bupa", "Religare")
+    cashless BOOLEAN NOT NULL DEFAULT false,
+    reimbursement BOOLEAN NOT NULL DEFAULT true,
+    tpa_name TEXT,                                      -- TPA that handles this insurer's claims here
+    extra_documents TEXT[] NOT NULL DEFAULT '{}',       -- needed on top of the standard admission documents
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_insurance_providers_location
+    ON insurance_providers (location_id)
+    WHERE is_active = true;
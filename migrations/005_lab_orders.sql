@@ -0,0 +1,45 @@
+-- ============================================
+-- Lab orders - report status for callers (never results)
+-- and an audit trail of every status lookup made by phone
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS lab_orders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sample_id TEXT NOT NULL UNIQUE,                     -- printed on the collection receipt
+    location_id UUID REFERENCES hospital_locations(id),
+    patient_name TEXT NOT NULL,
+    patient_phone TEXT NOT NULL,                        -- registered number, used to verify callers
+    patient_dob DATE,
+    test_names TEXT[] NOT NULL DEFAULT '{}',
+    collected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expected_at TIMESTAMPTZ,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'ready', 'dispatched')),
+    ready_at TIMESTAMPTZ,
+    dispatched_at TIMESTAMPTZ,
+    dispatch_method TEXT
+        CHECK (dispatch_method IN ('email', 'whatsapp', 'sms_link', 'courier')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lab_orders_patient_phone
+    ON lab_orders (patient_phone);
+
+-- One row per lookup attempt, successful or not; the date of birth is never stored here
+CREATE TABLE IF NOT EXISTS report_lookup_audit (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID REFERENCES conversations(id),
+    call_sid TEXT,
+    caller_phone TEXT,
+    registered_phone TEXT,
+    sample_id TEXT,
+    verification_method TEXT
+        CHECK (verification_method IN ('sample_id', 'date_of_birth')),
+    verified BOOLEAN NOT NULL,
+    lab_order_ids UUID[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_lookup_audit_conversation
+    ON report_lookup_audit (conversation_id);
@@ -0,0 +1,29 @@
+-- ============================================
+-- Bed inventory per branch and ward category, kept current by the
+-- admissions desk through the admin API, plus the staff directory used
+-- to verify staff callers before bed counts are shared
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS bed_inventory (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    location_id UUID NOT NULL REFERENCES hospital_locations(id),
+    category TEXT NOT NULL
+        CHECK (category IN ('general', 'semi_private', 'private', 'icu', 'nicu')),
+    total_beds INTEGER NOT NULL CHECK (total_beds >= 0),
+    available_beds INTEGER NOT NULL CHECK (available_beds >= 0),
+    updated_by TEXT,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (location_id, category),
+    CHECK (available_beds <= total_beds)
+);
+
+CREATE TABLE IF NOT EXISTS staff_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    employee_id TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL,                                 -- e.g. "doctor", "nurse", "admissions"
+    phone TEXT NOT NULL,                                -- staff callers must call from this number
+    location_id UUID REFERENCES hospital_locations(id),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
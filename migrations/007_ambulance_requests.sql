@@ -0,0 +1,28 @@
+-- ============================================
+-- Ambulance dispatch requests taken over the phone
+-- Written before the call is transferred, so the dispatch desk
+-- always has the pickup address even if the transfer fails
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS ambulance_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID REFERENCES conversations(id),
+    call_sid TEXT,
+    caller_phone TEXT,
+    callback_number TEXT NOT NULL,
+    pickup_address TEXT NOT NULL,
+    landmark TEXT,
+    patient_condition TEXT NOT NULL,
+    patient_name TEXT,
+    status TEXT NOT NULL DEFAULT 'requested'
+        CHECK (status IN ('requested', 'dispatched', 'completed', 'cancelled')),
+    notified_at TIMESTAMPTZ,                            -- ambulance desk notifier succeeded
+    notification_error TEXT,
+    transfer_status TEXT
+        CHECK (transfer_status IN ('initiated', 'failed')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ambulance_requests_status
+    ON ambulance_requests (status, created_at DESC);
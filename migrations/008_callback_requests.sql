@@ -0,0 +1,22 @@
+-- ============================================
+-- Callback requests - taken by Maya when a transfer reaches nobody
+-- or the caller would rather be called back by a department
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS callback_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    conversation_id UUID REFERENCES conversations(id),
+    call_sid TEXT,
+    department TEXT NOT NULL,
+    callback_number TEXT NOT NULL,
+    caller_name TEXT,
+    preferred_time TEXT,                                -- as the caller said it ("after 4 pm", "tomorrow morning")
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'completed', 'cancelled')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_callback_requests_status
+    ON callback_requests (status, department, created_at);
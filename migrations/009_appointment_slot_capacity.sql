@@ -0,0 +1,45 @@
+-- ============================================
+-- Slot capacity enforced by the database
+-- The voice assistant counts a slot's bookings before writing one; two callers
+-- booking at once could both see room. This trigger takes a row lock on the
+-- availability slot, so concurrent bookings for it run one at a time, and rejects
+-- a booking once the slot holds max_patients for that date.
+-- ============================================
+
+CREATE OR REPLACE FUNCTION enforce_appointment_slot_capacity()
+RETURNS TRIGGER AS $$
+DECLARE
+    slot_capacity INTEGER;
+    booked_count INTEGER;
+BEGIN
+    IF NEW.status <> 'booked' THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT max_patients INTO slot_capacity
+    FROM doctor_availability
+    WHERE id = NEW.availability_id
+    FOR UPDATE;
+
+    SELECT COUNT(*) INTO booked_count
+    FROM appointments
+    WHERE availability_id = NEW.availability_id
+      AND appointment_date = NEW.appointment_date
+      AND status = 'booked'
+      AND id <> NEW.id;
+
+    IF booked_count >= COALESCE(slot_capacity, 0) THEN
+        -- services/database.js matches on this message
+        RAISE EXCEPTION 'slot_full' USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS appointments_slot_capacity ON appointments;
+
+CREATE TRIGGER appointments_slot_capacity
+    BEFORE INSERT OR UPDATE OF availability_id, appointment_date, status ON appointments
+    FOR EACH ROW
+    EXECUTE FUNCTION enforce_appointment_slot_capacity();
@@ -0,0 +1,12 @@
+-- ============================================
+-- Appointment phone lookups on digits only
+-- Callers say their number as "98200 12345" or "+91-98200-12345"; the last
+-- 10 digits are what the voice assistant matches on, whatever was stored
+-- ============================================
+
+ALTER TABLE appointments
+    ADD COLUMN IF NOT EXISTS patient_phone_digits TEXT
+        GENERATED ALWAYS AS (RIGHT(regexp_replace(patient_phone, '\D', '', 'g'), 10)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_patient_phone_digits
+    ON appointments (patient_phone_digits);
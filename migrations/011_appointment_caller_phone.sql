@@ -0,0 +1,13 @@
+-- ============================================
+-- The number a booking was made from
+-- A caller can book for someone else's number; keeping the caller ID as well
+-- lets either number find, cancel or reschedule the appointment later
+-- ============================================
+
+ALTER TABLE appointments
+    ADD COLUMN IF NOT EXISTS caller_phone TEXT,
+    ADD COLUMN IF NOT EXISTS caller_phone_digits TEXT
+        GENERATED ALWAYS AS (RIGHT(regexp_replace(caller_phone, '\D', '', 'g'), 10)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_caller_phone_digits
+    ON appointments (caller_phone_digits);
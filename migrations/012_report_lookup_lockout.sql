@@ -0,0 +1,21 @@
+-- ============================================
+-- Lab report lookups: digits-only phone matching and a lockout that
+-- survives redialling
+-- Failed lookups are counted from report_lookup_audit per caller ID and per
+-- registered number, so hanging up and calling again does not reset them
+-- ============================================
+
+ALTER TABLE lab_orders
+    ADD COLUMN IF NOT EXISTS patient_phone_digits TEXT
+        GENERATED ALWAYS AS (RIGHT(regexp_replace(patient_phone, '\D', '', 'g'), 10)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_lab_orders_patient_phone_digits
+    ON lab_orders (patient_phone_digits);
+
+CREATE INDEX IF NOT EXISTS idx_report_lookup_audit_caller_phone
+    ON report_lookup_audit (caller_phone, created_at)
+    WHERE NOT verified;
+
+CREATE INDEX IF NOT EXISTS idx_report_lookup_audit_registered_phone
+    ON report_lookup_audit (registered_phone, created_at)
+    WHERE NOT verified;
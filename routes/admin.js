@@ -0,0 +1,181 @@
+// ============================================
+// Admin Routes - Bed inventory updates and emergency alert history
+// ============================================
+
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+import logger from '../utils/logger.js';
+import * as db from '../services/database.js';
+import { BED_CATEGORIES } from '../config/data.js';
+import { getAlerts, describeAlert } from '../services/alertService.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const router = express.Router();
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+// ============================================
+// AUTHENTICATION
+// ============================================
+
+/**
+ * Require the admin API key as "Authorization: Bearer <key>" or an "x-admin-key" header
+ */
+function requireAdminKey(req, res, next) {
+    if (!ADMIN_API_KEY) {
+        return res.status(503).json({ error: 'Admin API is not configured' });
+    }
+
+    const header = req.get('authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-admin-key') || '';
+
+    const expected = Buffer.from(ADMIN_API_KEY);
+    const actual = Buffer.from(provided);
+
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+        logger.warn(`Rejected admin request: ${req.method} ${req.path} - ${req.ip}`);
+        return res.status(401).json({ error: 'Invalid admin API key' });
+    }
+
+    next();
+}
+
+router.use(requireAdminKey);
+
+// ============================================
+// BED INVENTORY ENDPOINTS
+// ============================================
+
+/**
+ * Current bed counts, optionally for one branch (?branch=Bandra)
+ */
+router.get('/beds', async (req, res) => {
+    try {
+        const { branch } = req.query;
+
+        let locationId = null;
+        if (branch) {
+            const location = await db.getHospitalLocationByBranch(branch);
+            if (!location) {
+                return res.status(404).json({ error: `Branch not found: ${branch}` });
+            }
+            locationId = location.id;
+        }
+
+        const inventory = await db.getBedInventory(locationId);
+
+        res.json({
+            count: inventory.length,
+            beds: inventory.map(row => ({
+                branch: row.hospital_locations?.branch,
+                category: row.category,
+                totalBeds: row.total_beds,
+                availableBeds: row.available_beds,
+                updatedBy: row.updated_by,
+                updatedAt: row.updated_at
+            }))
+        });
+    } catch (error) {
+        logger.error('Error getting bed inventory:', error.message);
+        res.status(500).json({ error: 'Failed to get bed inventory' });
+    }
+});
+
+/**
+ * Update the bed count for a branch and ward category
+ * Body: { availableBeds, totalBeds?, updatedBy? } - totalBeds is required the first time
+ */
+router.put('/beds/:branch/:category', async (req, res) => {
+    try {
+        const { branch, category } = req.params;
+        const { availableBeds, totalBeds, updatedBy } = req.body || {};
+
+        if (!BED_CATEGORIES[category]) {
+            return res.status(400).json({
+                error: `Unknown bed category: ${category}`,
+                categories: Object.keys(BED_CATEGORIES)
+            });
+        }
+
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        if (!isCount(availableBeds)) {
+            return res.status(400).json({ error: 'availableBeds must be a whole number of 0 or more' });
+        }
+        if (totalBeds !== undefined && !isCount(totalBeds)) {
+            return res.status(400).json({ error: 'totalBeds must be a whole number of 0 or more' });
+        }
+
+        const location = await db.getHospitalLocationByBranch(branch);
+        if (!location) {
+            return res.status(404).json({ error: `Branch not found: ${branch}` });
+        }
+
+        let total = totalBeds;
+        if (total === undefined) {
+            const existing = (await db.getBedInventory(location.id)).find(row => row.category === category);
+            if (!existing) {
+                return res.status(400).json({ error: 'totalBeds is required for a new bed category' });
+            }
+            total = existing.total_beds;
+        }
+
+        if (availableBeds > total) {
+            return res.status(400).json({ error: `availableBeds (${availableBeds}) cannot exceed totalBeds (${total})` });
+        }
+
+        const row = await db.upsertBedInventory({
+            locationId: location.id,
+            category,
+            totalBeds: total,
+            availableBeds,
+            updatedBy: updatedBy || null
+        });
+
+        if (!row) {
+            return res.status(500).json({ error: 'Failed to update bed inventory' });
+        }
+
+        logger.info(`Bed inventory updated: ${location.branch} ${category} ${availableBeds}/${total} by ${updatedBy || 'unknown'}`);
+
+        res.json({
+            success: true,
+            bed: {
+                branch: location.branch,
+                category: row.category,
+                totalBeds: row.total_beds,
+                availableBeds: row.available_beds,
+                updatedBy: row.updated_by,
+                updatedAt: row.updated_at
+            }
+        });
+    } catch (error) {
+        logger.error('Error updating bed inventory:', error.message);
+        res.status(500).json({ error: 'Failed to update bed inventory' });
+    }
+});
+
+// ============================================
+// EMERGENCY ALERT ENDPOINTS
+// ============================================
+
+/**
+ * Recent emergency alerts with delivery and acknowledgement status
+ * ?unacknowledged=true lists only alerts nobody has acknowledged yet
+ */
+router.get('/alerts', (req, res) => {
+    try {
+        const alerts = getAlerts({ unacknowledgedOnly: req.query.unacknowledged === 'true' });
+
+        res.json({
+            count: alerts.length,
+            alerts: alerts.map(describeAlert)
+        });
+    } catch (error) {
+        logger.error('Error getting alerts:', error.message);
+        res.status(500).json({ error: 'Failed to get alerts' });
+    }
+});
+
+export default router;
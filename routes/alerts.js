@@ -0,0 +1,39 @@
+// ============================================
+// Alert Routes - Acknowledgement links sent to on-call staff
+// ============================================
+
+import express from 'express';
+import logger from '../utils/logger.js';
+import { acknowledgeAlert, describeAlert } from '../services/alertService.js';
+
+const router = express.Router();
+
+/**
+ * Acknowledge an emergency alert
+ * GET works so the link in an SMS or email can be opened directly
+ * Query/body: token (from the ack link), by (optional name of who acknowledged)
+ */
+router.all('/:id/ack', (req, res) => {
+    try {
+        const token = req.query.token || req.body?.token;
+        const acknowledgedBy = req.query.by || req.body?.by;
+
+        const { alert, error } = acknowledgeAlert(req.params.id, { token, acknowledgedBy });
+
+        if (error) {
+            const status = error === 'Alert not found' ? 404 : 403;
+            return res.status(status).json({ error });
+        }
+
+        res.json({
+            success: true,
+            message: 'Alert acknowledged',
+            alert: describeAlert(alert)
+        });
+    } catch (error) {
+        logger.error('Error acknowledging alert:', error.message);
+        res.status(500).json({ error: 'Failed to acknowledge alert' });
+    }
+});
+
+export default router;
@@ -5,9 +5,109 @@
 import express from 'express';
 import logger from '../utils/logger.js';
 import * as conversationManager from '../services/conversationManager.js';
+import { IVR_MENU, EMERGENCY_CONTACTS } from '../config/data.js';
+import { translate, resolveLanguage } from '../utils/i18n.js';
 
 const router = express.Router();
 
+// How long each number in a transfer chain rings before the next one is tried
+const TRANSFER_DIAL_TIMEOUT_SECONDS = parseInt(process.env.TRANSFER_DIAL_TIMEOUT_SECONDS) || 20;
+
+// Said to the receiving party when no handoff summary was prepared for the call
+const DEFAULT_WHISPER = "Transferred call from Maya, the hospital's AI assistant. Connecting the caller now.";
+
+/**
+ * Escape text for use inside Exotel XML
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Language the caller is spoken to in (<Say> prompts), from their conversation
+ * Staff-facing prompts such as the whisper stay in English
+ */
+function callLanguage(callSid) {
+    return resolveLanguage(conversationManager.getConversation(callSid)?.languageDetected);
+}
+
+// ============================================
+// TRANSFER CHAIN HELPERS
+// ============================================
+
+/**
+ * Transfer chain state carried in the webhook query string
+ * targets is the ordered list of numbers; attempt is the index being dialled
+ */
+function getTransferState(req) {
+    const { CallSid, department, mode } = req.query;
+
+    return {
+        callSid: req.query.callSid || CallSid,
+        department: department || 'our operator',
+        mode: mode || 'cold',
+        targets: String(req.query.targets || req.query.transferTo || '')
+            .split(',')
+            .map(number => number.trim())
+            .filter(Boolean),
+        attempt: parseInt(req.query.attempt) || 0
+    };
+}
+
+/**
+ * Dial one target in the chain; Exotel reports the result to /transfer-status
+ */
+function buildDialXml(req, state, intro) {
+    const { callSid, department, mode, targets, attempt } = state;
+    const baseUrl = `https://${req.headers.host}/exotel`;
+
+    const statusUrl = `${baseUrl}/transfer-status?` + new URLSearchParams({
+        callSid,
+        department,
+        mode,
+        targets: targets.join(','),
+        attempt: String(attempt)
+    });
+
+    // The whisper URL is fetched when the department answers; its <Say> is heard by them only
+    const whisperUrl = `${baseUrl}/whisper?callSid=${encodeURIComponent(callSid)}`;
+    const number = mode === 'warm'
+        ? `<Number url="${escapeXml(whisperUrl)}">${targets[attempt]}</Number>`
+        : `<Number>${targets[attempt]}</Number>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Say>${escapeXml(intro)}</Say>
+    <Dial action="${escapeXml(statusUrl)}" timeout="${TRANSFER_DIAL_TIMEOUT_SECONDS}">
+        ${number}
+    </Dial>
+</Response>`;
+}
+
+/**
+ * Put the caller back on the media stream so Maya can offer a callback
+ */
+function buildReturnToMayaXml(req, state, phoneNumber) {
+    const streamUrl = `wss://${req.headers.host}/exotel-media-stream?` + new URLSearchParams({
+        callSid: state.callSid,
+        phoneNumber: phoneNumber || '',
+        returnedFrom: state.department
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Say>${escapeXml(translate('callReturnToMaya', { department: state.department }, callLanguage(state.callSid)))}</Say>
+    <Connect>
+        <Stream url="${escapeXml(streamUrl)}" />
+    </Connect>
+</Response>`;
+}
+
 // ============================================
 // EXOTEL WEBHOOK ENDPOINTS
 // ============================================
@@ -35,7 +135,7 @@ router.post('/incoming-call', async (req, res) => {
         // Exotel Response XML for connecting to WebSocket
         const exotelResponse = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-    <Say>Welcome to Lilavati Hospital AI Assistant. Please wait while we connect you.</Say>
+    <Say>${escapeXml(translate('callWelcome', {}, conversation?.languageDetected))}</Say>
     <Connect>
         <Stream url="wss://${req.headers.host}/exotel-media-stream?callSid=${CallSid}&phoneNumber=${encodeURIComponent(userPhone)}" />
     </Connect>
@@ -50,7 +150,7 @@ router.post('/incoming-call', async (req, res) => {
 
         const errorResponse = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-    <Say>We are experiencing technical difficulties. Please try again later.</Say>
+    <Say>${escapeXml(translate('callTechnicalDifficulty'))}</Say>
     <Hangup/>
 </Response>`;
 
@@ -90,39 +190,109 @@ router.post('/call-status', async (req, res) => {
 /**
  * Passthru (Transfer) endpoint
  * Used for transferring calls to operators/departments
+ * targets is a comma-separated fallback chain (transferTo is accepted for a single number);
+ * mode=warm plays the call's handoff summary to the receiving party before bridging
  */
 router.post('/transfer-call', async (req, res) => {
-    try {
-        const { CallSid, transferTo, department } = req.query;
+    const state = getTransferState(req);
 
-        logger.info(`Exotel transfer request: ${CallSid} to ${transferTo} (${department})`);
+    try {
+        logger.info(`Exotel transfer request: ${state.callSid} to ${state.department} via ${state.targets.join(' > ')} (${state.mode})`);
 
-        const conversation = conversationManager.getConversation(CallSid);
+        const conversation = conversationManager.getConversation(state.callSid);
         if (conversation) {
-            conversation.logTransfer('manual', transferTo, department);
+            conversation.logTransfer('manual', state.targets[0], state.department);
         }
 
-        const transferResponse = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-    <Say>Please hold while I transfer your call to ${department || 'our operator'}.</Say>
-    <Dial>
-        <Number>${transferTo}</Number>
-    </Dial>
-</Response>`;
+        if (state.targets.length === 0) {
+            throw new Error('No transfer targets');
+        }
 
         res.type('application/xml');
-        res.send(transferResponse);
+        res.send(buildDialXml(req, state, translate('callTransferHold', { department: state.department }, callLanguage(state.callSid))));
     } catch (error) {
         logger.error('Error transferring Exotel call:', error.message);
 
-        const errorResponse = `<?xml version="1.0" encoding="UTF-8"?>
+        const conversation = conversationManager.getConversation(state.callSid);
+        res.type('application/xml');
+        res.send(buildReturnToMayaXml(req, state, conversation?.phoneNumber || req.query.From || req.body?.From));
+    }
+});
+
+/**
+ * Dial result for one target in a transfer chain (Exotel <Dial> action)
+ * Answered: the call is done. Busy/no answer/failed: try the next target,
+ * and once every target has failed hand the caller back to Maya.
+ */
+router.all('/transfer-status', async (req, res) => {
+    const state = getTransferState(req);
+
+    try {
+        const dialStatus = String(req.body?.DialCallStatus || req.query.DialCallStatus || req.body?.DialStatus || 'failed').toLowerCase();
+        const answered = dialStatus === 'completed' || dialStatus === 'answered';
+        const conversation = conversationManager.getConversation(state.callSid);
+
+        logger.info(`Exotel transfer attempt ${state.attempt + 1}/${state.targets.length} for ${state.callSid}: ${state.targets[state.attempt]} - ${dialStatus}`);
+
+        conversation?.logTransferAttempt(state.department, state.targets[state.attempt], state.attempt + 1, answered ? 'answered' : dialStatus);
+
+        res.type('application/xml');
+
+        if (answered) {
+            res.send(`<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-    <Say>Unable to transfer your call. Please try again.</Say>
     <Hangup/>
+</Response>`);
+            return;
+        }
+
+        const next = { ...state, attempt: state.attempt + 1 };
+
+        if (next.attempt < next.targets.length) {
+            const language = callLanguage(state.callSid);
+            const reason = translate(dialStatus === 'busy' ? 'callTransferBusy' : 'callTransferNoAnswer', {}, language);
+            res.send(buildDialXml(req, next, translate('callTransferNext', { reason }, language)));
+            return;
+        }
+
+        logger.warn(`Transfer chain exhausted for ${state.callSid} (${state.department}) - returning caller to Maya`);
+        conversation?.logTransferAttempt(state.department, null, next.attempt, 'exhausted');
+
+        res.send(buildReturnToMayaXml(req, state, conversation?.phoneNumber || req.body?.From || req.query.From));
+    } catch (error) {
+        logger.error('Error handling Exotel transfer status:', error.message);
+
+        res.type('application/xml');
+        res.send(buildReturnToMayaXml(req, state, req.body?.From || req.query.From));
+    }
+});
+
+/**
+ * Whisper for warm transfers
+ * Played to the receiving party only, before the caller is bridged in
+ */
+router.all('/whisper', (req, res) => {
+    try {
+        const callSid = req.query.callSid || req.body?.CallSid;
+        const handoff = conversationManager.getConversation(callSid)?.getLatestHandoff();
+
+        logger.info(`Exotel whisper for ${callSid}: ${handoff ? handoff.department : 'no summary'}`);
+
+        const whisperResponse = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Say>${escapeXml(handoff?.summary.text || DEFAULT_WHISPER)}</Say>
 </Response>`;
 
         res.type('application/xml');
-        res.send(errorResponse);
+        res.send(whisperResponse);
+    } catch (error) {
+        logger.error('Error in Exotel whisper:', error.message);
+
+        res.type('application/xml');
+        res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Say>${escapeXml(DEFAULT_WHISPER)}</Say>
+</Response>`);
     }
 });
 
@@ -143,7 +313,7 @@ router.post('/emergency-transfer', async (req, res) => {
 
         const emergencyResponse = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-    <Say>This is an emergency. Connecting you immediately to emergency services. Please stay on the line.</Say>
+    <Say>${escapeXml(translate('callEmergencyTransfer', {}, conversation?.languageDetected))}</Say>
     <Dial>
         <Number>${emergencyNumber}</Number>
     </Dial>
@@ -166,7 +336,7 @@ router.post('/fallback', (req, res) => {
 
     const fallbackResponse = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-    <Say>We apologize for the inconvenience. Please call back later or contact our main office directly.</Say>
+    <Say>${escapeXml(translate('callFallback', {}, callLanguage(CallSid)))}</Say>
     <Hangup/>
 </Response>`;
 
@@ -187,22 +357,64 @@ router.get('/health', (req, res) => {
 
 /**
  * Passthru Applet - Custom flow handler
- * This can be used for custom call flows
+ * Plays the IVR menu (IVR_MENU in config/data.js) before the call reaches Maya:
+ * a language choice is passed to the media stream, the emergency choice dials
+ * the emergency line directly, and no choice falls through to English
  */
 router.all('/passthru', async (req, res) => {
     try {
-        const { CallSid, From, Digits } = req.body;
+        const { CallSid, From } = { ...req.query, ...req.body };
+        // Exotel sends gathered digits wrapped in quotes, e.g. "2"
+        const digits = String(req.body?.Digits || req.query.Digits || '').replace(/"/g, '').trim();
 
-        logger.info(`Exotel passthru: ${CallSid}, Digits: ${Digits}`);
+        logger.info(`Exotel passthru: ${CallSid}, Digits: ${digits || 'none'}`);
 
-        // Handle IVR digit input if needed
-        const response = `<?xml version="1.0" encoding="UTF-8"?>
+        const baseUrl = `https://${req.headers.host}/exotel`;
+        const option = IVR_MENU.options[digits];
+        let response;
+
+        if (option?.emergencyContact) {
+            // Straight to the emergency line - the model is never involved
+            logger.warn(`IVR emergency option pressed: ${CallSid}`);
+
+            const emergencyUrl = `${baseUrl}/emergency-transfer?` + new URLSearchParams({
+                CallSid,
+                emergencyNumber: EMERGENCY_CONTACTS[option.emergencyContact],
+                emergencyType: 'ivr_emergency'
+            });
+
+            response = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Redirect method="POST">${escapeXml(emergencyUrl)}</Redirect>
+</Response>`;
+        } else if (IVR_MENU.enabled && !option && req.query.menu !== 'played') {
+            // First visit: play the menu, and connect in English if nothing is pressed
+            const menuUrl = `${baseUrl}/passthru?menu=played`;
+
+            response = `<?xml version="1.0" encoding="UTF-8"?>
 <Response>
-    <Say>Processing your request.</Say>
+    <Gather action="${escapeXml(menuUrl)}" method="POST" numDigits="1" timeout="${IVR_MENU.timeoutSeconds}">
+        <Say>${escapeXml(IVR_MENU.prompt)}</Say>
+    </Gather>
+    <Redirect method="POST">${escapeXml(menuUrl)}</Redirect>
+</Response>`;
+        } else {
+            const language = option?.language || 'en';
+
+            const streamUrl = `wss://${req.headers.host}/exotel-media-stream?` + new URLSearchParams({
+                callSid: CallSid,
+                phoneNumber: From || '',
+                language
+            });
+
+            response = `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Say>${escapeXml(translate('callProcessing', {}, language))}</Say>
     <Connect>
-        <Stream url="wss://${req.headers.host}/exotel-media-stream?callSid=${CallSid}&phoneNumber=${encodeURIComponent(From)}" />
+        <Stream url="${escapeXml(streamUrl)}" />
     </Connect>
 </Response>`;
+        }
 
         res.type('application/xml');
         res.send(response);
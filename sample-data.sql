@@ -122,9 +122,11 @@ INSERT INTO hospital_info (category, title, content, tags, display_order, is_act
 
 ('Policies', 'Admission Process', 'For planned admissions, please contact our admission desk at extension 5000. For emergency admissions, proceed directly to Emergency Department. Please carry your ID proof, insurance documents (if applicable), and previous medical records.', ARRAY['admission', 'process'], 8, true),
 
-('Accreditation', 'Quality and Accreditations', 'Lilavati Hospital is accredited by Joint Commission International (JCI), National Accreditation Board for Hospitals (NABH), and National Accreditation Board for Testing and Calibration Laboratories (NABL). We maintain the highest standards of patient care and safety.', ARRAY['accreditation', 'quality', 'jci', 'nabh'], 9, true),
+('Policies', 'Cashless Insurance Admission', 'For cashless admission, bring your insurance policy or TPA card, a photo ID (Aadhaar, PAN or passport) of the patient and policy holder, the doctor''s admission advice, and previous medical records. Our insurance desk sends the pre-authorisation request to your insurer or TPA; approval usually takes 4 to 6 hours for planned admissions. For reimbursement claims, keep all original bills, the discharge summary and investigation reports.', ARRAY['insurance', 'cashless', 'admission', 'documents', 'tpa'], 9, true),
 
-('Amenities', 'Patient Amenities', 'We offer various amenities for patient comfort including deluxe and suite rooms, TV in all rooms, complimentary WiFi, cafeteria, coffee shop, ATM, and ample parking space.', ARRAY['amenities', 'facilities', 'comfort'], 10, true);
+('Accreditation', 'Quality and Accreditations', 'Lilavati Hospital is accredited by Joint Commission International (JCI), National Accreditation Board for Hospitals (NABH), and National Accreditation Board for Testing and Calibration Laboratories (NABL). We maintain the highest standards of patient care and safety.', ARRAY['accreditation', 'quality', 'jci', 'nabh'], 10, true),
+
+('Amenities', 'Patient Amenities', 'We offer various amenities for patient comfort including deluxe and suite rooms, TV in all rooms, complimentary WiFi, cafeteria, coffee shop, ATM, and ample parking space.', ARRAY['amenities', 'facilities', 'comfort'], 11, true);
 
 -- ============================================
 -- FLOOR PLANS
@@ -147,6 +149,65 @@ FROM (VALUES
 CROSS JOIN hospital_locations loc
 WHERE loc.branch = 'Bandra West';
 
+-- ============================================
+-- TARIFFS (run migrations/003_tariffs.sql first)
+-- ============================================
+
+INSERT INTO tariffs (category, name, aliases, department, min_price, max_price, unit, inclusions, cashless_eligible, notes) VALUES
+('procedure', 'MRI Brain', ARRAY['mri', 'mri scan', 'brain mri', 'head mri'], 'Radiology', 6500.00, 9500.00, 'per test', 'Scan and radiologist report', false, 'Contrast MRI costs more'),
+('procedure', 'MRI Spine', ARRAY['spine mri', 'back mri', 'mri back'], 'Radiology', 7000.00, 11000.00, 'per region', 'Scan and radiologist report', false, 'Priced per spine region'),
+('procedure', 'CT Scan', ARRAY['ct', 'cat scan', 'ct scan head', 'ct scan chest'], 'Radiology', 3500.00, 8000.00, 'per test', 'Scan and radiologist report', false, 'Varies by body part and contrast'),
+('procedure', 'X-Ray', ARRAY['xray', 'x ray', 'chest x-ray'], 'Radiology', 500.00, 1200.00, 'per view', 'Film and report', false, NULL),
+('procedure', 'Ultrasound Abdomen', ARRAY['ultrasound', 'sonography', 'usg', 'sonography abdomen'], 'Radiology', 1800.00, 3000.00, 'per test', 'Scan and report', false, NULL),
+('procedure', 'ECG', ARRAY['ecg', 'ekg', 'electrocardiogram'], 'Cardiology', 400.00, 600.00, 'per test', NULL, false, NULL),
+('procedure', '2D Echo', ARRAY['echo', 'echocardiography', '2d echo test'], 'Cardiology', 3000.00, 4500.00, 'per test', 'Test and cardiologist report', false, NULL),
+('procedure', 'Treadmill Test', ARRAY['tmt', 'stress test'], 'Cardiology', 2500.00, 3500.00, 'per test', NULL, false, NULL),
+('procedure', 'Complete Blood Count', ARRAY['cbc', 'blood test', 'blood count'], 'Pathology', 400.00, 600.00, 'per test', NULL, false, NULL),
+('procedure', 'Upper GI Endoscopy', ARRAY['endoscopy', 'gastroscopy'], 'Gastroenterology', 6000.00, 9000.00, 'per procedure', 'Procedure and day-care charges', true, 'Biopsy charged extra'),
+('procedure', 'Colonoscopy', ARRAY['colonoscopy'], 'Gastroenterology', 9000.00, 14000.00, 'per procedure', 'Procedure and day-care charges', true, 'Biopsy charged extra'),
+('procedure', 'Dialysis', ARRAY['haemodialysis', 'hemodialysis', 'kidney dialysis'], NULL, 3500.00, 5000.00, 'per session', NULL, true, NULL),
+('room', 'General Ward', ARRAY['general ward', 'ward bed', 'general bed'], NULL, 3500.00, 4500.00, 'per day', 'Bed, nursing and diet', true, NULL),
+('room', 'Semi-Private Room', ARRAY['semi private', 'twin sharing', 'sharing room'], NULL, 7000.00, 9000.00, 'per day', 'Bed, nursing and diet', true, NULL),
+('room', 'Private Room', ARRAY['private room', 'single room', 'deluxe room'], NULL, 12000.00, 16000.00, 'per day', 'Bed, nursing and diet', true, NULL),
+('room', 'Suite', ARRAY['suite room', 'suite'], NULL, 25000.00, 35000.00, 'per day', 'Bed, nursing, diet and attendant bed', true, NULL),
+('room', 'ICU', ARRAY['icu', 'intensive care', 'iccu', 'micu'], NULL, 18000.00, 30000.00, 'per day', 'Bed, monitoring and nursing', true, 'Ventilator and medicines charged extra'),
+('room', 'NICU', ARRAY['nicu', 'neonatal icu', 'baby icu'], 'Pediatrics', 15000.00, 25000.00, 'per day', 'Bed, monitoring and nursing', true, NULL),
+('package', 'Normal Delivery', ARRAY['normal delivery', 'delivery package', 'vaginal delivery'], 'Gynecology', 60000.00, 90000.00, 'per package', '2 days stay in general ward, doctor and delivery charges', true, 'Room upgrade and complications charged extra'),
+('package', 'Caesarean Delivery', ARRAY['c section', 'caesarean', 'cesarean', 'lscs'], 'Gynecology', 110000.00, 160000.00, 'per package', '4 days stay in general ward, surgery and doctor charges', true, 'Room upgrade and complications charged extra'),
+('package', 'Angioplasty', ARRAY['angioplasty', 'stent', 'ptca'], 'Cardiology', 250000.00, 450000.00, 'per package', 'Procedure, one stent and 3 days stay', true, 'Depends on the number and type of stents'),
+('package', 'Angiography', ARRAY['angiography', 'angiogram', 'cag'], 'Cardiology', 18000.00, 30000.00, 'per package', 'Procedure and day-care stay', true, NULL),
+('package', 'Total Knee Replacement', ARRAY['knee replacement', 'tkr', 'knee surgery'], 'Orthopedics', 250000.00, 400000.00, 'per knee', 'Surgery, implant and 5 days stay', true, 'Depends on the implant chosen'),
+('package', 'Cataract Surgery', ARRAY['cataract', 'eye surgery', 'lens replacement'], NULL, 35000.00, 90000.00, 'per eye', 'Surgery, lens and day-care stay', true, 'Depends on the lens chosen'),
+('package', 'Executive Health Checkup', ARRAY['health checkup', 'full body checkup', 'master health checkup', 'annual checkup'], NULL, 6000.00, 12000.00, 'per package', 'Blood tests, ECG, X-ray, ultrasound and doctor consultation', false, 'Book a day ahead; fasting required');
+
+-- ============================================
+-- INSURANCE PROVIDERS (run migrations/004_insurance_providers.sql first)
+-- ============================================
+
+INSERT INTO insurance_providers (name, provider_type, aliases, cashless, reimbursement, tpa_name, extra_documents, notes) VALUES
+('Star Health and Allied Insurance', 'insurer', ARRAY['star health', 'star'], true, true, NULL, '{}', NULL),
+('ICICI Lombard', 'insurer', ARRAY['icici lombard', 'icici'], true, true, NULL, '{}', NULL),
+('HDFC ERGO', 'insurer', ARRAY['hdfc ergo', 'hdfc', 'apollo munich'], true, true, NULL, '{}', NULL),
+('Niva Bupa', 'insurer', ARRAY['niva bupa', 'max bupa', 'bupa'], true, true, NULL, '{}', NULL),
+('Care Health Insurance', 'insurer', ARRAY['care health', 'religare', 'care'], true, true, NULL, '{}', NULL),
+('Tata AIG', 'insurer', ARRAY['tata aig', 'tata'], true, true, NULL, '{}', NULL),
+('Aditya Birla Health Insurance', 'insurer', ARRAY['aditya birla', 'birla health', 'activ health'], true, true, NULL, '{}', NULL),
+('ManipalCigna Health Insurance', 'insurer', ARRAY['manipal cigna', 'cigna ttk', 'cigna'], true, true, NULL, '{}', NULL),
+('Bajaj Allianz', 'insurer', ARRAY['bajaj allianz', 'bajaj'], false, true, NULL, '{}', 'Cashless empanelment under renewal'),
+('SBI General Insurance', 'insurer', ARRAY['sbi general', 'sbi health', 'sbi'], true, true, 'Medi Assist', '{}', NULL),
+('The New India Assurance', 'insurer', ARRAY['new india assurance', 'new india'], true, true, 'MD India', '{}', 'PSU insurer - cashless through the network TPA'),
+('United India Insurance', 'insurer', ARRAY['united india'], true, true, 'Paramount Health Services', '{}', 'PSU insurer - cashless through the network TPA'),
+('National Insurance', 'insurer', ARRAY['national insurance'], true, true, 'Medi Assist', '{}', 'PSU insurer - cashless through the network TPA'),
+('The Oriental Insurance', 'insurer', ARRAY['oriental insurance', 'oriental'], true, true, 'Family Health Plan', '{}', 'PSU insurer - cashless through the network TPA'),
+('Medi Assist', 'tpa', ARRAY['medi assist', 'mediassist'], true, true, NULL, '{}', NULL),
+('MD India Health Insurance TPA', 'tpa', ARRAY['md india', 'mdindia'], true, true, NULL, '{}', NULL),
+('Paramount Health Services', 'tpa', ARRAY['paramount', 'paramount tpa'], true, true, NULL, '{}', NULL),
+('Family Health Plan', 'tpa', ARRAY['family health plan', 'fhpl'], true, true, NULL, '{}', NULL),
+('Vidal Health TPA', 'tpa', ARRAY['vidal health', 'vidal'], true, true, NULL, '{}', NULL),
+('Health India TPA', 'tpa', ARRAY['health india'], true, true, NULL, '{}', NULL),
+('Central Government Health Scheme', 'government', ARRAY['cghs'], false, true, NULL, ARRAY['CGHS card', 'Referral letter from the CGHS wellness centre'], 'Treatment is paid by the patient and claimed from CGHS'),
+('Ex-Servicemen Contributory Health Scheme', 'government', ARRAY['echs'], false, true, NULL, ARRAY['ECHS card', 'Referral from the ECHS polyclinic'], 'Treatment is paid by the patient and claimed from ECHS');
+
 -- ============================================
 -- VERIFICATION QUERIES
 -- ============================================
@@ -164,7 +225,11 @@ SELECT 'Contact Details', COUNT(*) FROM contact_details
 UNION ALL
 SELECT 'Hospital Info', COUNT(*) FROM hospital_info
 UNION ALL
-SELECT 'Floor Plans', COUNT(*) FROM floor_plans;
+SELECT 'Floor Plans', COUNT(*) FROM floor_plans
+UNION ALL
+SELECT 'Tariffs', COUNT(*) FROM tariffs
+UNION ALL
+SELECT 'Insurance Providers', COUNT(*) FROM insurance_providers;
 
 -- ============================================
 -- TEST QUERIES
@@ -16,8 +16,11 @@ import { testConnection } from './config/supabase.js';
 import exotelRoutes from './routes/exotel.js';
 import webVoiceRoutes from './routes/webVoice.js';
 import phoneCallbackRoutes from './routes/phoneCallback.js';
+import adminRoutes from './routes/admin.js';
+import alertRoutes from './routes/alerts.js';
 import * as conversationManager from './services/conversationManager.js';
 import { createRealtimeSession } from './services/realtimeHandler.js';
+import { prepareHoldingPrompts } from './services/holdingPrompt.js';
 import { HOSPITAL_INFO } from './config/data.js';
 
 // Load environment variables
@@ -99,7 +102,9 @@ app.get('/', (req, res) => {
             health: '/health',
             exotelWebhooks: '/exotel/*',
             mediaStream: 'wss://your-domain/exotel-media-stream',
-            conversations: '/api/conversations'
+            conversations: '/api/conversations',
+            bedInventory: '/api/admin/beds',
+            emergencyAlerts: '/api/admin/alerts'
         },
         documentation: 'See README.md for setup instructions'
     });
@@ -140,6 +145,12 @@ app.post('/api/admin/cleanup', (req, res) => {
     });
 });
 
+// Admin routes (bed inventory, alert history) - require ADMIN_API_KEY
+app.use('/api/admin', adminRoutes);
+
+// Emergency alert acknowledgement links - authorised by the per-alert token
+app.use('/api/alerts', alertRoutes);
+
 // 404 handler
 app.use((req, res) => {
     res.status(404).json({
@@ -166,12 +177,14 @@ wss.on('connection', async (ws, req) => {
     const url = new URL(req.url, `http://${req.headers.host}`);
     const callSid = url.searchParams.get('callSid');
     const phoneNumber = url.searchParams.get('phoneNumber');
+    const returnedFrom = url.searchParams.get('returnedFrom'); // Set when a transfer reached nobody
+    const language = url.searchParams.get('language'); // Chosen in the IVR menu
 
     logger.info(`WebSocket connection: ${callSid} from ${phoneNumber}`);
 
     try {
         // Create realtime session handler
-        const realtimeSession = await createRealtimeSession(ws, callSid, phoneNumber);
+        const realtimeSession = await createRealtimeSession(ws, callSid, phoneNumber, { returnedFrom, language });
 
         logger.info(`Realtime session created for call: ${callSid}`);
     } catch (error) {
@@ -300,6 +313,9 @@ async function startServer() {
             process.exit(1);
         }
 
+        // Spoken reconnect prompts are synthesized in the background - calls don't wait on them
+        prepareHoldingPrompts();
+
         // Start server
         server.listen(PORT, () => {
             logger.info('='.repeat(60));
@@ -0,0 +1,330 @@
+// ============================================
+// On-Call Staff Alerting
+// Fans an emergency out to the configured channels (SMS gateway webhook,
+// SMTP email, generic HTTP webhook, file or in-memory sink), retries failed
+// deliveries and tracks who acknowledged each alert
+// ============================================
+
+import { appendFile } from 'fs/promises';
+import { timingSafeEqual } from 'crypto';
+import nodemailer from 'nodemailer';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+import { HOSPITAL_INFO } from '../config/data.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const PUBLIC_URL = process.env.PUBLIC_URL;
+
+// Comma-separated: sms, email, webhook, file, memory
+const ALERT_CHANNELS = (process.env.ALERT_CHANNELS || 'file')
+    .split(',')
+    .map(channel => channel.trim())
+    .filter(Boolean);
+
+// Delivery retries per channel, with exponential backoff
+const ALERT_MAX_ATTEMPTS = parseInt(process.env.ALERT_MAX_ATTEMPTS) || 3;
+const ALERT_RETRY_BASE_DELAY_MS = parseInt(process.env.ALERT_RETRY_BASE_DELAY_MS) || 2000;
+const ALERT_HTTP_TIMEOUT_MS = parseInt(process.env.ALERT_HTTP_TIMEOUT_MS) || 5000;
+
+// Alerts kept in memory for acknowledgement and the admin API
+const ALERT_HISTORY_LIMIT = parseInt(process.env.ALERT_HISTORY_LIMIT) || 200;
+
+// SMS text is kept short; email and webhooks get the full excerpt
+const SMS_EXCERPT_LENGTH = 300;
+
+const alerts = new Map();
+const memorySink = [];
+
+let mailTransport = null;
+
+// ============================================
+// MESSAGE FORMATTING
+// ============================================
+
+/**
+ * Link on-call staff can open to acknowledge an alert
+ */
+function ackUrlFor(alert) {
+    return PUBLIC_URL ? `${PUBLIC_URL}/api/alerts/${alert.id}/ack?token=${alert.ackToken}` : null;
+}
+
+/**
+ * Plain-text alert body, optionally with a shortened transcript excerpt
+ */
+function formatAlertText(alert, excerptLength = Infinity) {
+    const excerpt = alert.transcriptExcerpt.length > excerptLength
+        ? `...${alert.transcriptExcerpt.slice(-excerptLength)}`
+        : alert.transcriptExcerpt;
+    const ackUrl = ackUrlFor(alert);
+
+    return [
+        `EMERGENCY (${alert.emergencyType}) - ${HOSPITAL_INFO.name} voice line`,
+        `Caller: ${alert.callerPhone || 'unknown'}`,
+        `Call SID: ${alert.callSid || 'unknown'}`,
+        excerpt ? `Recent conversation:\n${excerpt}` : null,
+        ackUrl ? `Acknowledge: ${ackUrl}` : null
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Alert fields shared with external systems (the ack token only travels inside the ack URL)
+ */
+function toPayload(alert) {
+    return {
+        event: 'emergency_alert',
+        alertId: alert.id,
+        emergencyType: alert.emergencyType,
+        callerPhone: alert.callerPhone,
+        callSid: alert.callSid,
+        transcriptExcerpt: alert.transcriptExcerpt,
+        createdAt: alert.createdAt,
+        ackUrl: ackUrlFor(alert)
+    };
+}
+
+/**
+ * POST JSON and throw on a non-2xx response
+ */
+async function postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(ALERT_HTTP_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+}
+
+// ============================================
+// CHANNELS
+// ============================================
+
+const channels = {
+    /**
+     * SMS gateway webhook - receives { to: [numbers], message }
+     */
+    sms: async (alert) => {
+        const url = process.env.ALERT_SMS_WEBHOOK_URL;
+        const recipients = (process.env.ALERT_SMS_RECIPIENTS || '').split(',').map(n => n.trim()).filter(Boolean);
+        if (!url || recipients.length === 0) {
+            throw new Error('ALERT_SMS_WEBHOOK_URL or ALERT_SMS_RECIPIENTS not configured');
+        }
+
+        const token = process.env.ALERT_SMS_WEBHOOK_TOKEN;
+        await postJson(url, {
+            to: recipients,
+            message: formatAlertText(alert, SMS_EXCERPT_LENGTH)
+        }, token ? { Authorization: `Bearer ${token}` } : {});
+    },
+
+    /**
+     * Email via SMTP
+     */
+    email: async (alert) => {
+        const { ALERT_SMTP_HOST, ALERT_EMAIL_FROM, ALERT_EMAIL_TO } = process.env;
+        if (!ALERT_SMTP_HOST || !ALERT_EMAIL_FROM || !ALERT_EMAIL_TO) {
+            throw new Error('ALERT_SMTP_HOST, ALERT_EMAIL_FROM or ALERT_EMAIL_TO not configured');
+        }
+
+        if (!mailTransport) {
+            const port = parseInt(process.env.ALERT_SMTP_PORT) || 587;
+            mailTransport = nodemailer.createTransport({
+                host: ALERT_SMTP_HOST,
+                port,
+                secure: port === 465,
+                auth: process.env.ALERT_SMTP_USER
+                    ? { user: process.env.ALERT_SMTP_USER, pass: process.env.ALERT_SMTP_PASS }
+                    : undefined,
+                connectionTimeout: ALERT_HTTP_TIMEOUT_MS
+            });
+        }
+
+        await mailTransport.sendMail({
+            from: ALERT_EMAIL_FROM,
+            to: ALERT_EMAIL_TO,
+            subject: `EMERGENCY (${alert.emergencyType}) - call ${alert.callSid || 'unknown'}`,
+            text: formatAlertText(alert)
+        });
+    },
+
+    /**
+     * Generic HTTP webhook - receives the alert as JSON
+     */
+    webhook: async (alert) => {
+        const url = process.env.ALERT_WEBHOOK_URL;
+        if (!url) {
+            throw new Error('ALERT_WEBHOOK_URL not configured');
+        }
+
+        await postJson(url, toPayload(alert));
+    },
+
+    /**
+     * Append one JSON line per alert to a file - for local testing
+     */
+    file: async (alert) => {
+        const path = process.env.ALERT_FILE_PATH || 'logs/alerts.log';
+        await appendFile(path, `${JSON.stringify({ ...toPayload(alert), deliveredAt: new Date().toISOString() })}\n`);
+    },
+
+    /**
+     * Keep the alert in memory - for tests, read back with getMemorySink()
+     */
+    memory: async (alert) => {
+        memorySink.push({ ...toPayload(alert), text: formatAlertText(alert) });
+    }
+};
+
+// ============================================
+// DELIVERY
+// ============================================
+
+/**
+ * Deliver to one channel, retrying with backoff; records the outcome on the alert
+ */
+async function deliverToChannel(alert, channelName) {
+    const delivery = alert.deliveries[channelName];
+    const send = channels[channelName];
+
+    if (!send) {
+        delivery.status = 'failed';
+        delivery.lastError = 'Unknown channel';
+        logger.error(`Unknown alert channel: ${channelName}`);
+        return;
+    }
+
+    while (delivery.attempts < ALERT_MAX_ATTEMPTS) {
+        delivery.attempts++;
+
+        try {
+            await send(alert);
+            delivery.status = 'delivered';
+            delivery.deliveredAt = new Date();
+            logger.info(`Alert ${alert.id} delivered via ${channelName} (attempt ${delivery.attempts})`);
+            return;
+        } catch (error) {
+            delivery.lastError = error.message;
+            logger.warn(`Alert ${alert.id} delivery via ${channelName} failed (attempt ${delivery.attempts}/${ALERT_MAX_ATTEMPTS}): ${error.message}`);
+        }
+
+        if (delivery.attempts < ALERT_MAX_ATTEMPTS) {
+            const delay = ALERT_RETRY_BASE_DELAY_MS * 2 ** (delivery.attempts - 1);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    delivery.status = 'failed';
+    logger.error(`Alert ${alert.id} could not be delivered via ${channelName}: ${delivery.lastError}`);
+}
+
+/**
+ * Keep the in-memory history bounded, dropping the oldest alerts first
+ */
+function rememberAlert(alert) {
+    alerts.set(alert.id, alert);
+
+    while (alerts.size > ALERT_HISTORY_LIMIT) {
+        alerts.delete(alerts.keys().next().value);
+    }
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Raise an emergency alert to on-call staff on every configured channel
+ * Returns the alert straight away; delivery and retries carry on in the background
+ */
+export function raiseEmergencyAlert({ callSid, callerPhone, emergencyType, transcriptExcerpt }) {
+    const alert = {
+        id: uuidv4(),
+        ackToken: uuidv4(),
+        emergencyType: emergencyType || 'general',
+        callerPhone: callerPhone || null,
+        callSid: callSid || null,
+        transcriptExcerpt: transcriptExcerpt || '',
+        createdAt: new Date(),
+        deliveries: Object.fromEntries(ALERT_CHANNELS.map(channel => [channel, {
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            deliveredAt: null
+        }])),
+        acknowledged: false,
+        acknowledgedBy: null,
+        acknowledgedAt: null
+    };
+
+    rememberAlert(alert);
+    logger.warn(`Emergency alert raised: ${alert.id} (${alert.emergencyType}) for call ${alert.callSid} via ${ALERT_CHANNELS.join(', ')}`);
+
+    alert.delivery = Promise.all(ALERT_CHANNELS.map(channel => deliverToChannel(alert, channel)))
+        .catch(error => logger.error('Error delivering emergency alert:', error.message));
+
+    return alert;
+}
+
+/**
+ * Mark an alert as acknowledged by on-call staff
+ * The token from the alert's ack link is required
+ * Returns { alert } or { error }
+ */
+export function acknowledgeAlert(alertId, { token, acknowledgedBy } = {}) {
+    const alert = alerts.get(alertId);
+    if (!alert) {
+        return { error: 'Alert not found' };
+    }
+
+    const expected = Buffer.from(alert.ackToken);
+    const provided = Buffer.from(String(token || ''));
+    if (provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+        return { error: 'Invalid acknowledgement token' };
+    }
+
+    if (!alert.acknowledged) {
+        alert.acknowledged = true;
+        alert.acknowledgedBy = acknowledgedBy || null;
+        alert.acknowledgedAt = new Date();
+        logger.info(`Emergency alert acknowledged: ${alert.id} by ${alert.acknowledgedBy || 'unknown'}`);
+    }
+
+    return { alert };
+}
+
+/**
+ * Alert without internal fields, for API responses
+ */
+export function describeAlert(alert) {
+    const { ackToken, delivery, ...rest } = alert;
+    return rest;
+}
+
+/**
+ * Recent alerts, newest first
+ */
+export function getAlerts({ unacknowledgedOnly = false } = {}) {
+    return [...alerts.values()]
+        .filter(alert => !unacknowledgedOnly || !alert.acknowledged)
+        .reverse();
+}
+
+/**
+ * Alerts delivered to the memory channel
+ */
+export function getMemorySink() {
+    return memorySink;
+}
+
+export default {
+    raiseEmergencyAlert,
+    acknowledgeAlert,
+    describeAlert,
+    getAlerts,
+    getMemorySink
+};
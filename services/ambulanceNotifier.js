@@ -0,0 +1,98 @@
+// ============================================
+// Ambulance Desk Notifier
+// Tells the on-call ambulance desk about a new dispatch request before the
+// caller is transferred. Notifiers are pluggable: pick one with
+// AMBULANCE_NOTIFIER, or register your own with registerAmbulanceNotifier.
+// ============================================
+
+import logger from '../utils/logger.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const AMBULANCE_NOTIFIER = process.env.AMBULANCE_NOTIFIER || 'log';
+const AMBULANCE_WEBHOOK_URL = process.env.AMBULANCE_WEBHOOK_URL;
+const AMBULANCE_WEBHOOK_TIMEOUT_MS = parseInt(process.env.AMBULANCE_WEBHOOK_TIMEOUT_MS) || 5000;
+
+// ============================================
+// BUILT-IN NOTIFIERS
+// ============================================
+
+/**
+ * Writes the request to the application log - the default, for local runs
+ */
+const logNotifier = {
+    async notify(request) {
+        logger.warn(`AMBULANCE REQUEST: ${request.pickupAddress}${request.landmark ? ` (near ${request.landmark})` : ''} - ${request.patientCondition} - callback ${request.callbackNumber}`);
+    }
+};
+
+/**
+ * POSTs the request as JSON to AMBULANCE_WEBHOOK_URL (dispatch screen, pager gateway, etc.)
+ */
+const webhookNotifier = {
+    async notify(request) {
+        if (!AMBULANCE_WEBHOOK_URL) {
+            throw new Error('AMBULANCE_WEBHOOK_URL not configured');
+        }
+
+        const response = await fetch(AMBULANCE_WEBHOOK_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ event: 'ambulance_request', ...request }),
+            signal: AbortSignal.timeout(AMBULANCE_WEBHOOK_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Ambulance webhook error: ${response.status}`);
+        }
+    }
+};
+
+const notifiers = new Map([
+    ['log', logNotifier],
+    ['webhook', webhookNotifier]
+]);
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Register a notifier under a name so AMBULANCE_NOTIFIER can select it
+ * A notifier is any object with an async notify(request) that throws on failure
+ */
+export function registerAmbulanceNotifier(name, notifier) {
+    if (typeof notifier?.notify !== 'function') {
+        throw new Error(`Ambulance notifier "${name}" must have a notify(request) function`);
+    }
+    notifiers.set(name, notifier);
+}
+
+/**
+ * Notify the ambulance desk about a request
+ * request: { requestId, callSid, callerPhone, callbackNumber, pickupAddress, landmark, patientCondition, patientName }
+ * Never throws - returns { notified, notifier, error }
+ */
+export async function notifyAmbulanceDesk(request) {
+    const notifier = notifiers.get(AMBULANCE_NOTIFIER);
+
+    if (!notifier) {
+        logger.error(`Unknown ambulance notifier: ${AMBULANCE_NOTIFIER}`);
+        return { notified: false, notifier: AMBULANCE_NOTIFIER, error: 'Unknown notifier' };
+    }
+
+    try {
+        await notifier.notify(request);
+        logger.info(`Ambulance desk notified via ${AMBULANCE_NOTIFIER}: ${request.requestId || request.callSid}`);
+        return { notified: true, notifier: AMBULANCE_NOTIFIER, error: null };
+    } catch (error) {
+        logger.error(`Error notifying ambulance desk via ${AMBULANCE_NOTIFIER}:`, error.message);
+        return { notified: false, notifier: AMBULANCE_NOTIFIER, error: error.message };
+    }
+}
+
+export default {
+    registerAmbulanceNotifier,
+    notifyAmbulanceDesk
+};
@@ -21,12 +21,19 @@ class Conversation {
         this.phoneNumber = phoneNumber;
         this.conversationType = conversationType; // 'phone' or 'web'
         this.languageDetected = 'en';
+        this.languageSource = null; // 'ivr' or 'detected' once the call's language is pinned
+        this.transferInProgress = false; // Call handed to Exotel for a transfer - ended by the call-status webhook
         this.messages = [];
         this.startTime = new Date();
         this.metadata = {
             functionCalls: [],
             transfers: [],
-            emergencies: []
+            transferAttempts: [],
+            emergencies: [],
+            appointmentChanges: [],
+            reportLookups: [],
+            staffVerifications: [],
+            handoffs: []
         };
     }
 
@@ -62,6 +69,7 @@ class Conversation {
         const message = {
             role,
             content,
+            language: this.languageDetected,
             timestamp: new Date(),
             metadata
         };
@@ -110,6 +118,99 @@ class Conversation {
         logger.info(`Transfer logged: ${transferType} to ${destination}`);
     }
 
+    /**
+     * Log one dial attempt in a transfer fallback chain
+     * outcome: 'answered', 'busy', 'no-answer', 'failed' or 'exhausted' (every target tried)
+     */
+    logTransferAttempt(department, destination, attempt, outcome) {
+        this.metadata.transferAttempts.push({
+            department,
+            destination,
+            attempt,
+            outcome,
+            timestamp: new Date()
+        });
+
+        logger.info(`Transfer attempt logged: ${department} #${attempt} ${destination || '-'} - ${outcome}`);
+    }
+
+    /**
+     * Transfers the call asked for - 'manual' entries are the Exotel leg of a transfer
+     * already logged when Maya requested it, so they aren't counted again
+     */
+    getRequestedTransfers() {
+        return this.metadata.transfers.filter(transfer => transfer.type !== 'manual');
+    }
+
+    /**
+     * Log appointment change (cancellation or reschedule)
+     */
+    logAppointmentChange(action, bookingReference, details) {
+        this.metadata.appointmentChanges.push({
+            action,
+            bookingReference,
+            details,
+            timestamp: new Date()
+        });
+
+        logger.info(`Appointment change logged: ${bookingReference} ${action}`);
+    }
+
+    /**
+     * Log lab report status lookup (audit trail - no dates of birth or results)
+     */
+    logReportLookup(verificationMethod, verified, details) {
+        this.metadata.reportLookups.push({
+            verificationMethod,
+            verified,
+            details,
+            timestamp: new Date()
+        });
+
+        logger.info(`Report lookup logged: ${verificationMethod} ${verified ? 'verified' : 'not verified'}`);
+    }
+
+    /**
+     * Log staff caller verification attempt
+     */
+    logStaffVerification(employeeId, verified, details) {
+        this.metadata.staffVerifications.push({
+            employeeId,
+            verified,
+            details,
+            timestamp: new Date()
+        });
+
+        logger.info(`Staff verification logged: ${employeeId} ${verified ? 'verified' : 'not verified'}`);
+    }
+
+    /**
+     * Staff verification that succeeded on this call, if any
+     */
+    getVerifiedStaff() {
+        return this.metadata.staffVerifications.find(entry => entry.verified) || null;
+    }
+
+    /**
+     * Log the warm-transfer summary prepared for the receiving department
+     */
+    logHandoff(department, summary) {
+        this.metadata.handoffs.push({
+            department,
+            summary,
+            timestamp: new Date()
+        });
+
+        logger.info(`Handoff summary logged: ${department}`);
+    }
+
+    /**
+     * Most recent warm-transfer summary, if any
+     */
+    getLatestHandoff() {
+        return this.metadata.handoffs[this.metadata.handoffs.length - 1] || null;
+    }
+
     /**
      * Log emergency event
      */
@@ -160,7 +261,7 @@ class Conversation {
             const summary = `Conversation with ${this.phoneNumber || 'unknown caller'}. ` +
                 `${userMessages.length} user messages, ${assistantMessages.length} assistant responses. ` +
                 `${this.metadata.functionCalls.length} function calls, ` +
-                `${this.metadata.transfers.length} transfers, ` +
+                `${this.getRequestedTransfers().length} transfers, ` +
                 `${this.metadata.emergencies.length} emergencies.`;
 
             // Extract key topics from function calls
@@ -170,10 +271,16 @@ class Conversation {
 
             // Determine sentiment based on emergency and transfer count
             const sentiment = this.metadata.emergencies.length > 0 ? 'urgent' :
-                this.metadata.transfers.length > 2 ? 'frustrated' : 'neutral';
+                this.getRequestedTransfers().length > 2 ? 'frustrated' : 'neutral';
 
             // Extract action items
-            const actionItems = this.metadata.transfers.map(t => `Transfer to ${t.destination}: ${t.reason}`);
+            const actionItems = [
+                ...this.getRequestedTransfers().map(t => `Transfer to ${t.destination}${t.reason ? `: ${t.reason}` : ''}`),
+                ...this.metadata.transferAttempts
+                    .filter(a => a.outcome === 'exhausted')
+                    .map(a => `Transfer to ${a.department}: no one answered after ${a.attempt} attempts`),
+                ...this.metadata.appointmentChanges.map(a => `Appointment ${a.bookingReference} ${a.action}`)
+            ];
 
             await db.createConversationSummary({
                 conversationId: this.id,
@@ -190,11 +297,41 @@ class Conversation {
     }
 
     /**
-     * Update detected language
+     * Pin the call's language - chosen in the IVR menu or detected from the caller's speech
      */
-    updateLanguage(language) {
+    updateLanguage(language, source = 'detected') {
         this.languageDetected = language;
-        logger.info(`Language detected: ${language}`);
+        this.languageSource = source;
+
+        if (this.id) {
+            db.updateConversationLanguage(this.id, language);
+        }
+
+        logger.info(`Language detected: ${language} (${source})`);
+    }
+
+    /**
+     * Whether the call's language has been settled
+     */
+    isLanguagePinned() {
+        return this.languageSource !== null;
+    }
+
+    /**
+     * Get a compact transcript of the most recent messages
+     */
+    getRecentTranscript(limit = 12, maxLength = 200) {
+        return this.messages
+            .filter(m => m.role === 'user' || m.role === 'assistant')
+            .slice(-limit)
+            .map(m => {
+                const speaker = m.role === 'user' ? 'Caller' : 'Maya';
+                const content = m.content.length > maxLength
+                    ? `${m.content.slice(0, maxLength)}...`
+                    : m.content;
+                return `${speaker}: ${content}`;
+            })
+            .join('\n');
     }
 
     /**
@@ -208,7 +345,7 @@ class Conversation {
             duration: Math.floor((new Date() - this.startTime) / 1000),
             messageCount: this.messages.length,
             functionCallCount: this.metadata.functionCalls.length,
-            transferCount: this.metadata.transfers.length,
+            transferCount: this.getRequestedTransfers().length,
             emergencyCount: this.metadata.emergencies.length,
             language: this.languageDetected
         };
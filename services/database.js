@@ -79,6 +79,28 @@ export async function endConversation(conversationId, status = 'completed') {
     }
 }
 
+/**
+ * Record the language a conversation was pinned to
+ */
+export async function updateConversationLanguage(conversationId, language) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('conversations')
+            .update({ language_detected: language })
+            .eq('id', conversationId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Error updating conversation language:', error.message);
+        return null;
+    }
+}
+
 /**
  * Get conversation by call SID or session ID
  */
@@ -308,17 +330,21 @@ export async function getContactDetails(category = null) {
 }
 
 /**
- * Get floor plans for a location
+ * Get floor plans for a location (all locations when none is given)
  */
-export async function getFloorPlans(locationId) {
+export async function getFloorPlans(locationId = null) {
     if (!isSupabaseEnabled()) return [];
 
     try {
-        const { data, error } = await supabase
+        let query = supabase
             .from('floor_plans')
-            .select('*, hospital_locations(name, branch)')
-            .eq('location_id', locationId)
-            .order('floor_number');
+            .select('*, hospital_locations(name, branch)');
+
+        if (locationId) {
+            query = query.eq('location_id', locationId);
+        }
+
+        const { data, error } = await query.order('floor_number');
 
         if (error) throw error;
         return data || [];
@@ -328,14 +354,81 @@ export async function getFloorPlans(locationId) {
     }
 }
 
+/**
+ * Get active tariffs, optionally for one category
+ * Branch-specific rows are returned alongside rows that apply to every branch
+ */
+export async function getTariffs({ category, locationId } = {}) {
+    if (!isSupabaseEnabled()) return [];
+
+    try {
+        let query = supabase
+            .from('tariffs')
+            .select('*, hospital_locations(name, branch)')
+            .eq('is_active', true);
+
+        if (category) {
+            query = query.eq('category', category);
+        }
+        if (locationId) {
+            query = query.or(`location_id.is.null,location_id.eq.${locationId}`);
+        }
+
+        const { data, error } = await query.order('name');
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Error getting tariffs:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Get active insurance providers (insurers, TPAs and government schemes)
+ * Branch-specific rows are returned alongside rows that apply to every branch
+ */
+export async function getInsuranceProviders({ locationId } = {}) {
+    if (!isSupabaseEnabled()) return [];
+
+    try {
+        let query = supabase
+            .from('insurance_providers')
+            .select('*, hospital_locations(name, branch)')
+            .eq('is_active', true);
+
+        if (locationId) {
+            query = query.or(`location_id.is.null,location_id.eq.${locationId}`);
+        }
+
+        const { data, error } = await query.order('name');
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Error getting insurance providers:', error.message);
+        return [];
+    }
+}
+
 // ============================================
 // DOCTOR SERVICES (Read/Write)
 // ============================================
 
+// Sort options for getDoctors; name is always the tie-breaker
+const DOCTOR_SORT_ORDERS = {
+    fee_low: { column: 'consultation_fee', ascending: true },
+    fee_high: { column: 'consultation_fee', ascending: false },
+    rating: { column: 'rating', ascending: false },
+    experience: { column: 'experience_years', ascending: false }
+};
+
 /**
  * Get all doctors with filters
+ * sortBy is one of fee_low, fee_high, rating, experience (default: name)
  */
-export async function getDoctors({ specialization, departmentId, locationId, isAvailable, doctorName } = {}) {
+export async function getDoctors({
+    specialization, departmentId, locationId, isAvailable, doctorName,
+    language, minFee, maxFee, minRating, minExperience, sortBy
+} = {}) {
     if (!isSupabaseEnabled()) return [];
 
     try {
@@ -359,6 +452,26 @@ export async function getDoctors({ specialization, departmentId, locationId, isA
         if (isAvailable !== undefined) {
             query = query.eq('is_available', isAvailable);
         }
+        if (language) {
+            query = query.contains('languages', [language]);
+        }
+        if (minFee !== undefined) {
+            query = query.gte('consultation_fee', minFee);
+        }
+        if (maxFee !== undefined) {
+            query = query.lte('consultation_fee', maxFee);
+        }
+        if (minRating !== undefined) {
+            query = query.gte('rating', minRating);
+        }
+        if (minExperience !== undefined) {
+            query = query.gte('experience_years', minExperience);
+        }
+
+        const sort = DOCTOR_SORT_ORDERS[sortBy];
+        if (sort) {
+            query = query.order(sort.column, { ascending: sort.ascending, nullsFirst: false });
+        }
 
         const { data, error } = await query.order('name');
         if (error) throw error;
@@ -467,6 +580,460 @@ export async function getDoctorShifts(doctorId, startDate = null, endDate = null
     }
 }
 
+// ============================================
+// APPOINTMENT SERVICES (Read/Write)
+// ============================================
+
+// Raised by the appointments_slot_capacity trigger (migrations/009) when a slot is already full
+const SLOT_FULL_ERROR = 'slot_full';
+
+/**
+ * Whether a write was rejected because the slot filled up after it was counted
+ */
+function isSlotFullError(error) {
+    return error?.message === SLOT_FULL_ERROR;
+}
+
+/**
+ * Count booked appointments for an availability slot on a date
+ */
+export async function countSlotAppointments(availabilityId, appointmentDate) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { count, error } = await supabase
+            .from('appointments')
+            .select('id', { count: 'exact', head: true })
+            .eq('availability_id', availabilityId)
+            .eq('appointment_date', appointmentDate)
+            .eq('status', 'booked');
+
+        if (error) throw error;
+        return count || 0;
+    } catch (error) {
+        logger.error('Error counting slot appointments:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Create an appointment booking
+ * Returns the appointment, { slotFull: true } if the slot filled up meanwhile, or null on error
+ */
+export async function createAppointment({ bookingReference, doctorId, availabilityId, locationId, conversationId, appointmentDate, startTime, endTime, patientName, patientPhone, callerPhone, reason }) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('appointments')
+            .insert({
+                booking_reference: bookingReference,
+                doctor_id: doctorId,
+                availability_id: availabilityId,
+                location_id: locationId,
+                conversation_id: conversationId,
+                appointment_date: appointmentDate,
+                start_time: startTime,
+                end_time: endTime,
+                patient_name: patientName,
+                patient_phone: patientPhone,
+                caller_phone: callerPhone,
+                reason: reason,
+                status: 'booked'
+            })
+            .select('*, doctors(name, specialization), hospital_locations(name, branch)')
+            .single();
+
+        if (isSlotFullError(error)) {
+            logger.warn(`Slot ${availabilityId} full on ${appointmentDate} - booking ${bookingReference} rejected`);
+            return { slotFull: true };
+        }
+
+        if (error) throw error;
+        logger.info(`Appointment created: ${data.booking_reference} for ${appointmentDate}`);
+        return data;
+    } catch (error) {
+        logger.error('Error creating appointment:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Get an appointment by its booking reference
+ */
+export async function getAppointmentByReference(bookingReference) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('appointments')
+            .select('*, doctors(name, specialization), hospital_locations(name, branch)')
+            .eq('booking_reference', bookingReference)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Error getting appointment:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Get upcoming booked appointments for a phone number, given as its last 10 digits,
+ * whether it is the patient's number or the one the booking was made from
+ */
+export async function getAppointmentsByPhone(phoneDigits, fromDate) {
+    if (!isSupabaseEnabled()) return [];
+
+    try {
+        const { data, error } = await supabase
+            .from('appointments')
+            .select('*, doctors(name, specialization), hospital_locations(name, branch)')
+            .or(`patient_phone_digits.eq.${phoneDigits},caller_phone_digits.eq.${phoneDigits}`)
+            .eq('status', 'booked')
+            .gte('appointment_date', fromDate)
+            .order('appointment_date')
+            .order('start_time');
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Error getting appointments by phone:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Cancel an appointment, freeing its slot capacity
+ */
+export async function cancelAppointment(appointmentId, reason = null) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('appointments')
+            .update({
+                status: 'cancelled',
+                cancelled_at: new Date().toISOString(),
+                cancellation_reason: reason,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', appointmentId)
+            .eq('status', 'booked')
+            .select()
+            .single();
+
+        if (error) throw error;
+        logger.info(`Appointment cancelled: ${data.booking_reference}`);
+        return data;
+    } catch (error) {
+        logger.error('Error cancelling appointment:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Move an appointment to a new slot and date
+ * Returns the appointment, { slotFull: true } if the new slot filled up meanwhile, or null on error
+ */
+export async function rescheduleAppointment(appointmentId, { availabilityId, locationId, appointmentDate, startTime, endTime }) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { data: current, error: fetchError } = await supabase
+            .from('appointments')
+            .select('appointment_date, reschedule_count')
+            .eq('id', appointmentId)
+            .single();
+
+        if (fetchError) throw fetchError;
+
+        const { data, error } = await supabase
+            .from('appointments')
+            .update({
+                availability_id: availabilityId,
+                location_id: locationId,
+                appointment_date: appointmentDate,
+                start_time: startTime,
+                end_time: endTime,
+                rescheduled_from: current.appointment_date,
+                reschedule_count: (current.reschedule_count || 0) + 1,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', appointmentId)
+            .eq('status', 'booked')
+            .select('*, doctors(name, specialization), hospital_locations(name, branch)')
+            .single();
+
+        if (isSlotFullError(error)) {
+            logger.warn(`Slot ${availabilityId} full on ${appointmentDate} - reschedule of ${appointmentId} rejected`);
+            return { slotFull: true };
+        }
+
+        if (error) throw error;
+        logger.info(`Appointment rescheduled: ${data.booking_reference} to ${appointmentDate}`);
+        return data;
+    } catch (error) {
+        logger.error('Error rescheduling appointment:', error.message);
+        return null;
+    }
+}
+
+// ============================================
+// LAB REPORT SERVICES (Read/Write)
+// ============================================
+
+/**
+ * Get recent lab orders registered to a phone number (matched on its last digits)
+ * Returns null on error so a failed lookup is not mistaken for "no orders"
+ */
+export async function getLabOrdersByPhone(phoneDigits, limit = 10) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('lab_orders')
+            .select('id, sample_id, patient_phone, patient_dob, test_names, collected_at, expected_at, status, ready_at, dispatched_at, dispatch_method, hospital_locations(name, branch)')
+            .eq('patient_phone_digits', phoneDigits)
+            .order('collected_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Error getting lab orders by phone:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Count failed report lookups since a time from a caller ID or against a registered number
+ * (both as their last 10 digits). Returns null on error so the lockout can fail closed.
+ */
+export async function countFailedReportLookups({ callerPhone, registeredPhone, since }) {
+    if (!isSupabaseEnabled()) return 0;
+
+    try {
+        const phoneFilters = [
+            callerPhone && `caller_phone.eq.${callerPhone}`,
+            registeredPhone && `registered_phone.eq.${registeredPhone}`
+        ].filter(Boolean);
+
+        if (phoneFilters.length === 0) return 0;
+
+        const { count, error } = await supabase
+            .from('report_lookup_audit')
+            .select('id', { count: 'exact', head: true })
+            .or(phoneFilters.join(','))
+            .eq('verified', false)
+            .gte('created_at', since);
+
+        if (error) throw error;
+        return count || 0;
+    } catch (error) {
+        logger.error('Error counting failed report lookups:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Record a report status lookup in the audit trail
+ */
+export async function createReportLookupAudit({ conversationId, callSid, callerPhone, registeredPhone, sampleId, verificationMethod, verified, labOrderIds = [] }) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('report_lookup_audit')
+            .insert({
+                conversation_id: conversationId,
+                call_sid: callSid,
+                caller_phone: callerPhone,
+                registered_phone: registeredPhone,
+                sample_id: sampleId,
+                verification_method: verificationMethod,
+                verified,
+                lab_order_ids: labOrderIds
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Error recording report lookup audit:', error.message);
+        return null;
+    }
+}
+
+// ============================================
+// BED INVENTORY SERVICES (Read/Write)
+// ============================================
+
+/**
+ * Get bed counts per ward category (all branches when no location is given)
+ */
+export async function getBedInventory(locationId = null) {
+    if (!isSupabaseEnabled()) return [];
+
+    try {
+        let query = supabase
+            .from('bed_inventory')
+            .select('*, hospital_locations(name, branch)');
+
+        if (locationId) {
+            query = query.eq('location_id', locationId);
+        }
+
+        const { data, error } = await query.order('location_id').order('category');
+        if (error) throw error;
+        return data || [];
+    } catch (error) {
+        logger.error('Error getting bed inventory:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Create or update the bed count for one branch and ward category
+ */
+export async function upsertBedInventory({ locationId, category, totalBeds, availableBeds, updatedBy }) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('bed_inventory')
+            .upsert({
+                location_id: locationId,
+                category,
+                total_beds: totalBeds,
+                available_beds: availableBeds,
+                updated_by: updatedBy,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'location_id,category' })
+            .select('*, hospital_locations(name, branch)')
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Error updating bed inventory:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Get an active staff member by employee ID
+ */
+export async function getStaffByEmployeeId(employeeId) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('staff_members')
+            .select('*, hospital_locations(name, branch)')
+            .ilike('employee_id', employeeId)
+            .eq('is_active', true)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Error getting staff member:', error.message);
+        return null;
+    }
+}
+
+// ============================================
+// AMBULANCE REQUEST SERVICES (Read/Write)
+// ============================================
+
+/**
+ * Record an ambulance request taken over the phone
+ */
+export async function createAmbulanceRequest({ conversationId, callSid, callerPhone, callbackNumber, pickupAddress, landmark, patientCondition, patientName }) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('ambulance_requests')
+            .insert({
+                conversation_id: conversationId,
+                call_sid: callSid,
+                caller_phone: callerPhone,
+                callback_number: callbackNumber,
+                pickup_address: pickupAddress,
+                landmark,
+                patient_condition: patientCondition,
+                patient_name: patientName
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Error creating ambulance request:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Update an ambulance request (status, notification or transfer outcome)
+ */
+export async function updateAmbulanceRequest(requestId, updates) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('ambulance_requests')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', requestId)
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Error updating ambulance request:', error.message);
+        return null;
+    }
+}
+
+// ============================================
+// CALLBACK REQUEST SERVICES (Write)
+// ============================================
+
+/**
+ * Record a request for a department to call the caller back
+ */
+export async function createCallbackRequest({ conversationId, callSid, department, callbackNumber, callerName, preferredTime, reason }) {
+    if (!isSupabaseEnabled()) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('callback_requests')
+            .insert({
+                conversation_id: conversationId,
+                call_sid: callSid,
+                department,
+                callback_number: callbackNumber,
+                caller_name: callerName,
+                preferred_time: preferredTime,
+                reason
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    } catch (error) {
+        logger.error('Error creating callback request:', error.message);
+        return null;
+    }
+}
+
 // ============================================
 // SEARCH AND QUERY HELPERS
 // ============================================
@@ -525,6 +1092,7 @@ export default {
     // Conversation services
     createConversation,
     endConversation,
+    updateConversationLanguage,
     getConversation,
     addConversationMessage,
     getConversationMessages,
@@ -537,6 +1105,8 @@ export default {
     getHospitalInfo,
     getContactDetails,
     getFloorPlans,
+    getTariffs,
+    getInsuranceProviders,
 
     // Doctor services
     getDoctors,
@@ -545,6 +1115,31 @@ export default {
     getDoctorAvailability,
     getDoctorShifts,
 
+    // Appointment services
+    countSlotAppointments,
+    createAppointment,
+    getAppointmentByReference,
+    getAppointmentsByPhone,
+    cancelAppointment,
+    rescheduleAppointment,
+
+    // Lab report services
+    getLabOrdersByPhone,
+    countFailedReportLookups,
+    createReportLookupAudit,
+
+    // Bed inventory services
+    getBedInventory,
+    upsertBedInventory,
+    getStaffByEmployeeId,
+
+    // Ambulance request services
+    createAmbulanceRequest,
+    updateAmbulanceRequest,
+
+    // Callback request services
+    createCallbackRequest,
+
     // Search and helpers
     searchHospitalData,
     getAIContext
@@ -2,9 +2,515 @@
 // Function Calling Handlers for OpenAI Realtime API
 // ============================================
 
+import { randomInt } from 'crypto';
 import * as db from './database.js';
 import logger from '../utils/logger.js';
-import { EMERGENCY_CONTACTS } from '../config/data.js';
+import { EMERGENCY_CONTACTS, BED_CATEGORIES } from '../config/data.js';
+import { translate, languageOf, joinList } from '../utils/i18n.js';
+import { formatForSpeech, formatRupees } from '../utils/speechFormatter.js';
+import {
+    todayInIST,
+    addDays,
+    dayOfWeekOf,
+    eachDate,
+    dayName,
+    formatSpokenDate,
+    resolveDateExpression,
+    resolveSingleDate,
+    parseDateOfBirth
+} from '../utils/dateResolver.js';
+import { rankNameMatches, nameSimilarity, MIN_MATCH_SCORE } from '../utils/nameMatcher.js';
+import { triageSymptoms } from '../utils/triage.js';
+import { resolveLandmark, locateDestination, buildDirections } from '../utils/wayfinding.js';
+import { resolveLocality, rankByDistance } from '../utils/geo.js';
+import { notifyAmbulanceDesk } from './ambulanceNotifier.js';
+import { raiseEmergencyAlert } from './alertService.js';
+
+// Booking references avoid look-alike characters (0/O, 1/I) so they are easy to read out
+const BOOKING_REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const BOOKING_REFERENCE_LENGTH = 6;
+
+// Availability queries without a date cover the coming week
+const DEFAULT_AVAILABILITY_DAYS = 7;
+
+// How far past the requested range to look for the next open day
+const NEXT_AVAILABLE_LOOKAHEAD_DAYS = 14;
+
+// Slots tried when the database rejects a booking because the slot filled up after it was counted
+const SLOT_BOOKING_ATTEMPTS = 3;
+
+// Name matches this far below the best match are not worth offering
+const NAME_MATCH_SPREAD = 0.15;
+
+// The best name match is taken without asking when it leads the next one by this much
+const NAME_MATCH_CLEAR_LEAD = 0.1;
+
+// Spoken language names as stored in doctors.languages
+const LANGUAGE_ALIASES = {
+    'हिंदी': 'Hindi', 'हिन्दी': 'Hindi', 'मराठी': 'Marathi', 'इंग्लिश': 'English',
+    'अंग्रेजी': 'English', 'इंग्रजी': 'English', 'गुजराती': 'Gujarati',
+    'तमिळ': 'Tamil', 'तमिल': 'Tamil', 'तेलुगु': 'Telugu'
+};
+
+// Failed report verifications allowed - per call, and per caller ID or registered number
+// across calls within the lockout window - before the caller is sent to the lab in person
+const MAX_REPORT_VERIFICATION_ATTEMPTS = 3;
+const REPORT_LOOKUP_LOCKOUT_MINUTES = parseInt(process.env.REPORT_LOOKUP_LOCKOUT_MINUTES) || 60;
+
+// Most recent lab orders read out per lookup
+const REPORT_STATUS_LIMIT = 3;
+
+// Message keys for how a lab report was sent
+const DISPATCH_METHOD_KEYS = {
+    email: 'dispatchEmail',
+    whatsapp: 'dispatchWhatsapp',
+    sms_link: 'dispatchSmsLink',
+    courier: 'dispatchCourier'
+};
+
+// Message keys for appointment statuses other than 'booked'
+const APPOINTMENT_STATUS_KEYS = {
+    cancelled: 'appointmentStatusCancelled',
+    completed: 'appointmentStatusCompleted',
+    no_show: 'appointmentStatusNoShow'
+};
+
+// Failed staff verifications allowed per call
+const MAX_STAFF_VERIFICATION_ATTEMPTS = 3;
+
+// Bed counts older than this are flagged as possibly out of date
+const BED_INVENTORY_STALE_MINUTES = parseInt(process.env.BED_INVENTORY_STALE_MINUTES) || 120;
+
+// Recent messages sent to on-call staff with an emergency alert
+const EMERGENCY_ALERT_TRANSCRIPT_MESSAGES = 6;
+
+// Words callers add to insurer names that are not part of the name ("ICICI Lombard insurance policy")
+const INSURER_FILLER_WORDS = /\b(insurance|insurer|company|co|ltd|limited|policy|mediclaim|card|the)\b/gi;
+
+// Message keys describing each search_doctors sort option to the caller
+const DOCTOR_SORT_KEYS = {
+    fee_low: 'doctorSortFeeLow',
+    fee_high: 'doctorSortFeeHigh',
+    rating: 'doctorSortRating',
+    experience: 'doctorSortExperience'
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Generate a booking reference such as LH-7KQ2PX
+ */
+function generateBookingReference() {
+    let code = '';
+    for (let i = 0; i < BOOKING_REFERENCE_LENGTH; i++) {
+        code += BOOKING_REFERENCE_ALPHABET[randomInt(BOOKING_REFERENCE_ALPHABET.length)];
+    }
+    return `LH-${code}`;
+}
+
+/**
+ * Doctor's name with a single "Dr." title, however it is stored
+ */
+function doctorDisplayName(doctor) {
+    return `Dr. ${stripDoctorTitle(doctor.name)}`;
+}
+
+/**
+ * Remove "Dr", "Dr." or "Doctor" from the start of a name
+ */
+function stripDoctorTitle(name) {
+    return String(name || '').replace(/^\s*(dr\.?|doctor)\s+/i, '').trim();
+}
+
+/**
+ * Language name as stored on doctors, e.g. "marathi" or "मराठी" -> "Marathi"
+ */
+function normalizeLanguage(language) {
+    const name = String(language || '').trim();
+    if (!name) return undefined;
+    return LANGUAGE_ALIASES[name] || name.charAt(0).toUpperCase() + name.slice(1).toLowerCase();
+}
+
+/**
+ * Read a numeric tool argument, ignoring blanks and junk
+ */
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Whether a branch offers a department (spelling-tolerant, e.g. "orthopaedic" / "Orthopedics")
+ */
+function branchHasDepartment(location, department) {
+    return (location.services || []).some(service => nameSimilarity(department, service) >= MIN_MATCH_SCORE);
+}
+
+/**
+ * Whether a branch runs a 24/7 emergency department
+ */
+function branchHasEmergency(location) {
+    return location.timings?.emergency === '24/7'
+        || (location.facilities || []).some(facility => /24\/7 emergency/i.test(facility));
+}
+
+/**
+ * Distance as said to a caller: "about 4.5 km", "about 18 km"
+ */
+function describeDistance(distanceKm, lang) {
+    const km = distanceKm < 10 ? Math.round(distanceKm * 10) / 10 : Math.round(distanceKm);
+    return translate('distanceAbout', { km }, lang);
+}
+
+/**
+ * Price range for a message in whole rupees: "6,500 rupees to 9,500 rupees",
+ * or a single price when both ends match
+ */
+function describePriceRange(minPrice, maxPrice, lang) {
+    const rupees = (price) => formatRupees(Math.round(Number(price)), '', lang);
+    return Number(minPrice) === Number(maxPrice)
+        ? rupees(minPrice)
+        : translate('priceRange', { min: rupees(minPrice), max: rupees(maxPrice) }, lang);
+}
+
+/**
+ * How a charge can be paid when the caller has health insurance
+ */
+function describeCashless(cashlessEligible, lang) {
+    return translate(cashlessEligible ? 'cashlessEligible' : 'cashlessNotEligible', {}, lang);
+}
+
+/**
+ * Public view of a doctor for the model - no internal IDs
+ */
+function toDoctorSummary(doctor) {
+    return {
+        name: doctorDisplayName(doctor),
+        specialization: doctor.specialization,
+        department: doctor.departments?.name,
+        branch: doctor.hospital_locations?.branch,
+        qualification: doctor.qualification,
+        experienceYears: doctor.experience_years,
+        languages: doctor.languages,
+        consultationFee: doctor.consultation_fee,
+        rating: doctor.rating
+    };
+}
+
+/**
+ * Public view of an appointment for the model - no internal IDs
+ */
+function toAppointmentSummary(appointment) {
+    return {
+        bookingReference: appointment.booking_reference,
+        doctor: appointment.doctors ? doctorDisplayName(appointment.doctors) : undefined,
+        branch: appointment.hospital_locations?.branch,
+        date: appointment.appointment_date,
+        startTime: appointment.start_time,
+        endTime: appointment.end_time,
+        patientName: appointment.patient_name,
+        status: appointment.status
+    };
+}
+
+/**
+ * Find doctors whose name sounds like the spoken name, best match first
+ * Filters are passed to db.getDoctors; matches well below the best one are dropped
+ */
+async function findDoctorsByName(doctorName, filters = {}) {
+    const doctors = await db.getDoctors(filters);
+    const matches = rankNameMatches(doctorName, doctors);
+
+    if (matches.length === 0) return [];
+
+    const cutoff = matches[0].score - NAME_MATCH_SPREAD;
+    return matches.filter(match => match.score >= cutoff);
+}
+
+/**
+ * Work out which doctor the caller means from a name and/or specialization
+ * Returns { doctor } or { message } asking the caller to clarify
+ */
+async function resolveDoctor({ doctorName, specialization }, lang) {
+    const name = stripDoctorTitle(doctorName);
+
+    if (!name && !specialization) {
+        return { message: translate('doctorAskWhich', {}, lang) };
+    }
+
+    let doctors;
+    if (name) {
+        const matches = await findDoctorsByName(name, { specialization, isAvailable: true });
+
+        // Take a confident match that clearly beats the rest
+        const [best, second] = matches;
+        if (best && best.confidence !== 'medium' && (!second || best.score - second.score >= NAME_MATCH_CLEAR_LEAD)) {
+            return { doctor: best.candidate };
+        }
+
+        doctors = matches.map(match => match.candidate);
+    } else {
+        doctors = await db.getDoctors({ specialization, isAvailable: true });
+    }
+
+    if (doctors.length === 0) {
+        return {
+            message: name
+                ? translate(specialization ? 'doctorNameNotFoundInSpecialization' : 'doctorNameNotFound', { name, specialization }, lang)
+                : translate('doctorSpecializationNone', { specialization }, lang)
+        };
+    }
+
+    if (doctors.length === 1 && !name) {
+        return { doctor: doctors[0] };
+    }
+
+    const options = doctors.map(doc => `${doctorDisplayName(doc)}, ${doc.specialization}`);
+    const choices = joinList(options, 'or', lang, '; ');
+
+    return {
+        message: name
+            ? (doctors.length === 1
+                ? translate('doctorDidYouMean', { choices }, lang)
+                : translate('doctorNameAmbiguous', { name, choices }, lang))
+            : translate('doctorChooseFromSpecialization', { count: doctors.length, specialization, choices }, lang)
+    };
+}
+
+/**
+ * Resolve an appointment date given as YYYY-MM-DD or as the caller said it ("kal", "next Monday")
+ * Returns { date } or { message } if it is unusable
+ */
+function resolveAppointmentDate(input, lang) {
+    const date = resolveSingleDate(input);
+
+    if (!date) {
+        return { message: translate('dateAskAppointmentDay', {}, lang) };
+    }
+
+    if (date < todayInIST()) {
+        return { message: translate('dateAppointmentPassed', {}, lang) };
+    }
+
+    return { date };
+}
+
+/**
+ * Build a doctor's dated schedule between two dates
+ * Recurring weekly doctor_availability rows apply unless doctor_shifts has rows for
+ * that date, in which case the shifts replace the weekly schedule for the day
+ * (shifts marked is_available = false mean the doctor is off)
+ */
+async function getDoctorSchedule(doctorId, startDate, endDate) {
+    const [weekly, shifts] = await Promise.all([
+        db.getDoctorAvailability(doctorId),
+        db.getDoctorShifts(doctorId, startDate, endDate)
+    ]);
+
+    const shiftsByDate = new Map();
+    for (const shift of shifts) {
+        if (!shiftsByDate.has(shift.shift_date)) shiftsByDate.set(shift.shift_date, []);
+        shiftsByDate.get(shift.shift_date).push(shift);
+    }
+
+    const sessions = [];
+    for (const date of eachDate(startDate, endDate)) {
+        const rows = shiftsByDate.has(date)
+            ? shiftsByDate.get(date).filter(shift => shift.is_available !== false)
+            : weekly.filter(slot => slot.day_of_week === dayOfWeekOf(date));
+
+        for (const row of rows) {
+            sessions.push({
+                date,
+                startTime: row.start_time,
+                endTime: row.end_time,
+                branch: row.hospital_locations?.branch,
+                source: shiftsByDate.has(date) ? 'shift' : 'weekly'
+            });
+        }
+    }
+
+    return sessions.sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+}
+
+/**
+ * Check a session overlaps an HH:MM time range (session times are HH:MM:SS)
+ */
+function overlapsTimeRange(session, timeRange) {
+    if (!timeRange) return true;
+    return session.startTime.slice(0, 5) <= timeRange.end && timeRange.start < session.endTime.slice(0, 5);
+}
+
+/**
+ * Find an availability slot with free capacity for a doctor on a date
+ * Returns { slot } or { message } explaining why nothing is open
+ */
+async function findOpenSlot(doctor, appointmentDate, preferredTime, lang) {
+    const spokenDate = formatSpokenDate(appointmentDate, { language: lang });
+
+    // A shift roster for the date can mark the doctor as off
+    const shifts = await db.getDoctorShifts(doctor.id, appointmentDate, appointmentDate);
+    if (shifts.length > 0 && shifts.every(shift => shift.is_available === false)) {
+        return {
+            message: translate('slotDoctorOff', { doctor: doctorDisplayName(doctor), date: spokenDate }, lang)
+        };
+    }
+
+    // Slots repeat weekly, so match on the weekday of the requested date
+    const dayOfWeek = dayOfWeekOf(appointmentDate);
+    const slots = await db.getDoctorAvailability(doctor.id, dayOfWeek);
+
+    if (slots.length === 0) {
+        const allSlots = await db.getDoctorAvailability(doctor.id);
+        const days = [...new Set(allSlots.map(slot => dayName(slot.day_of_week, lang)))];
+        return {
+            message: days.length > 0
+                ? translate('slotNoConsultDay', { doctor: doctorDisplayName(doctor), day: dayName(dayOfWeek, lang), days: days.join(', ') }, lang)
+                : translate('slotNoSchedule', { doctor: doctorDisplayName(doctor) }, lang)
+        };
+    }
+
+    // Prefer the session that covers the caller's preferred time (slot times are HH:MM:SS)
+    const time = preferredTime?.length === 5 ? `${preferredTime}:00` : preferredTime;
+    const orderedSlots = time
+        ? [...slots].sort((a, b) => {
+            const covers = slot => slot.start_time <= time && time < slot.end_time;
+            return covers(b) - covers(a);
+        })
+        : slots;
+
+    for (const slot of orderedSlots) {
+        const booked = await db.countSlotAppointments(slot.id, appointmentDate);
+        if (booked === null) {
+            throw new Error('Could not check slot capacity');
+        }
+
+        if (booked < (slot.max_patients || 0)) {
+            return { slot };
+        }
+    }
+
+    return {
+        message: translate('slotFullyBooked', { doctor: doctorDisplayName(doctor), date: spokenDate }, lang)
+    };
+}
+
+/**
+ * Find an open slot and write the booking into it with write(slot). The database
+ * rejects a slot that filled up since it was counted; the next open slot is tried then.
+ * Returns { slot, appointment } or { message } explaining why nothing is open
+ */
+async function bookOpenSlot(doctor, appointmentDate, preferredTime, lang, write) {
+    for (let attempt = 1; attempt <= SLOT_BOOKING_ATTEMPTS; attempt++) {
+        const { slot, message } = await findOpenSlot(doctor, appointmentDate, preferredTime, lang);
+        if (!slot) {
+            return { message };
+        }
+
+        const appointment = await write(slot);
+        if (!appointment?.slotFull) {
+            return { slot, appointment };
+        }
+    }
+
+    return {
+        message: translate('slotFullyBooked', {
+            doctor: doctorDisplayName(doctor),
+            date: formatSpokenDate(appointmentDate, { language: lang })
+        }, lang)
+    };
+}
+
+/**
+ * Look up a booking by reference and check it belongs to the caller
+ * Only the number the call comes from counts - a number the caller reads out could be anyone's
+ * Returns { appointment } or { message } explaining why it could not be used
+ */
+async function findCallerAppointment(bookingReference, context) {
+    const callerPhone = context.phoneNumber;
+    const lang = languageOf(context);
+
+    if (!bookingReference) {
+        return { message: translate('appointmentAskReference', {}, lang) };
+    }
+
+    if (!callerPhone) {
+        return { message: translate('appointmentCallerNumberNeeded', {}, lang) };
+    }
+
+    const appointment = await db.getAppointmentByReference(normalizeBookingReference(bookingReference));
+
+    // Same message whether the reference is unknown or belongs to someone else
+    if (!appointment || !appointmentBelongsTo(appointment, callerPhone)) {
+        return { message: translate('appointmentReferenceNotFound', {}, lang) };
+    }
+
+    if (appointment.status !== 'booked') {
+        const status = APPOINTMENT_STATUS_KEYS[appointment.status]
+            ? translate(APPOINTMENT_STATUS_KEYS[appointment.status], {}, lang)
+            : appointment.status.replace('_', ' ');
+        return { message: translate('appointmentAlreadyStatus', { status }, lang) };
+    }
+
+    if (appointment.appointment_date < todayInIST()) {
+        return { message: translate('appointmentDatePassed', {}, lang) };
+    }
+
+    return { appointment };
+}
+
+/**
+ * Whether a caller's number is the appointment's patient number or the number it was booked from
+ */
+function appointmentBelongsTo(appointment, callerPhone) {
+    const phone = normalizePhone(callerPhone);
+    return Boolean(phone) && [appointment.patient_phone, appointment.caller_phone]
+        .some(bookedPhone => normalizePhone(bookedPhone) === phone);
+}
+
+/**
+ * Normalise a spoken booking reference ("l h 7 k q 2 p x") to LH-7KQ2PX
+ */
+function normalizeBookingReference(reference) {
+    const code = reference.toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^LH/, '');
+    return `LH-${code}`;
+}
+
+/**
+ * Reduce a phone number to its last 10 digits so +91, 0 and bare formats match
+ */
+function normalizePhone(phone) {
+    return String(phone || '').replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * One-line description of an appointment for the caller
+ */
+function describeAppointment(appointment, lang) {
+    const values = {
+        reference: appointment.booking_reference,
+        doctor: appointment.doctors ? doctorDisplayName(appointment.doctors) : undefined,
+        date: formatSpokenDate(appointment.appointment_date, { language: lang }),
+        time: `${appointment.start_time} - ${appointment.end_time}`
+    };
+    return translate(appointment.doctors ? 'appointmentLine' : 'appointmentLineNoDoctor', values, lang);
+}
+
+/**
+ * The dates a caller asked about, e.g. "Monday, 20 October evening"
+ * Range labels from the date resolver are English, so other languages get the dates alone
+ */
+function describeRequestedDates(range, lang) {
+    if (lang === 'en') return range.label;
+
+    const start = formatSpokenDate(range.startDate, { language: lang });
+    return range.startDate === range.endDate
+        ? start
+        : translate('dateRange', { start, end: formatSpokenDate(range.endDate, { language: lang }) }, lang);
+}
 
 // ============================================
 // FUNCTION HANDLERS
@@ -13,11 +519,17 @@ import { EMERGENCY_CONTACTS } from '../config/data.js';
 /**
  * Search for doctors by specialization, name, or location
  */
-export async function searchDoctors(args) {
+export async function searchDoctors(args, context = {}) {
+    const lang = languageOf(context);
     try {
-        const { specialization, doctorName, locationBranch } = args;
+        const { specialization, doctorName, locationBranch, sortBy } = args;
+        const language = normalizeLanguage(args.language);
+        const minFee = toNumber(args.minFee);
+        const maxFee = toNumber(args.maxFee);
+        const minRating = toNumber(args.minRating);
+        const minExperience = toNumber(args.minExperience);
 
-        logger.info(`Searching doctors: specialization=${specialization}, name=${doctorName}, branch=${locationBranch}`);
+        logger.info(`Searching doctors: specialization=${specialization}, name=${doctorName}, branch=${locationBranch}, language=${language}, fee=${minFee}-${maxFee}, rating>=${minRating}, experience>=${minExperience}, sort=${sortBy}`);
 
         let locationId = null;
         if (locationBranch) {
@@ -25,38 +537,165 @@ export async function searchDoctors(args) {
             locationId = location?.id;
         }
 
-        const doctors = await db.getDoctors({
-            specialization,
-            doctorName,
-            locationId,
-            isAvailable: true
-        });
+        const filters = {
+            specialization, locationId, isAvailable: true,
+            language, minFee, maxFee, minRating, minExperience, sortBy
+        };
+
+        // Names come from speech transcripts, so match them phonetically rather than by substring
+        const matches = doctorName
+            ? await findDoctorsByName(doctorName, filters)
+            : (await db.getDoctors(filters)).map(doc => ({ candidate: doc }));
+        const doctors = matches.map(match => match.candidate);
 
         if (doctors.length === 0) {
+            const hasPreferences = language || minFee !== undefined || maxFee !== undefined
+                || minRating !== undefined || minExperience !== undefined;
             return {
                 success: false,
-                message: "No doctors found matching your criteria. Would you like me to check our general physician availability?"
+                message: translate(hasPreferences ? 'doctorsNoneWithPreferences' : 'doctorsNone', {}, lang)
             };
         }
 
-        // Format doctor information for AI response
+        const uncertain = doctorName && matches[0].confidence === 'medium';
+
+        // Format doctor information for AI response, adding the details the caller filtered or sorted on
         const doctorList = doctors.map(doc => {
-            const locationInfo = doc.hospital_locations ? ` at ${doc.hospital_locations.branch}` : '';
-            const deptInfo = doc.departments ? ` in ${doc.departments.name}` : '';
-            return `Dr. ${doc.name}, ${doc.specialization}${deptInfo}${locationInfo}. Consultation fee: ₹${doc.consultation_fee || 'Not specified'}`;
+            const details = [];
+            if (language && doc.languages?.length) {
+                details.push(translate('doctorSpeaks', { languages: doc.languages.join(', ') }, lang));
+            }
+            if ((minExperience !== undefined || sortBy === 'experience') && doc.experience_years) {
+                details.push(translate('doctorExperience', { years: doc.experience_years }, lang));
+            }
+            if ((minRating !== undefined || sortBy === 'rating') && doc.rating) {
+                details.push(translate('doctorRated', { rating: doc.rating }, lang));
+            }
+            const separator = lang === 'hi' ? '। ' : '. ';
+            return translate('doctorLine', {
+                doctor: doctorDisplayName(doc),
+                specialization: doc.specialization,
+                department: doc.departments ? translate('doctorLineDepartment', { department: doc.departments.name }, lang) : '',
+                branch: doc.hospital_locations ? translate('atBranch', { branch: doc.hospital_locations.branch }, lang) : '',
+                fee: doc.consultation_fee ? `₹${doc.consultation_fee}` : translate('doctorFeeNotSpecified', {}, lang),
+                details: details.length ? ` ${details.join(separator)}${separator.trim()}` : ''
+            }, lang);
         }).join('\n');
 
+        const sortInfo = !doctorName && DOCTOR_SORT_KEYS[sortBy] ? `, ${translate(DOCTOR_SORT_KEYS[sortBy], {}, lang)}` : '';
+
         return {
             success: true,
             count: doctors.length,
-            doctors: doctors,
-            message: `I found ${doctors.length} doctor(s):\n${doctorList}`
+            doctors: matches.map(match => ({
+                ...toDoctorSummary(match.candidate),
+                matchConfidence: match.confidence
+            })),
+            message: uncertain
+                ? translate('doctorsClosestMatch', { name: stripDoctorTitle(doctorName), list: doctorList }, lang)
+                : translate('doctorsFound', { count: doctors.length, sort: sortInfo, list: doctorList }, lang)
         };
     } catch (error) {
         logger.error('Error in searchDoctors:', error.message);
         return {
             success: false,
-            message: "I'm having trouble accessing doctor information right now. Let me connect you to our appointments desk."
+            message: translate('doctorsError', {}, lang)
+        };
+    }
+}
+
+/**
+ * Find the nearest branch to a caller's area, landmark or pincode
+ * Optionally only branches with a department or a 24/7 emergency
+ */
+export async function findNearestBranch(args, context = {}) {
+    const lang = languageOf(context);
+    try {
+        const { area, department, needsEmergency } = args;
+
+        logger.info(`Finding nearest branch: area=${area}, department=${department}, emergency=${needsEmergency}`);
+
+        const match = resolveLocality(area);
+        if (!match) {
+            return {
+                success: false,
+                message: translate('branchAreaUnknown', {}, lang)
+            };
+        }
+
+        const { locality } = match;
+        const locations = await db.getHospitalLocations();
+        const ranked = rankByDistance(locality.latitude, locality.longitude, locations);
+
+        if (ranked.length === 0) {
+            return {
+                success: false,
+                message: translate('branchMainFallback', {}, lang)
+            };
+        }
+
+        const needs = [];
+        if (department) needs.push(translate('branchNeedDepartment', { department }, lang));
+        if (needsEmergency) needs.push(translate('branchNeedEmergency', {}, lang));
+        const needText = joinList(needs, 'and', lang);
+
+        const suitable = ranked.filter(({ place }) =>
+            (!department || branchHasDepartment(place, department)) && (!needsEmergency || branchHasEmergency(place)));
+
+        const toBranchSummary = ({ place, distanceKm }) => ({
+            name: place.name,
+            branch: place.branch,
+            address: place.address,
+            phone: place.phone_number,
+            distanceKm: Math.round(distanceKm * 10) / 10,
+            hasEmergency: branchHasEmergency(place),
+            hasDepartment: department ? branchHasDepartment(place, department) : undefined
+        });
+
+        const ambulanceInfo = needsEmergency ? translate('branchAmbulance', { number: EMERGENCY_CONTACTS.ambulance }, lang) : '';
+
+        if (suitable.length === 0) {
+            const [nearest] = ranked;
+            return {
+                success: false,
+                branches: ranked.slice(0, 3).map(toBranchSummary),
+                message: translate('branchNoneSuitable', {
+                    needs: needText,
+                    area: locality.name,
+                    branch: nearest.place.branch,
+                    distance: describeDistance(nearest.distanceKm, lang),
+                    ambulance: ambulanceInfo
+                }, lang)
+            };
+        }
+
+        const [best] = suitable;
+        const { place } = best;
+        const closerInfo = ranked[0] !== best
+            ? translate('branchCloserWithout', { branch: ranked[0].place.branch, needs: needText }, lang)
+            : '';
+
+        return {
+            success: true,
+            area: locality.name,
+            branches: suitable.slice(0, 3).map(toBranchSummary),
+            message: translate(needText ? 'branchNearestWith' : 'branchNearest', {
+                area: locality.name,
+                needs: needText,
+                name: place.name,
+                branch: place.branch,
+                distance: describeDistance(best.distanceKm, lang),
+                closer: closerInfo,
+                address: `${place.address}, ${place.city}`,
+                phone: place.phone_number,
+                ambulance: ambulanceInfo
+            }, lang)
+        };
+    } catch (error) {
+        logger.error('Error in findNearestBranch:', error.message);
+        return {
+            success: false,
+            message: translate('branchMainFallback', {}, lang)
         };
     }
 }
@@ -64,7 +703,8 @@ export async function searchDoctors(args) {
 /**
  * Get hospital departments
  */
-export async function getDepartmentsList(args) {
+export async function getDepartmentsList(args, context = {}) {
+    const lang = languageOf(context);
     try {
         const { locationId } = args || {};
 
@@ -75,27 +715,27 @@ export async function getDepartmentsList(args) {
         if (departments.length === 0) {
             return {
                 success: false,
-                message: "I couldn't retrieve department information at the moment."
+                message: translate('departmentsUnavailable', {}, lang)
             };
         }
 
-        const deptList = departments.map(dept => {
-            const services = dept.services ? ` Services: ${dept.services.join(', ')}` : '';
-            const floor = dept.floor_number ? ` (Floor ${dept.floor_number})` : '';
-            return `${dept.name}${floor}.${services}`;
-        }).join('\n');
+        const deptList = departments.map(dept => translate('departmentLine', {
+            name: dept.name,
+            floor: dept.floor_number ? translate('departmentFloor', { floor: dept.floor_number }, lang) : '',
+            services: dept.services ? translate('departmentServices', { services: dept.services.join(', ') }, lang) : ''
+        }, lang)).join('\n');
 
         return {
             success: true,
             count: departments.length,
             departments: departments,
-            message: `We have ${departments.length} departments:\n${deptList}`
+            message: translate('departmentsList', { count: departments.length, list: deptList }, lang)
         };
     } catch (error) {
         logger.error('Error in getDepartmentsList:', error.message);
         return {
             success: false,
-            message: "I'm having trouble accessing department information. Let me transfer you to our main desk."
+            message: translate('departmentsError', {}, lang)
         };
     }
 }
@@ -103,7 +743,8 @@ export async function getDepartmentsList(args) {
 /**
  * Get hospital locations
  */
-export async function getHospitalLocationsList(args) {
+export async function getHospitalLocationsList(args, context = {}) {
+    const lang = languageOf(context);
     try {
         const { branch } = args || {};
 
@@ -120,14 +761,19 @@ export async function getHospitalLocationsList(args) {
         if (locations.length === 0) {
             return {
                 success: false,
-                message: "I couldn't find that location. Our main hospital is in Bandra West, Mumbai."
+                message: translate('locationNotFound', {}, lang)
             };
         }
 
-        const locationList = locations.map(loc => {
-            const timings = loc.timings ? `\nOPD: ${loc.timings.opd || '9 AM - 5 PM'}, Emergency: ${loc.timings.emergency || '24/7'}` : '';
-            return `${loc.name} - ${loc.branch}\nAddress: ${loc.address}, ${loc.city}\nPhone: ${loc.phone_number}${timings}`;
-        }).join('\n\n');
+        const locationList = locations.map(loc => translate('locationLine', {
+            name: loc.name,
+            branch: loc.branch,
+            address: `${loc.address}, ${loc.city}`,
+            phone: loc.phone_number,
+            timings: loc.timings
+                ? translate('locationTimings', { opd: loc.timings.opd || '9 AM - 5 PM', emergency: loc.timings.emergency || '24/7' }, lang)
+                : ''
+        }, lang)).join('\n\n');
 
         return {
             success: true,
@@ -139,7 +785,7 @@ export async function getHospitalLocationsList(args) {
         logger.error('Error in getHospitalLocationsList:', error.message);
         return {
             success: false,
-            message: "Our main hospital is at Bandra West, Mumbai. For exact address, let me transfer you to our front desk."
+            message: translate('branchMainFallback', {}, lang)
         };
     }
 }
@@ -147,7 +793,8 @@ export async function getHospitalLocationsList(args) {
 /**
  * Get contact details
  */
-export async function getContactInfo(args) {
+export async function getContactInfo(args, context = {}) {
+    const lang = languageOf(context);
     try {
         const { category } = args || {};
 
@@ -158,16 +805,17 @@ export async function getContactInfo(args) {
         if (contacts.length === 0) {
             return {
                 success: false,
-                message: "Let me transfer you to our main reception who can provide the contact details you need."
+                message: translate('contactsUnavailable', {}, lang)
             };
         }
 
-        const contactList = contacts.map(contact => {
-            const dept = contact.departments ? `${contact.departments.name} - ` : '';
-            const ext = contact.extension ? ` (Ext: ${contact.extension})` : '';
-            const hours = contact.available_hours ? `\nAvailable: ${contact.available_hours}` : '';
-            return `${dept}${contact.category}\nPhone: ${contact.phone_number}${ext}${hours}`;
-        }).join('\n\n');
+        const contactList = contacts.map(contact => translate('contactLine', {
+            department: contact.departments ? `${contact.departments.name} - ` : '',
+            category: contact.category,
+            phone: contact.phone_number,
+            extension: contact.extension ? translate('contactExtension', { extension: contact.extension }, lang) : '',
+            hours: contact.available_hours ? translate('contactHours', { hours: contact.available_hours }, lang) : ''
+        }, lang)).join('\n\n');
 
         return {
             success: true,
@@ -179,7 +827,7 @@ export async function getContactInfo(args) {
         logger.error('Error in getContactInfo:', error.message);
         return {
             success: false,
-            message: "For all inquiries, you can reach our main desk at +91-22-2640-0000."
+            message: translate('contactsError', { number: EMERGENCY_CONTACTS.main }, lang)
         };
     }
 }
@@ -187,52 +835,327 @@ export async function getContactInfo(args) {
 /**
  * Check doctor availability
  */
-export async function checkDoctorAvailability(args) {
+export async function checkDoctorAvailability(args, context = {}) {
+    const lang = languageOf(context);
     try {
-        const { doctorId, dayOfWeek } = args;
+        const { doctorName, specialization, when } = args;
 
-        logger.info(`Checking doctor availability: doctorId=${doctorId}, day=${dayOfWeek}`);
+        logger.info(`Checking doctor availability: name=${doctorName}, specialization=${specialization}, when=${when}`);
 
-        const availability = await db.getDoctorAvailability(doctorId, dayOfWeek);
+        const { doctor, message: doctorMessage } = await resolveDoctor({ doctorName, specialization }, lang);
+        if (!doctor) {
+            return { success: false, message: doctorMessage };
+        }
+
+        const today = todayInIST();
+        const range = when ? resolveDateExpression(when) : null;
 
-        if (availability.length === 0) {
+        if (when && !range) {
             return {
                 success: false,
-                message: "I couldn't find availability information for this doctor. Let me connect you to appointments for assistance."
+                message: translate('availabilityAskDay', {}, lang)
             };
         }
 
-        const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-        const schedule = availability.map(slot => {
-            const day = days[slot.day_of_week];
-            const location = slot.hospital_locations ? ` at ${slot.hospital_locations.branch}` : '';
-            return `${day}: ${slot.start_time} - ${slot.end_time}${location}`;
-        }).join('\n');
+        const startDate = range && range.startDate > today ? range.startDate : today;
+        const endDate = range ? range.endDate : addDays(today, DEFAULT_AVAILABILITY_DAYS - 1);
+
+        if (endDate < today) {
+            return {
+                success: false,
+                message: translate('availabilityDatePassed', {}, lang)
+            };
+        }
+
+        const sessions = (await getDoctorSchedule(doctor.id, startDate, endDate))
+            .filter(session => overlapsTimeRange(session, range?.timeRange));
+
+        if (sessions.length === 0) {
+            // Offer the next day the doctor does consult
+            const lookaheadStart = addDays(endDate, 1);
+            const upcoming = await getDoctorSchedule(doctor.id, lookaheadStart, addDays(lookaheadStart, NEXT_AVAILABLE_LOOKAHEAD_DAYS - 1));
+            const next = upcoming.find(session => overlapsTimeRange(session, range?.timeRange)) || upcoming[0];
+
+            return {
+                success: false,
+                message: next
+                    ? translate('availabilityNextSession', {
+                        doctor: doctorDisplayName(doctor),
+                        when: range ? translate('availabilityOn', { dates: describeRequestedDates(range, lang) }, lang) : translate('availabilityThisWeek', {}, lang),
+                        date: formatSpokenDate(next.date, { language: lang }),
+                        isoDate: next.date,
+                        time: `${next.startTime} - ${next.endTime}`
+                    }, lang)
+                    : translate('availabilityUnknown', { doctor: doctorDisplayName(doctor) }, lang)
+            };
+        }
+
+        const schedule = sessions.map(session => translate('availabilitySession', {
+            date: formatSpokenDate(session.date, { language: lang }),
+            isoDate: session.date,
+            time: `${session.startTime} - ${session.endTime}`,
+            branch: session.branch ? translate('atBranch', { branch: session.branch }, lang) : ''
+        }, lang)).join('\n');
 
         return {
             success: true,
-            availability: availability,
-            message: `Doctor's availability:\n${schedule}\n\nWould you like me to help you book an appointment?`
+            doctor: toDoctorSummary(doctor),
+            availability: sessions,
+            message: translate('availabilitySchedule', { doctor: doctorDisplayName(doctor), schedule }, lang)
         };
     } catch (error) {
         logger.error('Error in checkDoctorAvailability:', error.message);
         return {
             success: false,
-            message: "I'm having trouble checking availability. Let me transfer you to our appointments desk."
+            message: translate('availabilityError', {}, lang)
         };
     }
 }
 
 /**
- * Emergency protocol activation
+ * Book an appointment into a doctor's availability slot
  */
-export async function emergencyProtocol(args) {
+export async function bookAppointment(args, context = {}) {
+    const lang = languageOf(context);
     try {
-        const { emergencyType, callerPhone } = args;
+        const { doctorName, specialization, appointmentDate, preferredTime, patientName, reason } = args;
+        const patientPhone = args.patientPhone || context.phoneNumber;
 
-        logger.warn(`EMERGENCY PROTOCOL ACTIVATED: type=${emergencyType}, phone=${callerPhone}`);
+        logger.info(`Booking appointment: name=${doctorName}, specialization=${specialization}, date=${appointmentDate}, time=${preferredTime}`);
 
-        // Return emergency contact based on type
+        if (!patientName || !patientPhone) {
+            return {
+                success: false,
+                message: translate('bookingNeedsDetails', {}, lang)
+            };
+        }
+
+        const { date: resolvedDate, message: dateMessage } = resolveAppointmentDate(appointmentDate, lang);
+        if (!resolvedDate) {
+            return { success: false, message: dateMessage };
+        }
+
+        const { doctor, message: doctorMessage } = await resolveDoctor({ doctorName, specialization }, lang);
+        if (!doctor) {
+            return { success: false, message: doctorMessage };
+        }
+
+        const { slot, appointment, message: slotMessage } = await bookOpenSlot(doctor, resolvedDate, preferredTime, lang, slot => db.createAppointment({
+            bookingReference: generateBookingReference(),
+            doctorId: doctor.id,
+            availabilityId: slot.id,
+            locationId: slot.location_id,
+            conversationId: context.conversation?.id,
+            appointmentDate: resolvedDate,
+            startTime: slot.start_time,
+            endTime: slot.end_time,
+            patientName,
+            patientPhone: normalizePhone(patientPhone),
+            callerPhone: normalizePhone(context.phoneNumber) || null,
+            reason
+        }));
+
+        if (!slot) {
+            return { success: false, message: slotMessage };
+        }
+
+        if (!appointment) {
+            throw new Error('Appointment insert failed');
+        }
+
+        const message = translate('appointmentConfirmation', {
+            doctor: doctorDisplayName(doctor),
+            department: doctor.departments?.name || doctor.specialization,
+            date: formatSpokenDate(resolvedDate, { language: lang }),
+            time: `${slot.start_time} - ${slot.end_time}`,
+            reference: appointment.booking_reference,
+            phone: patientPhone
+        }, lang);
+
+        return {
+            success: true,
+            bookingReference: appointment.booking_reference,
+            appointment: toAppointmentSummary(appointment),
+            message: message
+        };
+    } catch (error) {
+        logger.error('Error in bookAppointment:', error.message);
+        return {
+            success: false,
+            message: translate('bookingError', {}, lang)
+        };
+    }
+}
+
+/**
+ * List the caller's upcoming appointments
+ */
+export async function findMyAppointments(args, context = {}) {
+    const lang = languageOf(context);
+    try {
+        // Web sessions have no caller number, and a spoken one could be anyone's
+        const callerPhone = context.phoneNumber;
+
+        logger.info(`Finding appointments for caller: ${callerPhone}`);
+
+        if (!callerPhone) {
+            return {
+                success: false,
+                message: translate('appointmentCallerNumberNeeded', {}, lang)
+            };
+        }
+
+        const appointments = await db.getAppointmentsByPhone(normalizePhone(callerPhone), todayInIST());
+
+        if (appointments.length === 0) {
+            return {
+                success: false,
+                message: translate('appointmentsNoneForPhone', {}, lang)
+            };
+        }
+
+        const appointmentList = appointments.map(appointment => describeAppointment(appointment, lang)).join('\n');
+
+        return {
+            success: true,
+            count: appointments.length,
+            appointments: appointments.map(toAppointmentSummary),
+            message: translate('appointmentsFound', { count: appointments.length, list: appointmentList }, lang)
+        };
+    } catch (error) {
+        logger.error('Error in findMyAppointments:', error.message);
+        return {
+            success: false,
+            message: translate('appointmentsLookupError', {}, lang)
+        };
+    }
+}
+
+/**
+ * Cancel one of the caller's appointments
+ */
+export async function cancelAppointment(args, context = {}) {
+    const lang = languageOf(context);
+    try {
+        const { bookingReference, reason } = args;
+
+        logger.info(`Cancelling appointment: reference=${bookingReference}`);
+
+        const { appointment, message: lookupMessage } = await findCallerAppointment(bookingReference, context);
+        if (!appointment) {
+            return { success: false, message: lookupMessage };
+        }
+
+        const cancelled = await db.cancelAppointment(appointment.id, reason);
+        if (!cancelled) {
+            throw new Error('Appointment cancel failed');
+        }
+
+        context.conversation?.logAppointmentChange('cancelled', appointment.booking_reference, {
+            appointmentDate: appointment.appointment_date,
+            doctor: appointment.doctors?.name,
+            reason
+        });
+
+        return {
+            success: true,
+            bookingReference: appointment.booking_reference,
+            message: translate('appointmentCancelled', { appointment: describeAppointment(appointment, lang) }, lang)
+        };
+    } catch (error) {
+        logger.error('Error in cancelAppointment:', error.message);
+        return {
+            success: false,
+            message: translate('cancelError', {}, lang)
+        };
+    }
+}
+
+/**
+ * Move one of the caller's appointments to a new date
+ */
+export async function rescheduleAppointment(args, context = {}) {
+    const lang = languageOf(context);
+    try {
+        const { bookingReference, newDate, preferredTime } = args;
+
+        logger.info(`Rescheduling appointment: reference=${bookingReference}, newDate=${newDate}, time=${preferredTime}`);
+
+        const { date: resolvedDate, message: dateMessage } = resolveAppointmentDate(newDate, lang);
+        if (!resolvedDate) {
+            return { success: false, message: dateMessage };
+        }
+
+        const { appointment, message: lookupMessage } = await findCallerAppointment(bookingReference, context);
+        if (!appointment) {
+            return { success: false, message: lookupMessage };
+        }
+
+        const doctor = await db.getDoctorById(appointment.doctor_id);
+        if (!doctor) {
+            throw new Error(`Doctor not found for appointment ${appointment.booking_reference}`);
+        }
+
+        const { slot, appointment: updated, message: slotMessage } = await bookOpenSlot(doctor, resolvedDate, preferredTime, lang, slot => db.rescheduleAppointment(appointment.id, {
+            availabilityId: slot.id,
+            locationId: slot.location_id,
+            appointmentDate: resolvedDate,
+            startTime: slot.start_time,
+            endTime: slot.end_time
+        }));
+
+        if (!slot) {
+            return { success: false, message: slotMessage };
+        }
+
+        if (!updated) {
+            throw new Error('Appointment reschedule failed');
+        }
+
+        context.conversation?.logAppointmentChange('rescheduled', appointment.booking_reference, {
+            fromDate: appointment.appointment_date,
+            toDate: resolvedDate,
+            doctor: doctor.name
+        });
+
+        return {
+            success: true,
+            bookingReference: updated.booking_reference,
+            appointment: toAppointmentSummary(updated),
+            message: translate('appointmentRescheduled', {
+                doctor: doctorDisplayName(doctor),
+                date: formatSpokenDate(resolvedDate, { language: lang }),
+                time: `${slot.start_time} - ${slot.end_time}`,
+                reference: updated.booking_reference
+            }, lang)
+        };
+    } catch (error) {
+        logger.error('Error in rescheduleAppointment:', error.message);
+        return {
+            success: false,
+            message: translate('rescheduleError', {}, lang)
+        };
+    }
+}
+
+/**
+ * Emergency protocol activation
+ */
+export async function emergencyProtocol(args, context = {}) {
+    const lang = languageOf(context);
+    try {
+        const { emergencyType, callerPhone } = args;
+
+        logger.warn(`EMERGENCY PROTOCOL ACTIVATED: type=${emergencyType}, phone=${callerPhone}`);
+
+        const alert = raiseEmergencyAlert({
+            callSid: context.callSid,
+            callerPhone: context.phoneNumber || callerPhone,
+            emergencyType,
+            transcriptExcerpt: context.conversation?.getRecentTranscript(EMERGENCY_ALERT_TRANSCRIPT_MESSAGES) || ''
+        });
+
+        // Return emergency contact based on type
         const emergencyContacts = {
             cardiac: EMERGENCY_CONTACTS.cardiac,
             trauma: EMERGENCY_CONTACTS.trauma,
@@ -246,7 +1169,8 @@ export async function emergencyProtocol(args) {
             emergency: true,
             emergencyType: emergencyType,
             contactNumber: contactNumber,
-            message: "This is an emergency situation. I'm immediately connecting you to our emergency department. Please stay on the line.",
+            alertId: alert.id,
+            message: translate('emergencyConnecting', {}, lang),
             action: "TRANSFER_EMERGENCY",
             transferTo: contactNumber
         };
@@ -255,17 +1179,115 @@ export async function emergencyProtocol(args) {
         return {
             success: true,
             emergency: true,
-            message: "Emergency situation detected. Connecting you to emergency services immediately.",
+            message: translate('emergencyFallback', {}, lang),
             action: "TRANSFER_EMERGENCY",
             transferTo: EMERGENCY_CONTACTS.main
         };
     }
 }
 
+/**
+ * Ambulance dispatch: record the pickup details, notify the ambulance desk,
+ * then transfer the caller to the ambulance line
+ * The request is written before the transfer so the address is never lost
+ */
+export async function requestAmbulance(args, context = {}) {
+    const { conversation, callSid, phoneNumber } = context;
+    const lang = languageOf(context);
+
+    try {
+        const { pickupAddress, landmark, patientCondition, patientName } = args;
+        const callbackNumber = args.callbackNumber || phoneNumber;
+
+        logger.warn(`AMBULANCE REQUESTED: address=${pickupAddress}, condition=${patientCondition}, callback=${callbackNumber}`);
+
+        const missing = [];
+        if (!pickupAddress?.trim()) missing.push(translate('ambulanceNeedAddress', {}, lang));
+        if (!patientCondition?.trim()) missing.push(translate('ambulanceNeedCondition', {}, lang));
+        if (normalizePhone(callbackNumber).length < 10) missing.push(translate('ambulanceNeedCallback', {}, lang));
+
+        if (missing.length > 0) {
+            return {
+                success: false,
+                message: translate('ambulanceMissing', { missing: joinList(missing, 'and', lang) }, lang),
+                guidance: "Ask only for what is missing, then call request_ambulance again. If the caller cannot give it, use emergency_protocol instead."
+            };
+        }
+
+        const details = {
+            callbackNumber,
+            pickupAddress: pickupAddress.trim(),
+            landmark: landmark?.trim() || null,
+            patientCondition: patientCondition.trim(),
+            patientName: patientName?.trim() || null
+        };
+
+        const request = await db.createAmbulanceRequest({
+            conversationId: conversation?.id,
+            callSid,
+            callerPhone: phoneNumber,
+            ...details
+        });
+
+        if (!request) {
+            logger.error(`Ambulance request not saved - relying on desk notification: ${callSid}`);
+        }
+
+        // notified is filled in once the desk notification settles
+        const emergency = {
+            ambulanceRequestId: request?.id || null,
+            ...details,
+            notified: null
+        };
+        conversation?.logEmergency('ambulance', emergency);
+
+        // The request is already saved - don't keep the caller waiting on the desk before the transfer
+        notifyAmbulanceDesk({
+            requestId: request?.id || null,
+            callSid,
+            callerPhone: phoneNumber,
+            ...details
+        })
+            .then(async notification => {
+                emergency.notified = notification.notified;
+
+                if (request) {
+                    await db.updateAmbulanceRequest(request.id, notification.notified
+                        ? { notified_at: new Date().toISOString() }
+                        : { notification_error: notification.error });
+                }
+            })
+            .catch(error => logger.error(`Error recording ambulance desk notification for ${callSid}:`, error.message));
+
+        const landmarkText = details.landmark ? translate('ambulanceLandmark', { landmark: details.landmark }, lang) : '';
+
+        return {
+            success: true,
+            emergency: true,
+            emergencyType: 'ambulance',
+            ambulanceRequestId: request?.id || null,
+            message: translate('ambulanceConfirmed', { address: details.pickupAddress, landmark: landmarkText, callbackNumber }, lang),
+            action: "TRANSFER_AMBULANCE",
+            transferTo: EMERGENCY_CONTACTS.ambulance
+        };
+    } catch (error) {
+        logger.error('Error in requestAmbulance:', error.message);
+        return {
+            success: true,
+            emergency: true,
+            emergencyType: 'ambulance',
+            message: translate('ambulanceFallback', {}, lang),
+            action: "TRANSFER_AMBULANCE",
+            transferTo: EMERGENCY_CONTACTS.ambulance
+        };
+    }
+}
+
 /**
  * Transfer to human operator
  */
-export async function transferToOperator(args) {
+export async function transferToOperator(args, context = {}) {
+    const lang = languageOf(context);
     try {
         const { reason, department } = args;
 
@@ -276,14 +1298,848 @@ export async function transferToOperator(args) {
             action: "TRANSFER_OPERATOR",
             department: department || "General",
             reason: reason,
-            message: `I understand. Let me transfer you to ${department || 'our operator'} who can better assist you. Please hold.`
+            message: translate('transferToDepartment', { department: department || translate('ourOperator', {}, lang) }, lang)
         };
     } catch (error) {
         logger.error('Error in transferToOperator:', error.message);
         return {
             success: true,
             action: "TRANSFER_OPERATOR",
-            message: "Let me transfer you to our operator. Please hold."
+            message: translate('transferFallback', {}, lang)
+        };
+    }
+}
+
+/**
+ * Take a callback request for a department, e.g. after a transfer reached nobody
+ */
+export async function requestCallback(args, context = {}) {
+    const { conversation, callSid, phoneNumber } = context;
+    const lang = languageOf(context);
+
+    try {
+        const { department, callerName, preferredTime, reason } = args;
+        const callbackNumber = args.callbackNumber || phoneNumber;
+
+        logger.info(`Callback requested: department=${department}, time=${preferredTime}`);
+
+        if (normalizePhone(callbackNumber).length < 10) {
+            return {
+                success: false,
+                message: translate('callbackAskNumber', {}, lang),
+                guidance: "Ask for a 10-digit callback number, then call request_callback again."
+            };
+        }
+
+        const callback = await db.createCallbackRequest({
+            conversationId: conversation?.id,
+            callSid,
+            department: department || 'General',
+            callbackNumber,
+            callerName: callerName || null,
+            preferredTime: preferredTime || null,
+            reason: reason || null
+        });
+
+        if (!callback) {
+            return {
+                success: false,
+                message: translate('callbackFailed', { number: EMERGENCY_CONTACTS.main }, lang)
+            };
+        }
+
+        const values = {
+            department: department || translate('callbackOurTeam', {}, lang),
+            callbackNumber,
+            time: preferredTime
+        };
+
+        return {
+            success: true,
+            callbackRequestId: callback.id,
+            message: translate(preferredTime ? 'callbackConfirmed' : 'callbackConfirmedAsap', values, lang)
+        };
+    } catch (error) {
+        logger.error('Error in requestCallback:', error.message);
+        return {
+            success: false,
+            message: translate('callbackFailed', { number: EMERGENCY_CONTACTS.main }, lang)
+        };
+    }
+}
+
+/**
+ * Ask the caller to type something on their keypad (OTP, date of birth, phone number)
+ * The entry reaches the model as "[Keypad input] Caller typed ..."
+ */
+export async function collectDigits(args, context = {}) {
+    const lang = languageOf(context);
+    try {
+        const { purpose } = args;
+        const maxDigits = toNumber(args.maxDigits);
+
+        logger.info(`Keypad input requested: purpose=${purpose}, maxDigits=${maxDigits}`);
+
+        const spokenPurpose = purpose || translate('digitsDefaultPurpose', {}, lang);
+
+        return {
+            success: true,
+            action: "COLLECT_DIGITS",
+            purpose: purpose || 'number',
+            maxDigits: maxDigits && maxDigits > 0 ? Math.floor(maxDigits) : null,
+            message: translate(maxDigits ? 'digitsPrompt' : 'digitsPromptWithHash', { purpose: spokenPurpose }, lang),
+            guidance: "Wait for the keypad entry - it arrives as a message starting with [Keypad input]. Never read an OTP back aloud."
+        };
+    } catch (error) {
+        logger.error('Error in collectDigits:', error.message);
+        return {
+            success: false,
+            message: translate('digitsError', {}, lang)
+        };
+    }
+}
+
+/**
+ * Consultation fee for one doctor, or the fee range for a specialization
+ */
+async function estimateConsultationFee({ doctorName, specialization }, lang) {
+    let doctors;
+    let subject;
+
+    if (doctorName) {
+        const { doctor, message } = await resolveDoctor({ doctorName, specialization }, lang);
+        if (!doctor) return { success: false, message };
+        doctors = [doctor];
+        subject = translate('consultationWithDoctor', { doctor: doctorDisplayName(doctor) }, lang);
+    } else if (specialization) {
+        doctors = await db.getDoctors({ specialization, isAvailable: true });
+        subject = translate('consultationWithSpecialization', { specialization }, lang);
+    } else {
+        return { success: false, message: translate('consultationFeeAsk', {}, lang) };
+    }
+
+    const fees = doctors.map(doc => Number(doc.consultation_fee)).filter(fee => fee > 0);
+    if (fees.length === 0) {
+        return {
+            success: false,
+            message: translate('consultationFeeUnknown', {}, lang)
+        };
+    }
+
+    const minFee = Math.min(...fees);
+    const maxFee = Math.max(...fees);
+
+    return {
+        success: true,
+        category: 'consultation',
+        minPrice: minFee,
+        maxPrice: maxFee,
+        message: translate('consultationFee', {
+            subject,
+            price: describePriceRange(minFee, maxFee, lang),
+            payment: describeCashless(false, lang)
+        }, lang)
+    };
+}
+
+/**
+ * Approximate cost of a consultation, test, procedure, room or package
+ */
+export async function getCostEstimate(args, context = {}) {
+    const lang = languageOf(context);
+    try {
+        const { item, category, doctorName, specialization, locationBranch } = args;
+
+        logger.info(`Getting cost estimate: item=${item}, category=${category}, doctor=${doctorName}, specialization=${specialization}, branch=${locationBranch}`);
+
+        if (category === 'consultation' || (!item && (doctorName || specialization))) {
+            return await estimateConsultationFee({ doctorName, specialization }, lang);
+        }
+
+        if (!item) {
+            return {
+                success: false,
+                message: translate('costAskItem', {}, lang)
+            };
+        }
+
+        let locationId = null;
+        if (locationBranch) {
+            const location = await db.getHospitalLocationByBranch(locationBranch);
+            locationId = location?.id;
+        }
+
+        const tariffs = await db.getTariffs({ category, locationId });
+
+        const scored = tariffs
+            .map(tariff => ({
+                tariff,
+                score: Math.max(...[tariff.name, ...(tariff.aliases || [])].map(name => nameSimilarity(item, name)))
+            }))
+            .filter(match => match.score >= MIN_MATCH_SCORE)
+            .sort((a, b) => b.score - a.score || Boolean(b.tariff.location_id) - Boolean(a.tariff.location_id));
+
+        if (scored.length === 0) {
+            if (/consult/i.test(item)) {
+                return await estimateConsultationFee({ doctorName, specialization }, lang);
+            }
+            return {
+                success: false,
+                message: translate('costNoPrice', { item }, lang)
+            };
+        }
+
+        // Keep close matches, and only one row per item (a branch's own price wins over the general one)
+        const cutoff = scored[0].score - NAME_MATCH_SPREAD;
+        const seen = new Set();
+        const matches = scored
+            .filter(match => match.score >= cutoff)
+            .map(match => match.tariff)
+            .filter(tariff => {
+                const key = tariff.name.toLowerCase();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, 3);
+
+        const estimates = matches.map(tariff => {
+            // "This includes ..." reads on from the English sentence, so lowercase the first letter there
+            const inclusions = tariff.inclusions && lang === 'en'
+                ? `${tariff.inclusions.charAt(0).toLowerCase()}${tariff.inclusions.slice(1)}`
+                : tariff.inclusions;
+            return translate('costLine', {
+                name: tariff.name,
+                price: describePriceRange(tariff.min_price, tariff.max_price, lang),
+                unit: tariff.unit,
+                inclusions: inclusions ? translate('costInclusions', { inclusions }, lang) : '',
+                notes: tariff.notes ? ` ${tariff.notes}.` : '',
+                payment: describeCashless(tariff.cashless_eligible, lang)
+            }, lang);
+        }).join('\n');
+
+        return {
+            success: true,
+            estimates: matches.map(tariff => ({
+                name: tariff.name,
+                category: tariff.category,
+                minPrice: Number(tariff.min_price),
+                maxPrice: Number(tariff.max_price),
+                unit: tariff.unit,
+                cashlessEligible: tariff.cashless_eligible
+            })),
+            message: `${estimates}\n${translate('costDisclaimer', {}, lang)}`
+        };
+    } catch (error) {
+        logger.error('Error in getCostEstimate:', error.message);
+        return {
+            success: false,
+            message: translate('costError', {}, lang)
+        };
+    }
+}
+
+/**
+ * Whether an insurer, TPA or government scheme is accepted, cashless or by reimbursement,
+ * and which documents to bring for admission
+ */
+export async function checkInsurance(args, context = {}) {
+    const lang = languageOf(context);
+    try {
+        const { insurerName, locationBranch } = args;
+
+        if (!insurerName || !insurerName.trim()) {
+            return {
+                success: false,
+                message: translate('insuranceAskInsurer', {}, lang)
+            };
+        }
+
+        logger.info(`Checking insurance: insurer=${insurerName}, branch=${locationBranch}`);
+
+        let locationId = null;
+        if (locationBranch) {
+            const location = await db.getHospitalLocationByBranch(locationBranch);
+            locationId = location?.id;
+        }
+
+        const [providers, policies] = await Promise.all([
+            db.getInsuranceProviders({ locationId }),
+            db.getHospitalInfo('Policies')
+        ]);
+
+        const spokenName = insurerName.replace(INSURER_FILLER_WORDS, ' ').trim() || insurerName;
+        const scored = providers
+            .map(provider => ({
+                provider,
+                score: Math.max(...[provider.name, ...(provider.aliases || [])].map(name => nameSimilarity(spokenName, name)))
+            }))
+            .filter(match => match.score >= MIN_MATCH_SCORE)
+            .sort((a, b) => b.score - a.score);
+
+        if (scored.length === 0) {
+            return {
+                success: false,
+                message: translate('insuranceNotFound', { insurer: insurerName }, lang)
+            };
+        }
+
+        // Ask rather than guess when two different providers match about equally well
+        const [best] = scored;
+        const rivals = [...new Set(scored
+            .filter(match => best.score - match.score < NAME_MATCH_CLEAR_LEAD)
+            .map(match => match.provider.name))];
+
+        if (rivals.length > 1) {
+            return {
+                success: true,
+                needsClarification: true,
+                options: rivals,
+                message: translate('insuranceDidYouMean', { options: joinList(rivals, 'or', lang) }, lang)
+            };
+        }
+
+        const { name, provider_type: providerType } = best.provider;
+        const rows = providers.filter(provider => provider.name === name);
+
+        // A branch's own row overrides the row that applies to every branch
+        const generalRow = rows.find(row => !row.location_id);
+        const branchRows = rows.filter(row => row.location_id);
+
+        const describeMode = (row) => {
+            if (row.cashless) {
+                return row.tpa_name
+                    ? translate('insuranceModeCashlessThrough', { tpa: row.tpa_name }, lang)
+                    : translate('insuranceModeCashless', {}, lang);
+            }
+            return translate(row.reimbursement ? 'insuranceModeReimbursement' : 'insuranceModeNotEmpanelled', {}, lang);
+        };
+
+        const statuses = [];
+        if (generalRow) {
+            statuses.push(translate(branchRows.length ? 'insuranceOtherBranches' : 'insuranceAllBranches', { mode: describeMode(generalRow) }, lang));
+        }
+        for (const row of branchRows) {
+            const branch = row.hospital_locations?.branch || translate('insuranceThisBranch', {}, lang);
+            statuses.push(translate('insuranceAtBranch', { branch, mode: describeMode(row) }, lang));
+        }
+
+        const accepted = rows.some(row => row.cashless || row.reimbursement);
+        const anyCashless = rows.some(row => row.cashless);
+        const notes = rows.map(row => row.notes).filter(Boolean);
+
+        // Standard admission documents come from hospital_info; some schemes need more
+        const documentInfo = policies.find(item => item.tags?.includes(anyCashless ? 'cashless' : 'admission'))
+            || policies.find(item => item.tags?.includes('admission'));
+        const extraDocuments = [...new Set(rows.flatMap(row => row.extra_documents || []))];
+        const documents = [
+            documentInfo?.content,
+            extraDocuments.length ? translate('insuranceExtraDocuments', { insurer: name, documents: extraDocuments.join(', ') }, lang) : null
+        ].filter(Boolean).join(' ');
+
+        return {
+            success: true,
+            provider: name,
+            providerType,
+            accepted,
+            cashless: anyCashless,
+            branches: rows.map(row => ({
+                branch: row.hospital_locations?.branch || 'All branches',
+                cashless: row.cashless,
+                reimbursement: row.reimbursement,
+                tpa: row.tpa_name
+            })),
+            message: `${translate(accepted ? 'insuranceAccepted' : 'insuranceNotOnPanel', { insurer: name }, lang)} ${statuses.join(' ')}${notes.length ? translate('insuranceNotes', { notes: notes.join('. ') }, lang) : ''}${accepted && documents ? `\n${documents}` : ''}`
+        };
+    } catch (error) {
+        logger.error('Error in checkInsurance:', error.message);
+        return {
+            success: false,
+            message: translate('insuranceError', {}, lang)
+        };
+    }
+}
+
+/**
+ * Sample IDs are read out with spaces and dashes; compare them without
+ */
+function normalizeSampleId(sampleId) {
+    return String(sampleId || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * IST date and time for a message, e.g. "Tuesday, 20 October at 17:00" - the time is
+ * left on the 24h clock for formatForSpeech to read out in the caller's language
+ */
+function describeTimestamp(timestamp, lang) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    return translate('timestampAt', { date: formatSpokenDate(todayInIST(date), { language: lang }), time }, lang);
+}
+
+/**
+ * Report status for one lab order - status only, never results
+ */
+function describeLabOrder(order, lang) {
+    const values = {
+        tests: order.test_names?.length ? order.test_names.join(', ') : translate('reportTestsDefault', {}, lang),
+        collected: order.collected_at
+            ? translate('reportCollected', { date: formatSpokenDate(todayInIST(new Date(order.collected_at)), { language: lang }) }, lang)
+            : ''
+    };
+
+    switch (order.status) {
+        case 'ready':
+            return translate('reportReady', {
+                ...values,
+                since: order.ready_at ? translate('reportReadySince', { time: describeTimestamp(order.ready_at, lang) }, lang) : ''
+            }, lang);
+        case 'dispatched': {
+            const methodKey = DISPATCH_METHOD_KEYS[order.dispatch_method];
+            return translate('reportDispatched', {
+                ...values,
+                method: methodKey ? translate('reportDispatchedBy', { method: translate(methodKey, {}, lang) }, lang) : '',
+                when: order.dispatched_at ? translate('reportDispatchedOn', { time: describeTimestamp(order.dispatched_at, lang) }, lang) : ''
+            }, lang);
+        }
+        default:
+            return translate('reportProcessing', {
+                ...values,
+                expected: order.expected_at ? translate('reportExpected', { time: describeTimestamp(order.expected_at, lang) }, lang) : ''
+            }, lang);
+    }
+}
+
+/**
+ * Audit a report status lookup on the conversation and in the database
+ */
+async function recordReportLookup({ conversation, callSid, phoneNumber }, { registeredPhone, sampleId, verificationMethod, verified, orders }) {
+    conversation?.logReportLookup(verificationMethod, verified, {
+        registeredPhone,
+        sampleId,
+        sampleIds: orders.map(order => order.sample_id)
+    });
+
+    await db.createReportLookupAudit({
+        conversationId: conversation?.id,
+        callSid,
+        callerPhone: normalizePhone(phoneNumber) || null,
+        registeredPhone,
+        sampleId,
+        verificationMethod,
+        verified,
+        labOrderIds: orders.map(order => order.id)
+    });
+}
+
+/**
+ * Lab report status for a verified caller: registered phone plus date of birth or sample ID
+ * Only the status is shared (pending / ready / dispatched), never results
+ */
+export async function checkReportStatus(args, context = {}) {
+    const lang = languageOf(context);
+    try {
+        const { sampleId, dateOfBirth, registeredPhone } = args;
+        const { conversation, phoneNumber } = context;
+
+        const phone = normalizePhone(registeredPhone || phoneNumber);
+
+        logger.info(`Checking report status: phone=${phone}, sampleId=${sampleId ? 'given' : 'none'}, dob=${dateOfBirth ? 'given' : 'none'}`);
+
+        const failedAttempts = (conversation?.metadata.reportLookups || []).filter(lookup => !lookup.verified).length;
+        if (failedAttempts >= MAX_REPORT_VERIFICATION_ATTEMPTS) {
+            return {
+                success: false,
+                message: translate('reportTooManyAttempts', {}, lang)
+            };
+        }
+
+        if (phone.length < 10) {
+            return {
+                success: false,
+                message: translate('reportAskPhone', {}, lang)
+            };
+        }
+
+        // Redialling doesn't reset the count - earlier calls' failures come from the audit trail
+        const recentFailures = await db.countFailedReportLookups({
+            callerPhone: normalizePhone(phoneNumber),
+            registeredPhone: phone,
+            since: new Date(Date.now() - REPORT_LOOKUP_LOCKOUT_MINUTES * 60000).toISOString()
+        });
+        if (recentFailures === null) {
+            throw new Error('Could not check report lookup lockout');
+        }
+
+        if (recentFailures >= MAX_REPORT_VERIFICATION_ATTEMPTS) {
+            logger.warn(`Report lookups locked: caller=${phoneNumber}, registered=${phone} - ${recentFailures} failures in ${REPORT_LOOKUP_LOCKOUT_MINUTES} minutes`);
+            return {
+                success: false,
+                message: translate('reportLockedOut', {}, lang)
+            };
+        }
+
+        if (!sampleId && !dateOfBirth) {
+            return {
+                success: false,
+                message: translate('reportAskVerification', {}, lang)
+            };
+        }
+
+        const dob = dateOfBirth ? parseDateOfBirth(dateOfBirth) : null;
+        if (!sampleId && !dob) {
+            return {
+                success: false,
+                message: translate('reportAskFullDob', {}, lang)
+            };
+        }
+
+        const orders = await db.getLabOrdersByPhone(phone);
+        if (orders === null) {
+            throw new Error('Lab order lookup failed');
+        }
+
+        const wantedSample = sampleId ? normalizeSampleId(sampleId) : null;
+        const verificationMethod = wantedSample ? 'sample_id' : 'date_of_birth';
+        const matches = orders.filter(order =>
+            normalizePhone(order.patient_phone) === phone &&
+            (wantedSample ? normalizeSampleId(order.sample_id) === wantedSample : order.patient_dob === dob));
+
+        await recordReportLookup(context, {
+            registeredPhone: phone,
+            sampleId: wantedSample,
+            verificationMethod,
+            verified: matches.length > 0,
+            orders: matches
+        });
+
+        if (matches.length === 0) {
+            // Same reply whichever detail was wrong, so the lookup can't be used to probe records
+            return {
+                success: false,
+                verified: false,
+                message: translate(wantedSample ? 'reportNotFoundSample' : 'reportNotFoundDob', {}, lang)
+            };
+        }
+
+        const recent = matches.slice(0, REPORT_STATUS_LIMIT);
+
+        return {
+            success: true,
+            verified: true,
+            reports: recent.map(order => ({
+                sampleId: order.sample_id,
+                tests: order.test_names,
+                status: order.status,
+                branch: order.hospital_locations?.branch
+            })),
+            message: recent.map(order => describeLabOrder(order, lang)).join('\n'),
+            guidance: "Share only the report status. Never discuss, guess or interpret results - the patient should read the report or ask their doctor."
+        };
+    } catch (error) {
+        logger.error('Error in checkReportStatus:', error.message);
+        return {
+            success: false,
+            message: translate('reportError', {}, lang)
+        };
+    }
+}
+
+/**
+ * How long ago a bed count was updated, e.g. "25 minutes ago"
+ */
+function describeFreshness(updatedAt, now = new Date(), lang = 'en') {
+    const minutes = Math.floor((now - new Date(updatedAt)) / 60000);
+
+    if (minutes < 1) return translate('freshJustNow', {}, lang);
+    if (minutes < 60) return translate(minutes === 1 ? 'freshMinute' : 'freshMinutes', { count: minutes }, lang);
+    if (minutes < 24 * 60) {
+        const hours = Math.floor(minutes / 60);
+        return translate(hours === 1 ? 'freshHour' : 'freshHours', { count: hours }, lang);
+    }
+    return translate('freshOn', { time: describeTimestamp(updatedAt, lang) }, lang);
+}
+
+/**
+ * Verify a staff caller: the employee ID must belong to an active staff member
+ * registered with the number they are calling from
+ * Returns { staff } or { message } explaining why not
+ */
+async function verifyStaffCaller(employeeId, { conversation, phoneNumber }, lang) {
+    const verifiedStaff = conversation?.getVerifiedStaff();
+    if (verifiedStaff) return { staff: verifiedStaff.details };
+
+    const failedAttempts = (conversation?.metadata.staffVerifications || []).filter(entry => !entry.verified).length;
+    if (failedAttempts >= MAX_STAFF_VERIFICATION_ATTEMPTS) {
+        return { message: translate('staffLocked', {}, lang) };
+    }
+
+    if (!employeeId) {
+        return { message: translate('staffAskId', {}, lang) };
+    }
+
+    const normalizedId = String(employeeId).toUpperCase().replace(/[^A-Z0-9-]/g, '');
+    const staff = normalizedId ? await db.getStaffByEmployeeId(normalizedId) : null;
+    const verified = Boolean(staff && normalizePhone(phoneNumber) && normalizePhone(staff.phone) === normalizePhone(phoneNumber));
+    const details = verified
+        ? { name: staff.name, role: staff.role, branch: staff.hospital_locations?.branch }
+        : null;
+
+    conversation?.logStaffVerification(normalizedId, verified, details);
+
+    if (!verified) {
+        logger.warn(`Staff verification failed: employeeId=${normalizedId}, phone=${phoneNumber}`);
+        return { message: translate('staffNotVerified', {}, lang) };
+    }
+
+    return { staff: details };
+}
+
+/**
+ * Bed availability per ward category and branch, for verified staff callers only
+ */
+export async function checkBedAvailability(args, context = {}) {
+    const lang = languageOf(context);
+    try {
+        const { employeeId, category, locationBranch } = args;
+
+        logger.info(`Checking bed availability: category=${category}, branch=${locationBranch}`);
+
+        const { staff, message } = await verifyStaffCaller(employeeId, context, lang);
+        if (!staff) {
+            return { success: false, verified: false, message };
+        }
+
+        let locationId = null;
+        if (locationBranch) {
+            const location = await db.getHospitalLocationByBranch(locationBranch);
+
+            // Never fall through to every branch's counts for a branch that doesn't exist
+            if (!location) {
+                const branches = (await db.getHospitalLocations()).map(loc => loc.branch).filter(Boolean);
+                return {
+                    success: false,
+                    verified: true,
+                    branches,
+                    message: translate('bedsBranchNotFound', { branch: locationBranch, branches: joinList(branches, 'or', lang) }, lang)
+                };
+            }
+
+            locationId = location.id;
+        }
+
+        const inventory = (await db.getBedInventory(locationId))
+            .filter(row => !category || row.category === category);
+
+        if (inventory.length === 0) {
+            return {
+                success: false,
+                verified: true,
+                message: translate('bedsNone', {}, lang)
+            };
+        }
+
+        const now = new Date();
+        const branches = new Map();
+        for (const row of inventory) {
+            const branch = row.hospital_locations?.branch || translate('bedsMainBranch', {}, lang);
+            if (!branches.has(branch)) branches.set(branch, []);
+            branches.get(branch).push(row);
+        }
+
+        const lines = [...branches.entries()].map(([branch, rows]) => {
+            const counts = rows.map(row => {
+                const stale = (now - new Date(row.updated_at)) / 60000 > BED_INVENTORY_STALE_MINUTES;
+                return translate('bedCount', {
+                    category: BED_CATEGORIES[row.category] || row.category,
+                    available: row.available_beds,
+                    total: row.total_beds,
+                    freshness: describeFreshness(row.updated_at, now, lang),
+                    stale: stale ? translate('bedStale', {}, lang) : ''
+                }, lang);
+            });
+            return translate('bedBranchLine', { branch, counts: counts.join('; ') }, lang);
+        });
+
+        return {
+            success: true,
+            verified: true,
+            beds: inventory.map(row => ({
+                branch: row.hospital_locations?.branch,
+                category: row.category,
+                available: row.available_beds,
+                total: row.total_beds,
+                updatedAt: row.updated_at
+            })),
+            message: translate('bedsSummary', { lines: lines.join('\n') }, lang)
+        };
+    } catch (error) {
+        logger.error('Error in checkBedAvailability:', error.message);
+        return {
+            success: false,
+            message: translate('bedsError', {}, lang)
+        };
+    }
+}
+
+/**
+ * Suggest departments for the symptoms a caller describes
+ * Routing only: emergencies are handed to emergency_protocol and no medical advice is given
+ */
+export async function suggestDepartment(args, context = {}) {
+    const lang = languageOf(context);
+    try {
+        const { symptoms, locationBranch } = args;
+        const patientAge = toNumber(args.patientAge);
+
+        if (!symptoms || !symptoms.trim()) {
+            return {
+                success: false,
+                message: translate('triageAskSymptoms', {}, lang)
+            };
+        }
+
+        logger.info(`Suggesting department: symptoms="${symptoms}", age=${patientAge}, branch=${locationBranch}`);
+
+        let locationId = null;
+        if (locationBranch) {
+            const location = await db.getHospitalLocationByBranch(locationBranch);
+            locationId = location?.id;
+        }
+
+        const departments = await db.getDepartments(locationId);
+        const { redFlags, emergencyType, suggestions } = triageSymptoms(symptoms, { departments, patientAge });
+
+        if (redFlags.length > 0) {
+            logger.warn(`Triage red flags: ${redFlags.map(flag => flag.phrase).join(', ')}`);
+            return {
+                success: true,
+                emergency: true,
+                emergencyType,
+                message: translate('emergencyAlert', {}, lang),
+                guidance: `Emergency warning signs mentioned. Call emergency_protocol now with emergencyType "${emergencyType}". Do not ask further questions.`
+            };
+        }
+
+        if (suggestions.length === 0) {
+            return {
+                success: false,
+                message: translate('triageNoMatch', {}, lang),
+                guidance: "Do not guess a diagnosis. Offer a general physician or transfer_to_operator."
+            };
+        }
+
+        const describeDepartment = ({ name, department }) => {
+            const floor = department?.floor_number !== undefined && department?.floor_number !== null
+                ? (department.floor_number === 0
+                    ? translate('triageGroundFloor', {}, lang)
+                    : translate('triageFloor', { floor: department.floor_number }, lang))
+                : '';
+            const extension = department?.phone_extension ? translate('triageExtension', { extension: department.phone_extension }, lang) : '';
+            return `${name}${floor}${extension}`;
+        };
+
+        const [best, ...others] = suggestions;
+        const otherInfo = others.length
+            ? translate('triageOthers', { departments: others.map(describeDepartment).join('; ') }, lang)
+            : '';
+
+        return {
+            success: true,
+            departments: suggestions.map(({ name, score, matchedTerms }) => ({ name, score, matchedTerms })),
+            message: translate('triageSuggestion', { department: describeDepartment(best), others: otherInfo, name: best.name }, lang),
+            guidance: "Routing only: do not name a condition, diagnose, or suggest medicines or treatment."
+        };
+    } catch (error) {
+        logger.error('Error in suggestDepartment:', error.message);
+        return {
+            success: false,
+            message: translate('triageError', {}, lang)
+        };
+    }
+}
+
+/**
+ * Spoken directions inside the hospital from a landmark to a department or facility
+ */
+export async function getDirections(args, context = {}) {
+    const lang = languageOf(context);
+    try {
+        const { destination, from, locationBranch } = args;
+
+        if (!destination || !destination.trim()) {
+            return {
+                success: false,
+                message: translate('directionsAskDestination', {}, lang)
+            };
+        }
+
+        logger.info(`Getting directions: destination=${destination}, from=${from}, branch=${locationBranch}`);
+
+        let locationId = null;
+        if (locationBranch) {
+            const location = await db.getHospitalLocationByBranch(locationBranch);
+            locationId = location?.id;
+        }
+
+        const [floorPlans, departments] = await Promise.all([
+            db.getFloorPlans(locationId),
+            db.getDepartments(locationId)
+        ]);
+
+        const places = locateDestination(destination, { floorPlans, departments });
+
+        if (places.length === 0) {
+            return {
+                success: false,
+                message: translate('directionsNotFound', { destination }, lang)
+            };
+        }
+
+        const branches = [...new Set(places.map(place => place.branch).filter(Boolean))];
+        if (!locationBranch && branches.length > 1) {
+            return {
+                success: true,
+                needsBranch: true,
+                branches,
+                message: translate('directionsAskBranch', { branches: joinList(branches, 'or', lang) }, lang)
+            };
+        }
+
+        if (places.length > 1) {
+            const options = places.map(place => translate('directionsOption', {
+                name: place.name,
+                floor: place.floorNumber === 0
+                    ? translate('directionsGroundFloor', {}, lang)
+                    : translate('directionsFloor', { floor: place.floorNumber }, lang),
+                description: place.floorDescription ? ` (${place.floorDescription})` : ''
+            }, lang));
+            return {
+                success: true,
+                places,
+                message: translate('directionsMultiple', { options: joinList(options, 'or', lang) }, lang)
+            };
+        }
+
+        const [place] = places;
+        const landmark = resolveLandmark(from);
+        const steps = buildDirections(landmark, place, lang);
+
+        return {
+            success: true,
+            destination: place.name,
+            floorNumber: place.floorNumber,
+            floorName: place.floorName,
+            branch: place.branch,
+            from: landmark.name,
+            steps,
+            message: translate('directionsSteps', { steps: steps.join(' ') }, lang)
+        };
+    } catch (error) {
+        logger.error('Error in getDirections:', error.message);
+        return {
+            success: false,
+            message: translate('directionsError', {}, lang)
         };
     }
 }
@@ -291,7 +2147,8 @@ export async function transferToOperator(args) {
 /**
  * Search hospital information
  */
-export async function searchHospitalInformation(args) {
+export async function searchHospitalInformation(args, context = {}) {
+    const lang = languageOf(context);
     try {
         const { query } = args;
 
@@ -309,7 +2166,7 @@ export async function searchHospitalInformation(args) {
         if (matchingInfo.length === 0 && results.doctors.length === 0 && results.departments.length === 0) {
             return {
                 success: false,
-                message: "I couldn't find specific information about that. Would you like me to connect you to our information desk?"
+                message: translate('infoNotFound', {}, lang)
             };
         }
 
@@ -320,21 +2177,21 @@ export async function searchHospitalInformation(args) {
         }
 
         if (results.departments.length > 0) {
-            response += `\n\nRelated departments: ${results.departments.map(d => d.name).join(', ')}`;
+            response += `\n\n${translate('infoRelatedDepartments', { departments: results.departments.map(d => d.name).join(', ') }, lang)}`;
         }
 
         return {
             success: true,
             info: matchingInfo,
-            relatedDoctors: results.doctors,
+            relatedDoctors: results.doctors.map(toDoctorSummary),
             relatedDepartments: results.departments,
-            message: response || "I found some related information. How can I help you further?"
+            message: response || translate('infoGeneric', {}, lang)
         };
     } catch (error) {
         logger.error('Error in searchHospitalInformation:', error.message);
         return {
             success: false,
-            message: "I'm having trouble searching that information. Let me connect you to our information desk."
+            message: translate('infoError', {}, lang)
         };
     }
 }
@@ -345,18 +2202,33 @@ export async function searchHospitalInformation(args) {
 
 /**
  * Route function calls to appropriate handlers
+ * Context carries call details the model should not have to supply ({ callSid, phoneNumber, conversation })
  */
-export async function handleFunctionCall(functionName, args) {
+export async function handleFunctionCall(functionName, args, context = {}) {
     logger.info(`Function called: ${functionName}`);
 
     const handlers = {
         'search_doctors': searchDoctors,
         'get_departments': getDepartmentsList,
+        'suggest_department': suggestDepartment,
+        'get_cost_estimate': getCostEstimate,
+        'check_insurance': checkInsurance,
+        'check_report_status': checkReportStatus,
+        'check_bed_availability': checkBedAvailability,
+        'get_directions': getDirections,
         'get_hospital_locations': getHospitalLocationsList,
+        'find_nearest_branch': findNearestBranch,
         'get_contact_details': getContactInfo,
         'check_doctor_availability': checkDoctorAvailability,
+        'book_appointment': bookAppointment,
+        'find_my_appointments': findMyAppointments,
+        'cancel_appointment': cancelAppointment,
+        'reschedule_appointment': rescheduleAppointment,
         'emergency_protocol': emergencyProtocol,
+        'request_ambulance': requestAmbulance,
         'transfer_to_operator': transferToOperator,
+        'request_callback': requestCallback,
+        'collect_digits': collectDigits,
         'search_hospital_info': searchHospitalInformation
     };
 
@@ -366,18 +2238,19 @@ export async function handleFunctionCall(functionName, args) {
         logger.error(`Unknown function: ${functionName}`);
         return {
             success: false,
-            message: "I'm not sure how to handle that request. Let me connect you to our operator."
+            message: translate('unknownFunction', {}, languageOf(context))
         };
     }
 
     try {
-        const result = await handler(args);
-        return result;
+        const result = await handler(args, context);
+        // Times, fees, phone numbers and addresses are rewritten here so every handler reads out the same way
+        return { ...result, message: formatForSpeech(result.message, languageOf(context)) };
     } catch (error) {
         logger.error(`Error handling function ${functionName}:`, error.message);
         return {
             success: false,
-            message: "I encountered an error processing your request. Let me transfer you to our operator."
+            message: translate('functionError', {}, languageOf(context))
         };
     }
 }
@@ -386,10 +2259,24 @@ export default {
     handleFunctionCall,
     searchDoctors,
     getDepartmentsList,
+    suggestDepartment,
+    getCostEstimate,
+    checkInsurance,
+    checkReportStatus,
+    checkBedAvailability,
+    getDirections,
     getHospitalLocationsList,
+    findNearestBranch,
     getContactInfo,
     checkDoctorAvailability,
+    bookAppointment,
+    findMyAppointments,
+    cancelAppointment,
+    rescheduleAppointment,
     emergencyProtocol,
+    requestAmbulance,
     transferToOperator,
+    requestCallback,
+    collectDigits,
     searchHospitalInformation
 };
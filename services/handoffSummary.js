@@ -0,0 +1,165 @@
+// ============================================
+// Warm Transfer Handoff
+// Builds a short spoken summary of the call for the person picking up a
+// transfer (the "whisper"), and pushes it to the department's screen/webhook
+// ============================================
+
+import logger from '../utils/logger.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Generic receiver for every handoff, and optional per-department receivers as JSON:
+// HANDOFF_WEBHOOKS={"Cardiology":"https://...","Billing":"https://..."}
+const HANDOFF_WEBHOOK_URL = process.env.HANDOFF_WEBHOOK_URL;
+const HANDOFF_WEBHOOKS = parseWebhookMap(process.env.HANDOFF_WEBHOOKS);
+const HANDOFF_WEBHOOK_TIMEOUT_MS = parseInt(process.env.HANDOFF_WEBHOOK_TIMEOUT_MS) || 5000;
+
+// Keep the whisper short - the caller is waiting while it plays
+const MAX_CALLER_QUOTES = 2;
+const MAX_QUOTE_LENGTH = 160;
+const MAX_ACTIONS = 3;
+
+// What Maya already did, as said to the receiving party
+const ACTION_DESCRIPTIONS = {
+    search_doctors: ({ args }) => `looked up doctors${args.specialization ? ` in ${args.specialization}` : args.doctorName ? ` named ${args.doctorName}` : ''}`,
+    check_doctor_availability: ({ args }) => `checked availability${args.doctorName ? ` for ${args.doctorName}` : ''}`,
+    book_appointment: ({ result }) => result?.success && result.bookingReference
+        ? `booked appointment ${result.bookingReference}`
+        : 'tried to book an appointment',
+    find_my_appointments: () => "looked up the caller's appointments",
+    cancel_appointment: ({ args, result }) => result?.success ? `cancelled appointment ${args.bookingReference}` : 'tried to cancel an appointment',
+    reschedule_appointment: ({ args, result }) => result?.success ? `rescheduled appointment ${args.bookingReference}` : 'tried to reschedule an appointment',
+    suggest_department: () => 'suggested a department from the symptoms described',
+    get_cost_estimate: ({ args }) => `gave a cost estimate${args.item ? ` for ${args.item}` : ''}`,
+    check_insurance: ({ args }) => `checked insurance${args.insurerName ? ` for ${args.insurerName}` : ''}`,
+    check_report_status: ({ result }) => result?.success ? 'gave the lab report status' : 'could not verify the caller for a lab report',
+    request_ambulance: () => 'took an ambulance request'
+};
+
+// Function calls that are part of the transfer itself, not worth repeating
+const SKIPPED_FUNCTIONS = new Set(['transfer_to_operator', 'emergency_protocol']);
+
+/**
+ * Parse the per-department webhook map, ignoring bad JSON
+ */
+function parseWebhookMap(value) {
+    if (!value) return {};
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        logger.error('HANDOFF_WEBHOOKS is not valid JSON - ignoring it');
+        return {};
+    }
+}
+
+/**
+ * Trim a caller message to a short quote, backing off to the last whole word
+ */
+function shortQuote(text) {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= MAX_QUOTE_LENGTH) return clean;
+
+    const cut = clean.slice(0, MAX_QUOTE_LENGTH);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}...`;
+}
+
+/**
+ * Last digits of the caller's number, so staff can recognise a callback without the full number being read out
+ */
+function lastDigits(phoneNumber, count = 4) {
+    const digits = String(phoneNumber || '').replace(/\D/g, '');
+    return digits.length >= count ? digits.slice(-count) : null;
+}
+
+/**
+ * "a, b and c"
+ */
+function joinWithAnd(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items.join('');
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Summarise a conversation for the person receiving a transfer
+ * Returns { text, department, reason, callSid, callerPhone, callerSaid, actions }
+ * where text is the spoken whisper and the rest is for screens and webhooks
+ * The summary is always in English for hospital staff, whatever the call's language;
+ * the caller's own words (callerSaid, also quoted in text) are kept verbatim, so may be in Hindi or Marathi
+ */
+export function buildHandoffSummary(conversation, { department, reason } = {}) {
+    const callerSaid = (conversation?.messages || [])
+        .filter(message => message.role === 'user' && message.content?.trim())
+        .slice(-MAX_CALLER_QUOTES)
+        .map(message => shortQuote(message.content));
+
+    const actions = (conversation?.metadata?.functionCalls || [])
+        .filter(call => !SKIPPED_FUNCTIONS.has(call.function))
+        .map(call => {
+            const describe = ACTION_DESCRIPTIONS[call.function];
+            return describe
+                ? describe({ args: call.arguments || {}, result: call.result })
+                : call.function.replace(/_/g, ' ');
+        })
+        .filter((action, index, all) => all.indexOf(action) === index)
+        .slice(-MAX_ACTIONS);
+
+    const digits = lastDigits(conversation?.phoneNumber);
+
+    const parts = [
+        `Transferred call from Maya, the hospital's AI assistant${department ? `, for ${department}` : ''}.`,
+        reason ? `Reason: ${reason}.` : null,
+        callerSaid.length > 0 ? `The caller said: ${callerSaid.map(quote => `"${quote}"`).join(', then ')}.` : null,
+        actions.length > 0 ? `Maya has already ${joinWithAnd(actions)}.` : null,
+        digits ? `Caller's number ends in ${digits.split('').join(' ')}.` : null,
+        'Connecting the caller now.'
+    ];
+
+    return {
+        text: parts.filter(Boolean).join(' '),
+        department: department || null,
+        reason: reason || null,
+        callSid: conversation?.callSid || null,
+        callerPhone: conversation?.phoneNumber || null,
+        callerSaid,
+        actions
+    };
+}
+
+/**
+ * Push a handoff summary to the department's webhook (or the generic one)
+ * Never throws - a failed push must not hold up the transfer
+ */
+export async function pushHandoffSummary(summary) {
+    const url = (summary.department && HANDOFF_WEBHOOKS[summary.department]) || HANDOFF_WEBHOOK_URL;
+    if (!url) return false;
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ event: 'call_handoff', ...summary, timestamp: new Date().toISOString() }),
+            signal: AbortSignal.timeout(HANDOFF_WEBHOOK_TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        logger.info(`Handoff summary pushed for ${summary.callSid} to ${summary.department || 'default'} webhook`);
+        return true;
+    } catch (error) {
+        logger.error(`Error pushing handoff summary for ${summary.callSid}:`, error.message);
+        return false;
+    }
+}
+
+export default {
+    buildHandoffSummary,
+    pushHandoffSummary
+};
@@ -0,0 +1,106 @@
+// ============================================
+// Reconnect Holding Prompt
+// The spoken "please stay on the line" played while the OpenAI Realtime
+// socket reconnects. It can't come from the Realtime session that just
+// dropped, so each language's prompt is synthesized once through the
+// speech endpoint at startup and cached as 8kHz u-law.
+// ============================================
+
+import logger from '../utils/logger.js';
+import { VOICE_CONFIG, SUPPORTED_LANGUAGES } from '../config/data.js';
+import { translate, resolveLanguage } from '../utils/i18n.js';
+import { generateTone, loadMulawAudio, pcm16ToMulaw } from '../utils/audio.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_SPEECH_URL = process.env.OPENAI_SPEECH_URL || 'https://api.openai.com/v1/audio/speech';
+const HOLDING_PROMPT_TTS_MODEL = process.env.HOLDING_PROMPT_TTS_MODEL || 'gpt-4o-mini-tts';
+const HOLDING_PROMPT_TTS_TIMEOUT_MS = parseInt(process.env.HOLDING_PROMPT_TTS_TIMEOUT_MS) || 10000;
+
+// The speech endpoint's "pcm" format is 24kHz 16-bit little-endian mono
+const SPEECH_PCM_SAMPLE_RATE = 24000;
+
+// A recording, if configured, is used for every language in place of the synthesized prompt
+const RECORDED_PROMPT = loadMulawAudio(process.env.HOLDING_PROMPT_AUDIO_PATH, null);
+
+// Soft double beep - between reconnect attempts, and if no spoken prompt is available
+export const HOLDING_TONE = generateTone([
+    { frequency: 480, durationMs: 200 },
+    { frequency: 0, durationMs: 150 },
+    { frequency: 480, durationMs: 200 },
+    { frequency: 0, durationMs: 450 }
+]);
+
+const spokenPrompts = new Map();
+let preparing = null;
+
+/**
+ * Synthesize one language's holding prompt as 8kHz u-law
+ */
+async function synthesizePrompt(language) {
+    const response = await fetch(OPENAI_SPEECH_URL, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${OPENAI_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            model: HOLDING_PROMPT_TTS_MODEL,
+            voice: VOICE_CONFIG.languageVoices[language] || VOICE_CONFIG.voice,
+            input: translate('callReconnecting', {}, language),
+            response_format: 'pcm'
+        }),
+        signal: AbortSignal.timeout(HOLDING_PROMPT_TTS_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Speech endpoint returned ${response.status}`);
+    }
+
+    return pcm16ToMulaw(Buffer.from(await response.arrayBuffer()), SPEECH_PCM_SAMPLE_RATE);
+}
+
+/**
+ * Synthesize and cache the holding prompt in every supported language
+ * Safe to call more than once; never throws
+ */
+export function prepareHoldingPrompts() {
+    if (RECORDED_PROMPT || !OPENAI_API_KEY) return Promise.resolve();
+    if (preparing) return preparing;
+
+    preparing = Promise.all(Object.keys(SUPPORTED_LANGUAGES).map(async language => {
+        try {
+            spokenPrompts.set(language, await synthesizePrompt(language));
+            logger.info(`Holding prompt ready: ${language}`);
+        } catch (error) {
+            logger.error(`Could not synthesize ${language} holding prompt:`, error.message);
+        }
+    })).then(() => {
+        // Let a later call retry any language that failed
+        if (spokenPrompts.size < Object.keys(SUPPORTED_LANGUAGES).length) preparing = null;
+    });
+
+    return preparing;
+}
+
+/**
+ * Spoken holding prompt for a call's language: the configured recording, then
+ * the synthesized prompt (English if that language isn't ready), then the tone
+ */
+export function getHoldingPrompt(language) {
+    if (RECORDED_PROMPT) return RECORDED_PROMPT;
+
+    const prompt = spokenPrompts.get(resolveLanguage(language)) || spokenPrompts.get('en');
+    if (prompt) return prompt;
+
+    prepareHoldingPrompts();
+    return HOLDING_TONE;
+}
+
+export default {
+    HOLDING_TONE,
+    prepareHoldingPrompts,
+    getHoldingPrompt
+};
@@ -0,0 +1,108 @@
+// ============================================
+// Audio Helpers for Exotel Media Streams (g711 u-law, 8kHz)
+// ============================================
+
+import { readFileSync } from 'fs';
+import logger from './logger.js';
+
+export const SAMPLE_RATE = 8000;
+
+// Exotel expects media payloads in multiples of 320 bytes (20ms at 8kHz)
+export const CHUNK_SIZE = 3200;
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+/**
+ * Encode a 16-bit linear PCM sample as 8-bit u-law
+ */
+export function linearToMulaw(sample) {
+    const sign = sample < 0 ? 0x80 : 0;
+    let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+        exponent--;
+    }
+
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Generate a soft tone pattern as u-law audio
+ * Each segment is { frequency, durationMs } - a frequency of 0 is silence
+ */
+export function generateTone(segments, amplitude = 0.15) {
+    const samples = [];
+
+    for (const { frequency, durationMs } of segments) {
+        const count = Math.floor(SAMPLE_RATE * durationMs / 1000);
+        for (let i = 0; i < count; i++) {
+            const value = frequency
+                ? Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * amplitude * 32767
+                : 0;
+            samples.push(linearToMulaw(Math.round(value)));
+        }
+    }
+
+    return Buffer.from(samples);
+}
+
+/**
+ * Convert 16-bit little-endian mono PCM at any rate down to 8kHz u-law,
+ * averaging the input samples that fall into each output sample
+ */
+export function pcm16ToMulaw(pcm, inputRate) {
+    const inputSamples = Math.floor(pcm.length / 2);
+    const ratio = inputRate / SAMPLE_RATE;
+    const outputSamples = Math.floor(inputSamples / ratio);
+    const output = Buffer.alloc(outputSamples);
+
+    for (let i = 0; i < outputSamples; i++) {
+        const start = Math.floor(i * ratio);
+        const end = Math.max(start + 1, Math.floor((i + 1) * ratio));
+        let sum = 0;
+        for (let j = start; j < end; j++) {
+            sum += pcm.readInt16LE(j * 2);
+        }
+        output[i] = linearToMulaw(Math.round(sum / (end - start)));
+    }
+
+    return output;
+}
+
+/**
+ * Load raw 8kHz u-law audio from disk, falling back to the given buffer
+ */
+export function loadMulawAudio(path, fallback) {
+    if (!path) return fallback;
+
+    try {
+        return readFileSync(path);
+    } catch (error) {
+        logger.warn(`Could not load audio file ${path}: ${error.message}`);
+        return fallback;
+    }
+}
+
+/**
+ * Split u-law audio into base64 payloads ready for Exotel media events
+ */
+export function toMediaPayloads(audio, chunkSize = CHUNK_SIZE) {
+    const payloads = [];
+    for (let offset = 0; offset < audio.length; offset += chunkSize) {
+        payloads.push(audio.subarray(offset, offset + chunkSize).toString('base64'));
+    }
+    return payloads;
+}
+
+export default {
+    SAMPLE_RATE,
+    CHUNK_SIZE,
+    linearToMulaw,
+    generateTone,
+    pcm16ToMulaw,
+    loadMulawAudio,
+    toMediaPayloads
+};
@@ -0,0 +1,414 @@
+// ============================================
+// Natural-Language Date Resolution (IST)
+// Turns caller phrases like "tomorrow evening", "next Monday", "kal" or "parso"
+// into concrete dates in the hospital's timezone
+// ============================================
+
+// Hospital timezone offset (IST, UTC+5:30)
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Hindi and Marathi day and month names come from Intl; digits stay 0-9 so they are read out as numbers
+const SPOKEN_DATE_LOCALES = {
+    hi: 'hi-IN',
+    mr: 'mr-IN'
+};
+
+// Relative day words - English, Hindi and Marathi (romanized and Devanagari)
+// "kal" means both yesterday and tomorrow in Hindi; callers booking or asking
+// about availability always mean tomorrow. Marathi "kaal" is only yesterday, so it is left out
+const RELATIVE_DAYS = [
+    { offset: 2, words: ['day after tomorrow', 'parso', 'parson', 'parsoon', 'परसों', 'परसो', 'parva', 'parwa', 'परवा'] },
+    { offset: 1, words: ['tomorrow', 'tmrw', 'kal', 'कल', 'udya', 'udyaa', 'udhya', 'उद्या'] },
+    { offset: 0, words: ['today', 'tonight', 'aaj', 'aj', 'आज'] }
+];
+
+// Weekday names indexed by day of week (0 = Sunday)
+const WEEKDAY_WORDS = [
+    ['sunday', 'sun', 'ravivar', 'raviwar', 'itvaar', 'itwar', 'रविवार', 'इतवार', 'रविवारी'],
+    ['monday', 'mon', 'somvar', 'somwar', 'सोमवार', 'सोमवारी'],
+    ['tuesday', 'tue', 'tues', 'mangalvar', 'mangalwar', 'मंगलवार', 'मंगळवार', 'मंगळवारी'],
+    ['wednesday', 'wed', 'budhvar', 'budhwar', 'बुधवार', 'बुधवारी'],
+    ['thursday', 'thu', 'thurs', 'guruvar', 'guruwar', 'brihaspativar', 'गुरुवार', 'बृहस्पतिवार', 'गुरुवारी'],
+    ['friday', 'fri', 'shukravar', 'shukrawar', 'शुक्रवार', 'शुक्रवारी'],
+    ['saturday', 'sat', 'shanivar', 'shaniwar', 'शनिवार', 'शनिवारी']
+];
+
+// "next Monday" / "agle somvar" / "pudhchya somvari"
+const NEXT_WORDS = ['next', 'agle', 'agla', 'agli', 'अगले', 'अगला', 'अगली', 'pudhchya', 'pudhcha', 'pudhil', 'पुढच्या', 'पुढील'];
+
+const WEEK_WORDS = ['week', 'hafte', 'hafta', 'हफ्ते', 'हफ़्ते', 'हफ्ता', 'aathavda', 'aathavdyat', 'athavdyat', 'आठवडा', 'आठवड्यात'];
+
+// Times of day as HH:MM windows
+const TIMES_OF_DAY = [
+    { label: 'morning', start: '08:00', end: '12:00', words: ['morning', 'subah', 'subha', 'सुबह', 'sakali', 'sakal', 'सकाळी', 'सकाळ'] },
+    { label: 'afternoon', start: '12:00', end: '16:00', words: ['afternoon', 'noon', 'dopahar', 'dopaher', 'दोपहर', 'dupari', 'dupar', 'दुपारी'] },
+    { label: 'evening', start: '16:00', end: '20:00', words: ['evening', 'shaam', 'sham', 'शाम', 'sandhyakali', 'sandhyakal', 'संध्याकाळी'] },
+    { label: 'night', start: '20:00', end: '23:59', words: ['night', 'tonight', 'raat', 'rat', 'रात', 'ratri', 'रात्री'] }
+];
+
+// Longest range a single query may cover
+const MAX_RANGE_DAYS = 31;
+
+// Word end that also works after Devanagari (\b only knows ASCII word characters)
+const WORD_END = '(?=\\s|$)';
+
+// ============================================
+// DATE HELPERS
+// ============================================
+
+/**
+ * Today's date in IST as YYYY-MM-DD
+ */
+export function todayInIST(now = new Date()) {
+    return new Date(now.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ */
+export function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Day of week (0 = Sunday) for a YYYY-MM-DD date
+ */
+export function dayOfWeekOf(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Whole days between two YYYY-MM-DD dates
+ */
+export function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Check a string is a real YYYY-MM-DD calendar date
+ */
+export function isIsoDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+    const d = new Date(`${value}T00:00:00Z`);
+    return !isNaN(d) && d.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * List every YYYY-MM-DD date from start to end inclusive
+ */
+export function eachDate(startDate, endDate) {
+    const dates = [];
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+/**
+ * Weekday name in the caller's language (0 = Sunday), e.g. "Monday" / "सोमवार"
+ */
+export function dayName(dayOfWeek, language = 'en') {
+    const locale = SPOKEN_DATE_LOCALES[language];
+    if (!locale) return DAY_NAMES[dayOfWeek];
+
+    // 4 January 1970 was a Sunday
+    return new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' })
+        .format(new Date(Date.UTC(1970, 0, 4 + dayOfWeek)));
+}
+
+/**
+ * Format a date the way a caller would say it, e.g. "Monday, 20 October" / "सोमवार, 20 अक्टूबर"
+ * The year is only added when it is not the current one
+ */
+export function formatSpokenDate(date, { today = todayInIST(), language = 'en' } = {}) {
+    const d = new Date(`${date}T00:00:00Z`);
+    const showYear = d.getUTCFullYear() !== Number(today.slice(0, 4));
+    const locale = SPOKEN_DATE_LOCALES[language];
+
+    if (locale) {
+        return new Intl.DateTimeFormat(locale, {
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: showYear ? 'numeric' : undefined,
+            timeZone: 'UTC',
+            numberingSystem: 'latn'
+        }).format(d);
+    }
+
+    const year = showYear ? ` ${d.getUTCFullYear()}` : '';
+    return `${DAY_NAMES[d.getUTCDay()]}, ${d.getUTCDate()} ${MONTH_NAMES[d.getUTCMonth()]}${year}`;
+}
+
+// ============================================
+// PHRASE RESOLUTION
+// ============================================
+
+/**
+ * Resolve a spoken date expression into a concrete IST date range
+ * Returns { startDate, endDate, timeRange, label } or null if no date was recognised.
+ * timeRange is { start, end } in HH:MM, or null when no time of day was mentioned.
+ */
+export function resolveDateExpression(text, now = new Date()) {
+    if (!text) return null;
+
+    const today = todayInIST(now);
+    const phrase = normalize(text);
+    const tokens = phrase.split(' ');
+
+    const timeRange = resolveTimeOfDay(phrase, tokens);
+    const range = resolveExplicitDate(phrase, today) ||
+        resolveWeek(tokens, today) ||
+        resolveRelativeDay(phrase, tokens, today) ||
+        resolveWeekday(tokens, today) ||
+        // A bare time of day ("this evening", "tonight") means today
+        (timeRange ? { startDate: today, endDate: today } : null);
+
+    if (!range) return null;
+
+    const endDate = daysBetween(range.startDate, range.endDate) >= MAX_RANGE_DAYS
+        ? addDays(range.startDate, MAX_RANGE_DAYS - 1)
+        : range.endDate;
+
+    return {
+        startDate: range.startDate,
+        endDate,
+        timeRange: timeRange ? { start: timeRange.start, end: timeRange.end } : null,
+        label: describeRange(range.startDate, endDate, timeRange, today)
+    };
+}
+
+/**
+ * Resolve a phrase that must name a single day; returns YYYY-MM-DD or null
+ */
+export function resolveSingleDate(text, now = new Date()) {
+    if (isIsoDate(text)) return text;
+
+    const range = resolveDateExpression(text, now);
+    return range && range.startDate === range.endDate ? range.startDate : null;
+}
+
+/**
+ * Resolve a spoken date of birth ("15 August 1962", "15/08/1962", "August 15th, 62")
+ * to YYYY-MM-DD. A year is required; two-digit years are taken as the most recent
+ * past year. Returns null for anything that is not a real date on or before today.
+ */
+export function parseDateOfBirth(text, now = new Date()) {
+    const today = todayInIST(now);
+    const phrase = normalize(String(text || '').replace(/\./g, '/'));
+    const pad = n => String(n).padStart(2, '0');
+
+    let year, month, day;
+
+    const iso = phrase.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    const numeric = phrase.match(/\b(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})\b/);
+    const monthPattern = MONTH_NAMES.map(m => m.slice(0, 3).toLowerCase()).join('|');
+    const dayMonthYear = phrase.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?: of)? (${monthPattern})[a-z]* (\\d{2}|\\d{4})\\b`));
+    const monthDayYear = phrase.match(new RegExp(`\\b(${monthPattern})[a-z]* (\\d{1,2})(?:st|nd|rd|th)? (\\d{2}|\\d{4})\\b`));
+
+    if (iso) {
+        [, year, month, day] = iso;
+    } else if (numeric) {
+        [, day, month, year] = numeric;
+    } else if (dayMonthYear) {
+        [, day, month, year] = dayMonthYear;
+    } else if (monthDayYear) {
+        [, month, day, year] = monthDayYear;
+    } else {
+        return null;
+    }
+
+    if (!/^\d+$/.test(month)) {
+        month = MONTH_NAMES.findIndex(m => m.toLowerCase().startsWith(month)) + 1;
+    }
+
+    if (year.length === 2) {
+        const century = Number(today.slice(0, 2));
+        year = Number(`${century}${year}`) > Number(today.slice(0, 4)) ? `${century - 1}${year}` : `${century}${year}`;
+    }
+
+    const date = `${year}-${pad(month)}-${pad(day)}`;
+    return isIsoDate(date) && date <= today ? date : null;
+}
+
+/**
+ * Lowercase, strip punctuation (keeping Devanagari, digits, / and :) and collapse spaces
+ */
+function normalize(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\s/:-]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function hasWord(tokens, words) {
+    return words.some(word => tokens.includes(word));
+}
+
+/**
+ * ISO dates, dd/mm[/yyyy] and "25 December" / "December 25th"
+ */
+function resolveExplicitDate(phrase, today) {
+    const iso = phrase.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+    if (iso && isIsoDate(iso[1])) {
+        return { startDate: iso[1], endDate: iso[1] };
+    }
+
+    const numeric = phrase.match(/\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2,4}))?\b/);
+    if (numeric) {
+        const date = buildDate(numeric[3], Number(numeric[2]), Number(numeric[1]), today);
+        if (date) return { startDate: date, endDate: date };
+    }
+
+    const monthPattern = MONTH_NAMES.map(m => m.slice(0, 3).toLowerCase()).join('|');
+    const dayMonth = phrase.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?: of)? (${monthPattern})[a-z]*\\b`)) ||
+        phrase.match(new RegExp(`\\b(${monthPattern})[a-z]* (\\d{1,2})(?:st|nd|rd|th)?\\b`));
+    if (dayMonth) {
+        const [day, month] = /^\d/.test(dayMonth[1]) ? [dayMonth[1], dayMonth[2]] : [dayMonth[2], dayMonth[1]];
+        const monthIndex = MONTH_NAMES.findIndex(m => m.toLowerCase().startsWith(month));
+        const date = buildDate(null, monthIndex + 1, Number(day), today);
+        if (date) return { startDate: date, endDate: date };
+    }
+
+    return null;
+}
+
+/**
+ * Build a YYYY-MM-DD date; without a year, use the next occurrence from today
+ */
+function buildDate(year, month, day, today) {
+    const pad = n => String(n).padStart(2, '0');
+
+    if (year) {
+        const fullYear = year.length === 2 ? `20${year}` : year;
+        const date = `${fullYear}-${pad(month)}-${pad(day)}`;
+        return isIsoDate(date) ? date : null;
+    }
+
+    const thisYear = Number(today.slice(0, 4));
+    for (const candidateYear of [thisYear, thisYear + 1]) {
+        const date = `${candidateYear}-${pad(month)}-${pad(day)}`;
+        if (isIsoDate(date) && date >= today) return date;
+    }
+    return null;
+}
+
+/**
+ * "this week" / "next week" / "agle hafte" / "pudhchya aathavdyat"
+ */
+function resolveWeek(tokens, today) {
+    if (!hasWord(tokens, WEEK_WORDS)) return null;
+
+    // Weeks run Monday to Sunday
+    const daysToSunday = (7 - dayOfWeekOf(today)) % 7;
+    const endOfWeek = addDays(today, daysToSunday);
+
+    if (hasWord(tokens, NEXT_WORDS)) {
+        const nextMonday = addDays(endOfWeek, 1);
+        return { startDate: nextMonday, endDate: addDays(nextMonday, 6) };
+    }
+
+    return { startDate: today, endDate: endOfWeek };
+}
+
+/**
+ * today / tomorrow / day after tomorrow / aaj / kal / parso / udya / parva / "in 3 days"
+ */
+function resolveRelativeDay(phrase, tokens, today) {
+    const inDays = phrase.match(new RegExp(`\\b(?:in|after) (\\d{1,2}) days?${WORD_END}`)) ||
+        phrase.match(new RegExp(`\\b(\\d{1,2}) (?:din|दिन|divas|दिवस) (?:baad|बाद|nantar|नंतर)${WORD_END}`));
+    if (inDays) {
+        const date = addDays(today, Number(inDays[1]));
+        return { startDate: date, endDate: date };
+    }
+
+    for (const { offset, words } of RELATIVE_DAYS) {
+        const matched = words.some(word => word.includes(' ') ? phrase.includes(word) : tokens.includes(word));
+        if (matched) {
+            const date = addDays(today, offset);
+            return { startDate: date, endDate: date };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Weekday names, optionally qualified with next
+ * A bare weekday ("Monday", "this Monday") means its next occurrence, counting today;
+ * "next Monday" always means a Monday after today
+ */
+function resolveWeekday(tokens, today) {
+    const index = tokens.findIndex(token => WEEKDAY_WORDS.some(words => words.includes(token)));
+    if (index === -1) return null;
+
+    const dayOfWeek = WEEKDAY_WORDS.findIndex(words => words.includes(tokens[index]));
+    let offset = (dayOfWeek - dayOfWeekOf(today) + 7) % 7;
+    if (offset === 0 && NEXT_WORDS.includes(tokens[index - 1])) {
+        offset = 7;
+    }
+
+    const date = addDays(today, offset);
+    return { startDate: date, endDate: date };
+}
+
+/**
+ * Time-of-day words or an explicit clock time ("5 pm", "10:30", "17:00")
+ */
+function resolveTimeOfDay(phrase, tokens) {
+    // Numbers without minutes or am/pm ("25 December 5 pm") are dates - keep looking past them
+    const clocks = phrase.matchAll(new RegExp(`\\b(\\d{1,2})(?::(\\d{2}))? ?(am|pm|baje|बजे|vajta|वाजता)?${WORD_END}`, 'g'));
+    for (const clock of clocks) {
+        if (!clock[2] && !clock[3]) continue;
+
+        let hour = Number(clock[1]);
+        const minutes = clock[2] || '00';
+        const suffix = clock[3];
+
+        if (suffix === 'pm' && hour < 12) hour += 12;
+        if (suffix === 'am' && hour === 12) hour = 0;
+        // "5 baje" with no am/pm - clinic hours make afternoon the likely meaning
+        if (suffix && !['am', 'pm'].includes(suffix) && hour >= 1 && hour <= 7) hour += 12;
+
+        if (hour <= 23 && Number(minutes) <= 59) {
+            const time = `${String(hour).padStart(2, '0')}:${minutes}`;
+            return { label: null, start: time, end: time };
+        }
+    }
+
+    return TIMES_OF_DAY.find(({ words }) => hasWord(tokens, words)) || null;
+}
+
+/**
+ * Human-readable label for a resolved range
+ */
+function describeRange(startDate, endDate, timeRange, today) {
+    const days = startDate === endDate
+        ? formatSpokenDate(startDate, { today })
+        : `${formatSpokenDate(startDate, { today })} to ${formatSpokenDate(endDate, { today })}`;
+
+    if (!timeRange) return days;
+    return timeRange.label ? `${days} ${timeRange.label}` : `${days} around ${timeRange.start}`;
+}
+
+export default {
+    DAY_NAMES,
+    todayInIST,
+    addDays,
+    dayOfWeekOf,
+    daysBetween,
+    isIsoDate,
+    eachDate,
+    dayName,
+    formatSpokenDate,
+    resolveDateExpression,
+    resolveSingleDate,
+    parseDateOfBirth
+};
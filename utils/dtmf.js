@@ -0,0 +1,113 @@
+// ============================================
+// DTMF Keypad Input Buffer
+// Collects keypad digits from the media stream into one entry, ended by
+// "#", an inter-digit pause, or reaching the requested number of digits
+// ============================================
+
+const DEFAULT_INTER_DIGIT_TIMEOUT_MS = 3000;
+const DEFAULT_FIRST_DIGIT_TIMEOUT_MS = 15000;
+
+const VALID_DIGITS = /^[0-9*#]$/;
+
+export class DtmfBuffer {
+    /**
+     * onComplete receives { digits, reason, purpose, maxDigits }
+     * reason: 'terminator' (#), 'max_digits', 'timeout' (pause after digits) or 'no_input'
+     */
+    constructor({ onComplete, interDigitTimeoutMs, firstDigitTimeoutMs } = {}) {
+        this.onComplete = onComplete;
+        this.interDigitTimeoutMs = interDigitTimeoutMs || DEFAULT_INTER_DIGIT_TIMEOUT_MS;
+        this.firstDigitTimeoutMs = firstDigitTimeoutMs || DEFAULT_FIRST_DIGIT_TIMEOUT_MS;
+        this.digits = '';
+        this.request = null; // { purpose, maxDigits } while a tool is waiting for input
+        this.timer = null;
+    }
+
+    /**
+     * Wait for the caller to type something specific, e.g. a 6-digit OTP
+     */
+    expect({ purpose, maxDigits } = {}) {
+        this.digits = '';
+        this.request = { purpose: purpose || null, maxDigits: maxDigits || null };
+        this.startTimer(this.firstDigitTimeoutMs, 'no_input');
+    }
+
+    /**
+     * Whether a digit collection requested by a tool is still open
+     */
+    isCollecting() {
+        return this.request !== null;
+    }
+
+    /**
+     * Add one keypad press. "#" ends the entry and "*" starts it again.
+     * Returns false for anything that is not a keypad digit.
+     */
+    push(digit) {
+        const key = String(digit || '');
+        if (!VALID_DIGITS.test(key)) return false;
+
+        if (key === '#') {
+            if (this.digits || this.request) this.complete('terminator');
+            return true;
+        }
+
+        if (key === '*') {
+            this.digits = '';
+            this.startTimer(this.request ? this.firstDigitTimeoutMs : null, 'no_input');
+            return true;
+        }
+
+        this.digits += key;
+
+        if (this.request?.maxDigits && this.digits.length >= this.request.maxDigits) {
+            this.complete('max_digits');
+        } else {
+            this.startTimer(this.interDigitTimeoutMs, 'timeout');
+        }
+
+        return true;
+    }
+
+    /**
+     * (Re)start the completion timer; a null delay just stops it
+     */
+    startTimer(delayMs, reason) {
+        clearTimeout(this.timer);
+        this.timer = delayMs ? setTimeout(() => this.complete(reason), delayMs) : null;
+    }
+
+    /**
+     * Hand the buffered entry to onComplete and reset
+     */
+    complete(reason) {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const result = {
+            digits: this.digits,
+            reason,
+            purpose: this.request?.purpose || null,
+            maxDigits: this.request?.maxDigits || null
+        };
+
+        this.digits = '';
+        this.request = null;
+
+        this.onComplete?.(result);
+    }
+
+    /**
+     * Stop timers without reporting anything (call ended)
+     */
+    dispose() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.digits = '';
+        this.request = null;
+    }
+}
+
+export default {
+    DtmfBuffer
+};
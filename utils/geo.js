@@ -0,0 +1,93 @@
+// ============================================
+// Location Helpers
+// Resolves a spoken area, landmark or pincode against the offline Mumbai
+// gazetteer and measures straight-line distances to hospital branches
+// ============================================
+
+import { MUMBAI_LOCALITIES } from '../config/mumbaiLocalities.js';
+import { nameSimilarity } from './nameMatcher.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+// Area names must match closely - a loose match ("for" -> "Fort") sends callers to the wrong place
+const MIN_LOCALITY_SCORE = 0.85;
+
+/**
+ * Great-circle distance between two points in kilometres
+ */
+export function haversineKm(lat1, lon1, lat2, lon2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Pull a 6-digit pincode out of text, including one read out digit by digit ("4 0 0 6 0 1")
+ */
+function extractPincode(text) {
+    const match = String(text || '').replace(/(\d)[\s-]+(?=\d)/g, '$1').match(/\b\d{6}\b/);
+    return match ? match[0] : null;
+}
+
+/**
+ * Resolve a spoken area, landmark or pincode to a gazetteer locality
+ * Returns { locality, matchedBy: 'pincode' | 'name', score } or null
+ */
+export function resolveLocality(text) {
+    const pincode = extractPincode(text);
+
+    if (pincode) {
+        const exact = MUMBAI_LOCALITIES.find(locality => locality.pincodes.includes(pincode));
+        if (exact) return { locality: exact, matchedBy: 'pincode', score: 1 };
+
+        // Neighbouring pincodes share their first five digits
+        const nearby = MUMBAI_LOCALITIES.find(locality =>
+            locality.pincodes.some(code => code.slice(0, 5) === pincode.slice(0, 5)));
+        if (nearby) return { locality: nearby, matchedBy: 'pincode', score: 0.9 };
+    }
+
+    let best = null;
+
+    for (const locality of MUMBAI_LOCALITIES) {
+        for (const alias of locality.aliases) {
+            const score = nameSimilarity(alias, text);
+            const words = alias.split(' ').length;
+
+            // Prefer the more specific alias on a tie ("andheri east" over "andheri")
+            if (score >= MIN_LOCALITY_SCORE && (!best || score > best.score || (score === best.score && words > best.words))) {
+                best = { locality, matchedBy: 'name', score, words };
+            }
+        }
+    }
+
+    if (!best) return null;
+
+    const { words, ...match } = best;
+    return match;
+}
+
+/**
+ * Sort places with latitude/longitude by distance from a point, nearest first
+ * Returns [{ place, distanceKm }], skipping places without coordinates
+ */
+export function rankByDistance(latitude, longitude, places) {
+    return places
+        .filter(place => place.latitude !== null && place.latitude !== undefined
+            && place.longitude !== null && place.longitude !== undefined)
+        .map(place => ({
+            place,
+            distanceKm: haversineKm(latitude, longitude, Number(place.latitude), Number(place.longitude))
+        }))
+        .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+export default {
+    haversineKm,
+    resolveLocality,
+    rankByDistance
+};
@@ -0,0 +1,59 @@
+// ============================================
+// Localized Messages
+// Looks up caller-facing strings from config/messages.js and
+// CONVERSATION_TEMPLATES in the call's language and fills in {placeholders}
+// ============================================
+
+import { MESSAGES } from '../config/messages.js';
+import { CONVERSATION_TEMPLATES, SUPPORTED_LANGUAGES } from '../config/data.js';
+
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Fill {placeholder} values into a template string
+ */
+export function fillTemplate(template, values = {}) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+}
+
+/**
+ * A supported language code, or English
+ */
+export function resolveLanguage(language) {
+    return SUPPORTED_LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * The language a handler should answer in, from its { conversation } context
+ */
+export function languageOf(context = {}) {
+    return resolveLanguage(context.conversation?.languageDetected);
+}
+
+/**
+ * Localized message for a key, falling back to English and then to the key itself
+ */
+export function translate(key, values = {}, language = DEFAULT_LANGUAGE) {
+    const lang = resolveLanguage(language);
+    const template = MESSAGES[lang]?.[key] ?? CONVERSATION_TEMPLATES[lang]?.[key]
+        ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? CONVERSATION_TEMPLATES[DEFAULT_LANGUAGE][key];
+
+    return template === undefined ? key : fillTemplate(template, values);
+}
+
+/**
+ * "A, B or C" / "A, B या C" - joins a spoken list with the localized "or"/"and"
+ */
+export function joinList(items, conjunction = 'or', language = DEFAULT_LANGUAGE, separator = ', ') {
+    if (items.length <= 1) return items.join('');
+    const word = translate(conjunction, {}, language);
+    return `${items.slice(0, -1).join(separator)} ${word} ${items[items.length - 1]}`;
+}
+
+export default {
+    fillTemplate,
+    resolveLanguage,
+    languageOf,
+    translate,
+    joinList
+};
@@ -0,0 +1,56 @@
+// ============================================
+// Caller Language Detection
+// Guesses whether a caller transcript is English, Hindi or Marathi from
+// LANGUAGE_DETECTION_KEYWORDS (romanized and Devanagari)
+// ============================================
+
+import { LANGUAGE_DETECTION_KEYWORDS } from '../config/data.js';
+
+// A Latin-script transcript needs this many words before it counts as English
+const MIN_ENGLISH_WORDS = 3;
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+
+const KEYWORD_SETS = Object.fromEntries(
+    Object.entries(LANGUAGE_DETECTION_KEYWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+/**
+ * Split a transcript into lowercase words, keeping Devanagari letters and vowel signs together
+ */
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Detect the language of one transcript
+ * Returns 'hi', 'mr' or 'en', or null when there isn't enough to go on
+ * (a Hindi/Marathi tie, Devanagari with no keywords, or a very short utterance)
+ */
+export function detectLanguage(text) {
+    const words = tokenize(text);
+    if (words.length === 0) return null;
+
+    const scores = Object.entries(KEYWORD_SETS)
+        .map(([language, keywords]) => ({
+            language,
+            score: words.filter(word => keywords.has(word)).length
+        }))
+        .sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = scores;
+    if (best.score > 0) {
+        return best.score > (runnerUp?.score || 0) ? best.language : null;
+    }
+
+    if (DEVANAGARI.test(text)) return null;
+
+    return words.length >= MIN_ENGLISH_WORDS ? 'en' : null;
+}
+
+export default {
+    detectLanguage
+};
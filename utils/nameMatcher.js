@@ -0,0 +1,226 @@
+// ============================================
+// Phonetic and Fuzzy Name Matching for Indian Names
+// Scores speech-transcribed names ("Kulkurni", "Ayyar", "Dr Ramesh")
+// against stored names ("Dr. Neha Kulkarni", "Dr. Kavita Iyer", "Dr. Ramesh Gupta")
+// ============================================
+
+// Matches below this score are dropped
+export const MIN_MATCH_SCORE = 0.7;
+
+// Titles and honorifics that are not part of the name
+const HONORIFICS = new Set([
+    'dr', 'doctor', 'mr', 'mrs', 'ms', 'miss', 'shri', 'shree', 'sri', 'smt', 'shrimati',
+    'sir', 'madam', 'mam', 'maam', 'ji', 'saheb', 'sahab', 'sahib', 'bai', 'tai',
+    'डॉ', 'डॉक्टर', 'श्री', 'श्रीमती', 'जी', 'साहेब', 'साहब'
+]);
+
+// Devanagari to Latin transliteration, enough for names in Hindi/Marathi transcripts
+const DEVANAGARI_CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+
+const DEVANAGARI_VOWELS = {
+    'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo',
+    'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au'
+};
+
+const DEVANAGARI_MATRAS = {
+    'ा': 'aa', 'ि': 'i', 'ी': 'ee', 'ु': 'u', 'ू': 'oo',
+    'ृ': 'ri', 'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au'
+};
+
+const VIRAMA = '्';
+const NASALS = ['ं', 'ँ'];
+
+// ============================================
+// NORMALIZATION
+// ============================================
+
+/**
+ * Transliterate Devanagari text to a rough Latin spelling
+ */
+export function transliterate(text) {
+    const chars = [...text];
+    let output = '';
+
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+        const next = chars[i + 1];
+
+        if (DEVANAGARI_CONSONANTS[char]) {
+            output += DEVANAGARI_CONSONANTS[char];
+            // Inherent "a" unless a matra or virama follows; dropped word-finally as in speech
+            const isWordEnd = !next || /\s/.test(next);
+            if (!DEVANAGARI_MATRAS[next] && next !== VIRAMA && next !== '़' && !isWordEnd) {
+                output += 'a';
+            }
+        } else if (DEVANAGARI_VOWELS[char]) {
+            output += DEVANAGARI_VOWELS[char];
+        } else if (DEVANAGARI_MATRAS[char]) {
+            output += DEVANAGARI_MATRAS[char];
+        } else if (NASALS.includes(char)) {
+            output += 'n';
+        } else if (char === 'ः') {
+            output += 'h';
+        } else if (char === VIRAMA || char === '़') {
+            continue;
+        } else {
+            output += char;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Split a name into lowercase Latin tokens with honorifics removed
+ */
+export function tokenizeName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .split(/[\s.,'-]+/)
+        .filter(token => token && !HONORIFICS.has(token))
+        .map(token => transliterate(token).replace(/[^a-z]/g, ''))
+        .filter(token => token && !HONORIFICS.has(token));
+}
+
+/**
+ * Fold common romanization variants together, keeping vowels
+ * (ee/i, oo/u, aa/a, w/v, ph/f, z/j, doubled letters)
+ */
+function simplify(token) {
+    return token
+        .replace(/ph/g, 'f')
+        .replace(/ee/g, 'i')
+        .replace(/oo/g, 'u')
+        .replace(/w/g, 'v')
+        .replace(/z/g, 'j')
+        .replace(/q/g, 'k')
+        .replace(/ck/g, 'k')
+        .replace(/x/g, 'ks')
+        .replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Phonetic key for a name token, tuned for Indian names
+ * Aspirates fold into their plain consonant (bh/b, dh/d, kh/k, th/t), sh/s, ch/c,
+ * vowels are dropped and repeats collapsed, so Kulkarni/Kulkurni and Iyer/Ayyar agree
+ */
+export function phoneticKey(token) {
+    return simplify(token)
+        .replace(/chh?/g, 'c')
+        .replace(/sh/g, 's')
+        .replace(/([bcdgjkpt])h/g, '$1')
+        .replace(/h$/, '')
+        .replace(/[aeiou]/g, '')
+        .replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Levenshtein edit distance
+ */
+export function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Similarity between two name tokens, 0 to 1
+ */
+export function tokenSimilarity(queryToken, candidateToken) {
+    const query = simplify(queryToken);
+    const candidate = simplify(candidateToken);
+
+    if (query === candidate) return 1;
+
+    const scores = [1 - editDistance(query, candidate) / Math.max(query.length, candidate.length)];
+
+    // Callers often say just the start of a long name
+    if (query.length >= 3 && candidate.startsWith(query)) {
+        scores.push(0.8);
+    }
+
+    // Very short keys ("Rao" -> "r") collide too easily to count
+    const queryKey = phoneticKey(queryToken);
+    if (queryKey.length >= 2 && queryKey === phoneticKey(candidateToken)) {
+        scores.push(0.85);
+    }
+
+    return Math.max(...scores);
+}
+
+/**
+ * Similarity between a spoken name and a stored name, 0 to 1
+ * Every spoken token must match some stored token; stored tokens the caller
+ * did not say are fine ("Dr Ramesh" fully matches "Ramesh Gupta")
+ */
+export function nameSimilarity(query, candidate) {
+    const queryTokens = tokenizeName(query);
+    const candidateTokens = tokenizeName(candidate);
+
+    if (queryTokens.length === 0 || candidateTokens.length === 0) return 0;
+
+    const total = queryTokens.reduce((sum, queryToken) =>
+        sum + Math.max(...candidateTokens.map(candidateToken => tokenSimilarity(queryToken, candidateToken))), 0);
+
+    return total / queryTokens.length;
+}
+
+/**
+ * Confidence label for a score
+ */
+export function confidenceLabel(score) {
+    if (score >= 0.95) return 'exact';
+    if (score >= 0.85) return 'high';
+    return 'medium';
+}
+
+/**
+ * Rank candidates by how well their name matches a spoken name
+ * Returns [{ candidate, score, confidence }] best first, dropping weak matches
+ */
+export function rankNameMatches(query, candidates, { getName = candidate => candidate.name, minScore = MIN_MATCH_SCORE } = {}) {
+    return candidates
+        .map(candidate => {
+            const score = nameSimilarity(query, getName(candidate));
+            return { candidate, score: Math.round(score * 100) / 100, confidence: confidenceLabel(score) };
+        })
+        .filter(match => match.score >= minScore)
+        .sort((a, b) => b.score - a.score);
+}
+
+export default {
+    MIN_MATCH_SCORE,
+    transliterate,
+    tokenizeName,
+    phoneticKey,
+    editDistance,
+    tokenSimilarity,
+    nameSimilarity,
+    confidenceLabel,
+    rankNameMatches
+};
@@ -0,0 +1,148 @@
+// ============================================
+// Spoken-Number Formatting
+// Rewrites function-result text so the model reads it out the same way every
+// time: 24h times as "9 AM", fees in rupees, phone numbers digit by digit and
+// address abbreviations expanded, in the call's language
+// ============================================
+
+import { ADDRESS_ABBREVIATIONS } from '../config/data.js';
+import { translate, resolveLanguage } from './i18n.js';
+
+// ============================================
+// PATTERNS
+// ============================================
+
+// 24-hour clock times ("09:00", "17:30:00") not already followed by AM/PM, optionally
+// as a range ("09:00:00 - 13:00:00"). Matched in one pass so spoken output is never re-read.
+const TIME = String.raw`(?<![\d:])([01]?\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?(?![\d:])(?!\s*[ap]\.?\s?m\b)`;
+const TIME_PATTERN = new RegExp(`${TIME}(?:\\s*(?:-|–|to)\\s*${TIME})?`, 'gi');
+
+// "₹1500.00", "Rs. 2,500", "INR 800"
+const CURRENCY_PATTERN = /(?:₹|\bRs\.?|\bINR)\s?(\d[\d,]*)(?:\.(\d{1,2}))?/g;
+
+// "(Ext: 2101)", "ext. 44", "extension 5000" - including the Hindi/Marathi words handlers use
+const EXTENSION_WORDS = 'ext\\.?|extn\\.?|extension|एक्सटेंशन|एक्सटेन्शन';
+const BRACKETED_EXTENSION_PATTERN = new RegExp(`\\s*\\(\\s*(?:${EXTENSION_WORDS})\\s*:?\\s*(\\d+)\\s*\\)`, 'gi');
+const EXTENSION_PATTERN = new RegExp(`(?:\\b(?:ext\\.?|extn\\.?|extension)|एक्सटेंशन|एक्सटेन्शन)\\s*:?\\s*(\\d+)`, 'gi');
+
+// Optional "+91" followed by dash/space separated digit groups, or one unbroken run of digits
+const PHONE_PATTERN = /(?<![\w.+])(\+\d{1,3}[\s-]?)?(\d{2,5}(?:[\s-]\d{2,5}){1,4}|\d{8,12})(?![\w.])/g;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MIN_PHONE_DIGITS = 8;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Word abbreviations match with or without a trailing dot; bracketed ones as written.
+// afterName ones need a word before them and the end of the name (comma, bracket, line end) after
+function abbreviationPattern(abbreviation, { afterName }) {
+    const escaped = escapeRegExp(abbreviation);
+    if (abbreviation.startsWith('(')) return new RegExp(escaped, 'g');
+    if (afterName) return new RegExp(`(?<=[A-Za-z]\\s)${escaped}\\b\\.?(?=\\s*(?:[,;)]|$))`, 'gm');
+    return new RegExp(`\\b${escaped}\\b\\.?`, 'g');
+}
+
+const ABBREVIATION_PATTERNS = Object.entries(ADDRESS_ABBREVIATIONS).map(([abbreviation, expansions]) => ({
+    pattern: abbreviationPattern(abbreviation, expansions),
+    expansions
+}));
+
+// ============================================
+// FORMATTERS
+// ============================================
+
+/**
+ * "17:30" -> "5:30 PM" / "शाम 5:30 बजे" / "संध्याकाळी 5:30 वाजता"
+ */
+export function formatTime(hours, minutes, language = 'en') {
+    const hour = Number(hours);
+    const clock = `${hour % 12 || 12}${Number(minutes) ? `:${minutes}` : ''}`;
+
+    const key = hour < 5 ? 'timeEarlyMorning'
+        : hour < 12 ? 'timeMorning'
+        : hour < 16 ? 'timeAfternoon'
+        : hour < 20 ? 'timeEvening'
+        : 'timeNight';
+
+    return translate(key, { time: clock }, language);
+}
+
+/**
+ * "1500.00" -> "1,500 rupees"; paise are read only when non-zero
+ */
+export function formatRupees(amount, paise = '', language = 'en') {
+    const rupees = Number(String(amount).replace(/,/g, '')).toLocaleString('en-IN');
+    const paiseValue = Number(paise.padEnd(2, '0'));
+
+    return paiseValue
+        ? translate('speechRupeesPaise', { amount: rupees, paise: paiseValue }, language)
+        : translate('speechRupees', { amount: rupees }, language);
+}
+
+/**
+ * Digits read one at a time, groups separated by a pause: "2 6 4 0, 0 0 0 0"
+ */
+export function spellDigits(groups) {
+    return groups.map(group => group.split('').join(' ')).join(', ');
+}
+
+// An unbroken number is split the way it is usually read out: mobile numbers 5 + 5,
+// anything longer with its prefix first
+function groupDigits(digits) {
+    if (digits.length <= 10) {
+        const half = Math.ceil(digits.length / 2);
+        return [digits.slice(0, half), digits.slice(half)];
+    }
+    const prefix = digits.length - 10;
+    return [digits.slice(0, prefix), digits.slice(prefix, prefix + 5), digits.slice(prefix + 5)];
+}
+
+/**
+ * "+91-22-2640-0000" -> "plus 9 1, 2 2, 2 6 4 0, 0 0 0 0"
+ */
+export function formatPhoneNumber(countryCode, number, language = 'en') {
+    const groups = /[\s-]/.test(number) ? number.split(/[\s-]/) : groupDigits(number);
+    const spoken = spellDigits(groups);
+
+    if (!countryCode) return spoken;
+    return `${translate('speechPlus', {}, language)} ${spellDigits([countryCode.replace(/\D/g, '')])}, ${spoken}`;
+}
+
+/**
+ * Rewrite a function result's text for speech in the given language
+ */
+export function formatForSpeech(text, language = 'en') {
+    if (typeof text !== 'string' || !text) return text;
+    const lang = resolveLanguage(language);
+
+    let spoken = text
+        .replace(TIME_PATTERN, (match, startHours, startMinutes, endHours, endMinutes) => {
+            const start = formatTime(startHours, startMinutes, lang);
+            if (endHours === undefined) return start;
+            return translate('timeRange', { start, end: formatTime(endHours, endMinutes, lang) }, lang);
+        })
+        .replace(CURRENCY_PATTERN, (match, amount, paise = '') => formatRupees(amount, paise, lang))
+        .replace(BRACKETED_EXTENSION_PATTERN, (match, digits) =>
+            `, ${translate('speechExtension', { digits: spellDigits([digits]) }, lang)}`)
+        .replace(EXTENSION_PATTERN, (match, digits) =>
+            translate('speechExtension', { digits: spellDigits([digits]) }, lang))
+        .replace(PHONE_PATTERN, (match, countryCode, number) => {
+            // Booking dates ("2026-10-21") share the shape of a grouped number
+            if (!countryCode && ISO_DATE.test(number)) return match;
+            if (number.replace(/\D/g, '').length < MIN_PHONE_DIGITS) return match;
+            return formatPhoneNumber(countryCode, number, lang);
+        });
+
+    for (const { pattern, expansions } of ABBREVIATION_PATTERNS) {
+        spoken = spoken.replace(pattern, expansions[lang] ?? expansions.en);
+    }
+
+    return spoken;
+}
+
+export default {
+    formatTime,
+    formatRupees,
+    spellDigits,
+    formatPhoneNumber,
+    formatForSpeech
+};
@@ -0,0 +1,136 @@
+// ============================================
+// Symptom-to-Department Triage
+// Routes a caller's own description of symptoms to hospital departments.
+// This is routing only - it never names a condition or suggests treatment.
+// ============================================
+
+import { DEPARTMENT_KEYWORDS, EMERGENCY_RED_FLAGS } from '../config/data.js';
+import { transliterate } from './nameMatcher.js';
+
+// Children under this age are routed to pediatrics first
+const PEDIATRIC_AGE_LIMIT = 14;
+
+// At most this many departments are offered to the caller
+const MAX_SUGGESTIONS = 3;
+
+const SERVICE_MATCH_WEIGHT = 1;
+const DEPARTMENT_NAME_WEIGHT = 2;
+const PEDIATRIC_AGE_WEIGHT = 2;
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Lowercase Latin text with punctuation removed, so phrases can be matched word by word
+ * Devanagari is transliterated so romanized Hindi/Marathi keywords still match
+ */
+function normalizeText(text) {
+    return transliterate(String(text || '').toLowerCase())
+        .replace(/'/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Whether a phrase appears as whole words in normalized text (simple plurals allowed)
+ */
+function containsPhrase(text, phrase) {
+    const normalized = normalizeText(phrase);
+    if (!normalized) return false;
+    const escaped = normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^| )${escaped}(s|es)?( |$)`).test(text);
+}
+
+/**
+ * Emergency red flags mentioned in the text, as [{ type, phrase }]
+ */
+export function findRedFlags(symptoms) {
+    const text = normalizeText(symptoms);
+    const flags = [];
+
+    for (const [type, entries] of Object.entries(EMERGENCY_RED_FLAGS)) {
+        for (const entry of entries) {
+            // Combinations ("pregnant" + "bleeding") need every phrase mentioned
+            const phrases = [].concat(entry);
+            if (phrases.every(phrase => containsPhrase(text, phrase))) {
+                flags.push({ type, phrase: phrases.join(' + ') });
+            }
+        }
+    }
+
+    return flags;
+}
+
+// ============================================
+// RANKING
+// ============================================
+
+/**
+ * Rank departments for a description of symptoms
+ * departments are rows from db.getDepartments (name, services); the keyword map
+ * is always used, so ranking still works when the database is unavailable.
+ * Returns { redFlags, emergencyType, suggestions: [{ name, score, matchedTerms, department }] }
+ */
+export function triageSymptoms(symptoms, { departments = [], patientAge } = {}) {
+    const text = normalizeText(symptoms);
+    const redFlags = findRedFlags(symptoms);
+
+    const candidates = new Map();
+    const candidateFor = (name) => {
+        const key = name.toLowerCase();
+        if (!candidates.has(key)) {
+            candidates.set(key, { name, score: 0, matchedTerms: [], department: null });
+        }
+        return candidates.get(key);
+    };
+    const addMatch = (candidate, term, weight) => {
+        if (candidate.matchedTerms.includes(term)) return;
+        candidate.matchedTerms.push(term);
+        candidate.score += weight;
+    };
+
+    for (const department of departments) {
+        const candidate = candidateFor(department.name);
+        candidate.department = candidate.department || department;
+
+        if (containsPhrase(text, department.name)) {
+            addMatch(candidate, department.name.toLowerCase(), DEPARTMENT_NAME_WEIGHT);
+        }
+        for (const service of department.services || []) {
+            if (containsPhrase(text, service)) {
+                addMatch(candidate, service.toLowerCase(), SERVICE_MATCH_WEIGHT);
+            }
+        }
+    }
+
+    for (const [name, keywords] of Object.entries(DEPARTMENT_KEYWORDS)) {
+        const candidate = candidateFor(candidates.get(name)?.name || name.charAt(0).toUpperCase() + name.slice(1));
+        for (const keyword of keywords) {
+            // Multi-word phrases ("chest pain") are more specific than single words ("heart")
+            if (containsPhrase(text, keyword)) {
+                addMatch(candidate, keyword, normalizeText(keyword).split(' ').length);
+            }
+        }
+    }
+
+    if (patientAge !== undefined && patientAge < PEDIATRIC_AGE_LIMIT) {
+        addMatch(candidateFor(candidates.get('pediatrics')?.name || 'Pediatrics'), `age ${patientAge}`, PEDIATRIC_AGE_WEIGHT);
+    }
+
+    const suggestions = [...candidates.values()]
+        .filter(candidate => candidate.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_SUGGESTIONS);
+
+    return {
+        redFlags,
+        emergencyType: redFlags[0]?.type || null,
+        suggestions
+    };
+}
+
+export default {
+    findRedFlags,
+    triageSymptoms
+};
@@ -0,0 +1,167 @@
+// ============================================
+// In-Hospital Wayfinding
+// Finds which floor a department or facility is on and turns it into
+// spoken step-by-step directions from a landmark
+// ============================================
+
+import { WAYFINDING_LANDMARKS } from '../config/data.js';
+import { translate } from './i18n.js';
+
+const DEFAULT_LANDMARK = 'main_entrance';
+
+// Match strengths, best first
+const EXACT_MATCH = 3;
+const QUERY_CONTAINS_PLACE = 2;
+const PLACE_CONTAINS_QUERY = 1;
+
+// A service listed under a department ranks below a facility marked on the floor plan
+const SERVICE_MATCH_PENALTY = 0.5;
+
+/**
+ * Lowercase words only, e.g. "X-Ray" -> "x ray"
+ */
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Whether the words of `inner` appear together in `outer`
+ */
+function containsWords(outer, inner) {
+    return inner.length > 0 && ` ${outer} `.includes(` ${inner} `);
+}
+
+/**
+ * How well a spoken destination matches a place name, 0 for no match
+ */
+function matchScore(query, placeName) {
+    const q = normalize(query);
+    const place = normalize(placeName);
+
+    if (q === place || q.replace(/ /g, '') === place.replace(/ /g, '')) return EXACT_MATCH;
+    if (containsWords(q, place)) return QUERY_CONTAINS_PLACE;
+    if (containsWords(place, q)) return PLACE_CONTAINS_QUERY;
+    return 0;
+}
+
+/**
+ * Resolve a spoken starting point to a landmark, defaulting to the main entrance
+ */
+export function resolveLandmark(from) {
+    if (WAYFINDING_LANDMARKS[from]) return WAYFINDING_LANDMARKS[from];
+
+    const text = normalize(from);
+    if (text) {
+        for (const landmark of Object.values(WAYFINDING_LANDMARKS)) {
+            if (landmark.aliases.some(alias => containsWords(text, normalize(alias)))) {
+                return landmark;
+            }
+        }
+    }
+
+    return WAYFINDING_LANDMARKS[DEFAULT_LANDMARK];
+}
+
+/**
+ * Find where a destination is, from floor_plans rows and departments rows
+ * Returns the best matches as [{ name, floorNumber, floorName, floorDescription, branch }]
+ */
+export function locateDestination(destination, { floorPlans = [], departments = [] } = {}) {
+    const places = [];
+
+    for (const plan of floorPlans) {
+        for (const name of [...(plan.departments || []), ...(plan.facilities || [])]) {
+            places.push({
+                name,
+                floorNumber: plan.floor_number,
+                floorName: plan.floor_name,
+                floorDescription: plan.description,
+                branch: plan.hospital_locations?.branch,
+                locationId: plan.location_id
+            });
+        }
+    }
+
+    // Departments carry their own floor, and their services are found in the department
+    for (const department of departments) {
+        if (department.floor_number === undefined || department.floor_number === null) continue;
+
+        const plan = floorPlans.find(p => p.location_id === department.location_id && p.floor_number === department.floor_number);
+        const place = {
+            floorNumber: department.floor_number,
+            floorName: plan?.floor_name,
+            floorDescription: plan?.description,
+            branch: department.hospital_locations?.branch,
+            locationId: department.location_id
+        };
+
+        places.push({ ...place, name: department.name });
+        for (const service of department.services || []) {
+            places.push({ ...place, name: service, withinDepartment: department.name });
+        }
+    }
+
+    const scored = places
+        .map(place => {
+            const score = matchScore(destination, place.name);
+            return { place, score: score && place.withinDepartment ? score - SERVICE_MATCH_PENALTY : score };
+        })
+        .filter(match => match.score > 0);
+
+    if (scored.length === 0) return [];
+
+    const best = Math.max(...scored.map(match => match.score));
+    const seen = new Set();
+
+    return scored
+        .filter(match => match.score === best)
+        .map(match => match.place)
+        .filter(place => {
+            const key = `${place.locationId}|${place.floorNumber}|${normalize(place.name)}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(({ locationId, ...place }) => place);
+}
+
+/**
+ * Spoken floor name, e.g. "the second floor" or "floor 9"
+ */
+function spokenFloor(place, language) {
+    if (place.floorNumber === 0) return translate('directionsGroundFloor', {}, language);
+    return place.floorName
+        ? translate('directionsFloorNamed', { name: place.floorName.toLowerCase(), floor: place.floorNumber }, language)
+        : translate('directionsFloor', { floor: place.floorNumber }, language);
+}
+
+/**
+ * Step-by-step directions from a landmark to a located place, in the caller's language
+ */
+export function buildDirections(landmark, place, language = 'en') {
+    const where = place.withinDepartment
+        ? translate('directionsDepartment', { department: place.withinDepartment }, language)
+        : place.name;
+    const askThere = place.withinDepartment
+        ? translate('directionsAskThere', { place: place.name }, language)
+        : '';
+
+    if (place.floorNumber === 0) {
+        return [
+            translate(landmark.toGroundFloor, {}, language),
+            translate('directionsGroundFloorStep', { place: place.withinDepartment || place.name, where, askThere }, language)
+        ];
+    }
+
+    return [
+        translate(landmark.toLifts, {}, language),
+        translate('directionsTakeLift', { floor: spokenFloor(place, language) }, language),
+        translate('directionsFollowSigns', { where, askThere }, language)
+    ];
+}
+
+export default {
+    resolveLandmark,
+    locateDestination,
+    buildDirections
+};